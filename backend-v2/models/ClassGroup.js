@@ -9,12 +9,14 @@ const classGroupSchema = new mongoose.Schema({
   branch: {
     type: String,
     required: true,
-    enum: ['CSE', 'ECE', 'EEE', 'MECH', 'CIVIL', 'IT']
+    uppercase: true,
+    trim: true
   },
   section: {
     type: String,
     required: true,
-    enum: ['A', 'B']
+    uppercase: true,
+    trim: true
   },
   year: {
     type: Number,
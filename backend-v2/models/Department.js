@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Department Model
+ * Configures a department/program: its code (the student "branch"),
+ * the sections it runs and the years of study it has.
+ * Class groups are generated from this configuration, so adding a
+ * department, a section C or 3rd/4th years needs no code change.
+ */
+const departmentSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  sections: {
+    type: [String],
+    default: ['A'],
+    set: (sections) => [...new Set(sections.map(s => String(s).trim().toUpperCase()).filter(Boolean))],
+    validate: {
+      validator: (sections) => sections.length > 0,
+      message: 'A department needs at least one section'
+    }
+  },
+  years: {
+    type: [Number],
+    default: [1, 2],
+    set: (years) => [...new Set(years.map(Number))].sort((a, b) => a - b),
+    validate: {
+      validator: (years) => years.length > 0 && years.every(y => Number.isInteger(y) && y >= 1 && y <= 6),
+      message: 'Years must be whole numbers from 1 to 6'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Department', departmentSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * Exam Model
+ * One timetable entry: an exam written on a date in the forenoon (FN) or
+ * afternoon (AN) slot by the listed class groups. Seating plans can be
+ * generated against it, which lets the system spot rooms and students that
+ * are double-booked across overlapping exams (see services/timetable.js).
+ */
+const examSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  slot: {
+    type: String,
+    enum: ['FN', 'AN'],
+    required: true
+  },
+  // 24-hour 'HH:MM'
+  startTime: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  classIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClassGroup'
+  }],
+  // Papers written (optional - default paper per class otherwise)
+  paperIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Paper'
+  }],
+  notes: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+examSchema.index({ date: 1, startTime: 1 });
+
+module.exports = mongoose.model('Exam', examSchema);
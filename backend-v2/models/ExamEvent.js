@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * ExamEvent Model
+ * One exam sitting whose seating plan may be generated several times
+ * (e.g. after a roster fix). Every generation is a Seating document with
+ * examEvent pointing here and its own version number; at most one version
+ * is published (see services/examEvents.js).
+ */
+const examEventSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  examDate: {
+    type: Date,
+    required: true
+  },
+  // Timetable exam the plans are for (unset for ad-hoc plans)
+  exam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exam'
+  },
+  // Highest version number handed out so far
+  latestVersion: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ExamEvent', examEventSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * ExclusionList Model
+ * A saved list of students barred from sitting an exam
+ * (detained for attendance, debarred, fee dues, known absentees).
+ * Pass its id to POST /api/seating/generate as exclusionListIds.
+ */
+const exclusionListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  entries: [{
+    _id: false,
+    registerNumber: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true
+    },
+    reason: {
+      type: String,
+      enum: ['detained', 'debarred', 'fee_dues', 'absent', 'other'],
+      required: true
+    },
+    note: {
+      type: String,
+      default: ''
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ExclusionList', exclusionListSchema);
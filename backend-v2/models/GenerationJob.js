@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * GenerationJob Model
+ * One bulk run that generates seating plans for many timetable exams
+ * (see services/bulkGeneration.js). The job document is updated after every
+ * exam so clients can poll its progress.
+ */
+const generationJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // Exams picked from the timetable, or created from an uploaded timetable file
+  source: {
+    type: String,
+    enum: ['timetable', 'upload'],
+    default: 'timetable'
+  },
+  // Generation options applied to every exam (roomIds, mode, allocationStrategy, ...)
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  items: [{
+    _id: false,
+    exam: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Exam'
+    },
+    examName: String,
+    date: Date,
+    slot: String,
+    startTime: String,
+    endTime: String,
+    status: {
+      type: String,
+      enum: ['pending', 'generated', 'skipped', 'failed'],
+      default: 'pending'
+    },
+    seating: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seating'
+    },
+    version: Number,
+    roomCount: Number,
+    totalStudents: Number,
+    sessionsNeeded: Number,
+    unassignedCount: Number,
+    warnings: [String],
+    error: String
+  }],
+  summary: {
+    generated: Number,
+    skipped: Number,
+    failed: Number,
+    totalStudents: Number,
+    unassignedCount: Number
+  },
+  // Why the whole job stopped (per-exam errors are on the items)
+  error: String,
+  startedAt: Date,
+  finishedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('GenerationJob', generationJobSchema);
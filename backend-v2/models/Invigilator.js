@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * Invigilator Model
+ * A staff member who can supervise exam rooms. Duties are stored on the
+ * seating plan's rooms (see services/invigilation.js).
+ */
+const invigilatorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  employeeId: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  // Department code (e.g. CSE) - staff are kept out of their own department's exams
+  department: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  designation: {
+    type: String,
+    default: ''
+  },
+  email: {
+    type: String,
+    default: ''
+  },
+  phone: {
+    type: String,
+    default: ''
+  },
+  // Declared unavailability - no slot means the whole day
+  unavailability: [{
+    _id: false,
+    date: {
+      type: Date,
+      required: true
+    },
+    slot: {
+      type: String,
+      enum: ['FN', 'AN']
+    },
+    reason: String
+  }],
+  // Staff who left are kept for past duties but never assigned again
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Invigilator', invigilatorSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * Paper Model
+ * A subject/paper students write in an exam
+ * Example: CS301 - Operating Systems
+ * 
+ * classGroups lists the classes that write this paper by default;
+ * electives are assigned per student through PaperEnrolment
+ */
+const paperSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  classGroups: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClassGroup'
+  }]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Paper', paperSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * PaperEnrolment Model
+ * Which paper a student writes in a given exam (e.g. an elective)
+ * Overrides the paper's default classGroups for that student
+ */
+const paperEnrolmentSchema = new mongoose.Schema({
+  examName: {
+    type: String,
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  paper: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Paper',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// A student writes one paper per exam
+paperEnrolmentSchema.index({ examName: 1, student: 1 }, { unique: true });
+
+module.exports = mongoose.model('PaperEnrolment', paperEnrolmentSchema);
@@ -14,9 +14,82 @@ const roomSchema = new mongoose.Schema({
     type: String,
     enum: ['60', '45', 'custom'],
     required: true
+  },
+  building: {
+    type: String,
+    default: ''
+  },
+  floor: {
+    type: Number
+  },
+  // Retired rooms are kept for seatings that reference them but are
+  // hidden from room lists and never used for new seatings
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  retiredAt: {
+    type: Date
+  },
+  // Explicit geometry - when rows/columns are set they override the
+  // dimensions inferred from type, and capacity = usable seats
+  rows: {
+    type: Number,
+    min: 1
+  },
+  columns: {
+    type: Number,
+    min: 1
+  },
+  seatsPerBench: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Unusable seat positions (pillars, broken benches) - 0-indexed
+  blockedSeats: [{
+    _id: false,
+    row: {
+      type: Number,
+      required: true
+    },
+    col: {
+      type: Number,
+      required: true
+    }
+  }],
+  // Accessibility: step-free room (floor 0 rooms count as ground floor too),
+  // reserved for students with accommodations, and the door corner
+  // (accommodated students are seated closest to it)
+  accessible: {
+    type: Boolean,
+    default: false
+  },
+  reservedForAccommodations: {
+    type: Boolean,
+    default: false
+  },
+  doorPosition: {
+    type: String,
+    enum: ['front-left', 'front-right', 'back-left', 'back-right'],
+    default: 'front-left'
+  },
+  // Default seat pattern for exams in this room (see services/spacing.js)
+  spacingMode: {
+    type: String,
+    enum: ['even', 'one_per_bench', 'checkerboard', 'skip_column'],
+    default: 'even'
   }
 }, {
   timestamps: true
 });
 
+// Keep capacity in sync with explicit geometry
+roomSchema.pre('validate', function(next) {
+  if (this.rows && this.columns) {
+    this.capacity = this.rows * this.columns - this.blockedSeats.length;
+  }
+  next();
+});
+
 module.exports = mongoose.model('Room', roomSchema);
@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 
+// Same-branch neighbour pairs by direction
+const sameBranchSchema = new mongoose.Schema({
+  horizontal: Number,
+  vertical: Number,
+  diagonal: Number,
+  total: Number
+}, { _id: false });
+
 const seatingSchema = new mongoose.Schema({
   examName: {
     type: String,
@@ -9,6 +17,55 @@ const seatingSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Timetable exam this plan was generated for (see models/Exam.js)
+  exam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exam'
+  },
+  slot: String,
+  startTime: String,
+  endTime: String,
+  // Rooms/students also booked by an overlapping exam's plan (see services/timetable.js)
+  bookingConflicts: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['room', 'student']
+    },
+    roomName: String,
+    registerNumber: String,
+    name: String,
+    otherExam: String,
+    otherSeating: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seating'
+    }
+  }],
+  // Exam event this plan is a version of (see models/ExamEvent.js)
+  examEvent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExamEvent'
+  },
+  version: Number,
+  // Viewers only see published plans (see services/seatingStatus.js)
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'archived'],
+    default: 'draft'
+  },
+  publishedAt: Date,
+  // A published plan is read-only until an admin unlocks it
+  unlocked: {
+    type: Boolean,
+    default: false
+  },
+  unlockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  versionNote: String,
+  // Version this one was copied from by a rollback
+  rolledBackFrom: Number,
   includedClasses: [{
     classId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -19,22 +76,198 @@ const seatingSchema = new mongoose.Schema({
     year: Number,
     displayName: String
   }],
+  // Papers written in this exam (seat objects carry the paperCode)
+  papers: [{
+    _id: false,
+    paperId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Paper'
+    },
+    code: String,
+    name: String
+  }],
   usedRooms: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Room'
   }],
+  // Seating mode: multi (shifts), single (legacy overflow) or expand_rooms
+  mode: {
+    type: String,
+    enum: ['multi', 'single', 'expand_rooms'],
+    default: 'single'
+  },
+  // How students were shared out between rooms (see allocateStudentsToRooms)
+  allocationStrategy: {
+    type: String,
+    enum: ['proportional', 'fill_fewest', 'balanced'],
+    default: 'proportional'
+  },
+  // Spacing pattern requested for all rooms (unset = each room's own default)
+  spacingMode: String,
+  spacingWarnings: [String],
+  totalStudents: {
+    type: Number,
+    default: 0
+  },
+  totalSeats: {
+    type: Number,
+    default: 0
+  },
+  sessionsNeeded: {
+    type: Number,
+    default: 1
+  },
+  sessions: [{
+    sessionNumber: {
+      type: Number,
+      required: true
+    },
+    studentCount: {
+      type: Number,
+      default: 0
+    },
+    unassignedCount: {
+      type: Number,
+      default: 0
+    }
+  }],
+  expandApplied: {
+    type: Boolean,
+    default: false
+  },
+  expandOptions: {
+    addSeatsPerRoom: Number
+  },
+  // Rule profile used (if any) and the exact rule set applied
+  ruleProfile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SeatingRuleProfile'
+  },
+  rules: {
+    type: mongoose.Schema.Types.Mixed // see services/seatingRules.js
+  },
+  // PRNG seed - regenerating with the same seed and inputs gives the same plan
+  seed: Number,
+  // Room layouts for ALL sessions - each entry is tagged with its session
   rooms: [{
+    sessionNumber: {
+      type: Number,
+      default: 1
+    },
     roomId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Room',
       required: true
     },
     roomName: String,
+    seatsPerBench: {
+      type: Number,
+      default: 1
+    },
+    blockedSeats: [{
+      _id: false,
+      row: Number,
+      col: Number
+    }],
+    doorPosition: String,
+    spacingMode: String, // see services/spacing.js
+    // Students seated in this room (room allocations add up to the session's students)
+    allocated: Number,
+    // Staff supervising this room (see services/invigilation.js)
+    invigilators: [{
+      _id: false,
+      invigilator: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invigilator'
+      },
+      name: String,
+      employeeId: String,
+      department: String
+    }],
     layout: {
       type: [[mongoose.Schema.Types.Mixed]], // 2D array
       required: true
+    },
+    // Per-room quality metrics (see services/seatingQuality.js)
+    metrics: {
+      usableSeats: Number,
+      occupied: Number,
+      utilisation: Number,
+      sameBranch: sameBranchSchema,
+      adjacentPairs: Number,
+      lockValues: [mongoose.Schema.Types.Mixed],
+      lockViolation: Boolean,
+      gaps: {
+        empty: Number,
+        perRow: [Number],
+        largestRun: Number
+      }
+    }
+  }],
+  // Result of the optional optimize pass (see services/seatingOptimizer.js)
+  optimization: {
+    enabled: Boolean,
+    timeBudgetMs: Number,
+    iterations: Number,
+    elapsedMs: Number,
+    timedOut: Boolean,
+    greedyConflicts: Number,
+    optimizedConflicts: Number,
+    improvement: Number,
+    improvementPercent: Number
+  },
+  // Plan-wide quality summary (see services/seatingQuality.js)
+  quality: {
+    score: Number,
+    sameBranchAdjacencies: sameBranchSchema,
+    adjacentPairs: Number,
+    lockAttribute: String,
+    lockViolations: [{
+      _id: false,
+      sessionNumber: Number,
+      roomName: String,
+      values: [mongoose.Schema.Types.Mixed]
+    }],
+    utilisation: Number,
+    emptySeats: Number,
+    largestEmptyRun: Number
+  },
+  // Settings and outcome of the last invigilator assignment
+  invigilation: {
+    studentsPerInvigilator: Number,
+    minPerRoom: Number,
+    maxPerRoom: Number,
+    assignedAt: Date,
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    warnings: [String]
+  },
+  // Neighbour constraint violations the generator could not avoid
+  neighbourConflicts: [{
+    _id: false,
+    sessionNumber: Number,
+    roomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    },
+    roomName: String,
+    attribute: String,
+    value: mongoose.Schema.Types.Mixed,
+    seat: {
+      row: Number,
+      col: Number
+    },
+    neighbour: {
+      row: Number,
+      col: Number
     }
   }],
+  conflictCount: {
+    type: Number,
+    default: 0
+  },
   unassignedCount: {
     type: Number,
     default: 0
@@ -43,6 +276,36 @@ const seatingSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Student'
   }],
+  // Students barred from this exam and why (audit trail)
+  excludedStudents: [{
+    _id: false,
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student'
+    },
+    registerNumber: String,
+    name: String,
+    branch: String,
+    section: String,
+    year: Number,
+    reason: String,
+    note: String,
+    source: String // exclusion list name, or 'request' for inline entries
+  }],
+  excludedCount: {
+    type: Number,
+    default: 0
+  },
+  exclusionLists: [{
+    _id: false,
+    listId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExclusionList'
+    },
+    name: String
+  }],
+  // Excluded register numbers that were not among the selected students
+  unmatchedExclusions: [String],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -51,4 +314,6 @@ const seatingSchema = new mongoose.Schema({
   timestamps: true
 });
 
+seatingSchema.index({ examEvent: 1, version: 1 }, { unique: true, sparse: true });
+
 module.exports = mongoose.model('Seating', seatingSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * SeatingRuleProfile Model
+ * Reusable, named rule set for the seating generator
+ * See services/seatingRules.js for how each rule is applied
+ */
+const seatingRuleProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  rules: {
+    lockAttribute: {
+      type: String,
+      enum: ['year', 'subject', 'none'],
+      default: 'year'
+    },
+    alternate: {
+      attribute: {
+        type: String,
+        enum: ['branch', 'section', 'year', 'subject', 'none'],
+        default: 'branch'
+      },
+      focusValues: [String]
+    },
+    neighbourConstraints: [{
+      _id: false,
+      attribute: {
+        type: String,
+        enum: ['branch', 'section', 'year', 'subject'],
+        required: true
+      },
+      directions: [{
+        type: String,
+        enum: ['left', 'front', 'front-left', 'front-right']
+      }]
+    }]
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('SeatingRuleProfile', seatingRuleProfileSchema);
@@ -13,12 +13,14 @@ const studentSchema = new mongoose.Schema({
   branch: {
     type: String,
     required: true,
-    enum: ['CSE', 'ECE', 'EEE', 'MECH', 'CIVIL', 'IT']
+    uppercase: true,
+    trim: true
   },
   section: {
     type: String,
     required: true,
-    enum: ['A', 'B']
+    uppercase: true,
+    trim: true
   },
   year: {
     type: Number,
@@ -28,6 +30,24 @@ const studentSchema = new mongoose.Schema({
   classGroup: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ClassGroup'
+  },
+  // Special-needs seating - accommodated students are seated first, in
+  // designated rooms or near the door (see placeAccommodatedStudents)
+  accommodations: [{
+    type: String,
+    enum: ['ground_floor', 'near_door', 'separate_room', 'scribe', 'extra_time']
+  }],
+  accommodationNote: {
+    type: String,
+    default: ''
+  },
+  // Deactivated students (dropped out) are kept for past seatings but never seated again
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: {
+    type: Date
   }
 }, {
   timestamps: true
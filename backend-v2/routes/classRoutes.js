@@ -1,59 +1,43 @@
 const express = require('express');
 const router = express.Router();
 const ClassGroup = require('../models/ClassGroup');
+const Department = require('../models/Department');
 const Student = require('../models/Student');
+const { ensureDepartments, syncClassGroups } = require('../services/departmentConfig');
 const { authMiddleware, adminMiddleware } = require('../middleware/authMiddleware');
 
 /**
  * @route   POST /api/classes/seed
- * @desc    Seed class groups - UPDATED for new structure
+ * @desc    Rebuild class groups from the department configuration
+ *          (creates the default departments when none are configured).
+ *          Existing class groups are kept, so students, papers and exams
+ *          that reference them stay linked.
  * @access  Private (Admin)
  */
 router.post('/seed', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    // Clear existing class groups
-    await ClassGroup.deleteMany({});
+    await ensureDepartments();
     
-    // UPDATED: New class structure
-    // CSE: 2 sections (A, B) for both years
-    // All others: 1 section (A only) for both years
-    const classGroups = [];
-    
-    // Define departments and their section configuration
-    const deptConfig = [
-      { branch: 'CIVIL', sections: ['A'] },
-      { branch: 'CSE', sections: ['A', 'B'] },  // Only CSE has 2 sections
-      { branch: 'ECE', sections: ['A'] },
-      { branch: 'EEE', sections: ['A'] },
-      { branch: 'IT', sections: ['A'] },
-      { branch: 'MECH', sections: ['A'] }
-    ];
-    
-    const years = [1, 2]; // 1st year and 2nd year
-    
-    deptConfig.forEach(({ branch, sections }) => {
-      years.forEach(year => {
-        sections.forEach(section => {
-          const displayName = sections.length > 1 
-            ? `${branch} ${year}${year === 1 ? 'st' : 'nd'} Year ${section}`
-            : `${branch} ${year}${year === 1 ? 'st' : 'nd'} Year`;
-          
-          classGroups.push({
-            branch,
-            section,
-            year,
-            displayName
-          });
-        });
-      });
-    });
+    // One class group per department × year × section; inactive departments
+    // lose the class groups that have no students
+    const departments = await Department.find().sort({ code: 1 });
+    let created = 0;
+    let removed = 0;
+    for (const department of departments) {
+      const result = await syncClassGroups(department);
+      created += result.created;
+      removed += result.removed.length;
+    }
     
-    await ClassGroup.insertMany(classGroups);
+    const classGroups = await ClassGroup.find().sort({ branch: 1, year: 1, section: 1 });
+    const activeCount = departments.filter(d => d.isActive !== false).length;
     
     res.status(201).json({
       success: true,
-      message: `Successfully seeded ${classGroups.length} class groups`,
+      message: `Successfully seeded ${classGroups.length} class groups from ${activeCount} departments (${created} created, ${removed} removed)`,
       count: classGroups.length,
+      created,
+      removed,
       data: classGroups
     });
   } catch (error) {
@@ -82,7 +66,8 @@ router.get('/', authMiddleware, async (req, res) => {
         const studentCount = await Student.countDocuments({
           branch: classGroup.branch,
           section: classGroup.section,
-          year: classGroup.year
+          year: classGroup.year,
+          isActive: { $ne: false }
         });
         
         return {
@@ -130,7 +115,8 @@ router.get('/:id', authMiddleware, async (req, res) => {
     const studentCount = await Student.countDocuments({
       branch: classGroup.branch,
       section: classGroup.section,
-      year: classGroup.year
+      year: classGroup.year,
+      isActive: { $ne: false }
     });
     
     res.json({
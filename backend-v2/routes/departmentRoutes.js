@@ -0,0 +1,224 @@
+const express = require('express');
+const router = express.Router();
+const Department = require('../models/Department');
+const Student = require('../models/Student');
+const { syncClassGroups } = require('../services/departmentConfig');
+const { authMiddleware, adminMiddleware } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/departments
+ * @desc    Get department configuration (sections and years per department)
+ * @access  Private
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { isActive: { $ne: false } };
+    const departments = await Department.find(filter).sort({ code: 1 });
+
+    res.json({
+      success: true,
+      count: departments.length,
+      data: departments
+    });
+  } catch (error) {
+    console.error('Error fetching departments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching departments',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/departments
+ * @desc    Add a department and create its class groups
+ * @body    { code, name, sections: ['A', 'B'], years: [1, 2, 3, 4] }
+ * @access  Private (Admin)
+ */
+router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { code, name, sections, years } = req.body;
+
+    if (!code || !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide department code and name'
+      });
+    }
+
+    if (typeof code !== 'string' || !code.trim() || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Department code and name must be non-empty text'
+      });
+    }
+
+    if (!isList(sections) || !isList(years)) {
+      return res.status(400).json({
+        success: false,
+        message: 'sections and years must be non-empty arrays'
+      });
+    }
+
+    const normalizedCode = code.trim().toUpperCase();
+    const existing = await Department.findOne({ code: normalizedCode });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A department with this code already exists'
+      });
+    }
+
+    const department = new Department({ code: normalizedCode, name, sections, years });
+    const validationError = department.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: firstValidationMessage(validationError)
+      });
+    }
+
+    await department.save();
+    const classGroups = await syncClassGroups(department);
+
+    res.status(201).json({
+      success: true,
+      message: `Department ${department.code} created with ${classGroups.created} class groups`,
+      data: department,
+      classGroups
+    });
+  } catch (error) {
+    console.error('Error creating department:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating department',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/departments/:id
+ * @desc    Update a department - class groups are created/removed to match
+ *          (class groups that still have students are kept)
+ * @body    { name?, sections?, years?, isActive? }
+ * @access  Private (Admin)
+ */
+router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { name, sections, years, isActive } = req.body;
+
+    const department = await Department.findById(req.params.id);
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    if ((sections !== undefined && !isList(sections)) || (years !== undefined && !isList(years))) {
+      return res.status(400).json({
+        success: false,
+        message: 'sections and years must be non-empty arrays'
+      });
+    }
+
+    if (name !== undefined) department.name = name;
+    if (sections !== undefined) department.sections = sections;
+    if (years !== undefined) department.years = years;
+    if (isActive !== undefined) department.isActive = isActive;
+
+    const validationError = department.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: firstValidationMessage(validationError)
+      });
+    }
+
+    await department.save();
+    const classGroups = await syncClassGroups(department);
+
+    const notes = [];
+    if (classGroups.created) notes.push(`${classGroups.created} class groups added`);
+    if (classGroups.removed.length) notes.push(`${classGroups.removed.length} removed`);
+    if (classGroups.kept.length) notes.push(`kept ${classGroups.kept.join(', ')} (students still enrolled)`);
+
+    res.json({
+      success: true,
+      message: `Department ${department.code} updated${notes.length ? `: ${notes.join(', ')}` : ''}`,
+      data: department,
+      classGroups
+    });
+  } catch (error) {
+    console.error('Error updating department:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating department',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/departments/:id
+ * @desc    Delete a department and its class groups - departments that still
+ *          have students are deactivated instead
+ * @access  Private (Admin)
+ */
+router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id);
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    const studentCount = await Student.countDocuments({ branch: department.code });
+
+    department.isActive = false;
+
+    if (studentCount > 0) {
+      await department.save();
+      await syncClassGroups(department);
+
+      return res.json({
+        success: true,
+        message: `Department ${department.code} has ${studentCount} students and was deactivated instead of deleted`,
+        deactivated: true,
+        data: department
+      });
+    }
+
+    await syncClassGroups(department);
+    await department.deleteOne();
+
+    res.json({
+      success: true,
+      message: `Department ${department.code} deleted`,
+      deactivated: false
+    });
+  } catch (error) {
+    console.error('Error deleting department:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting department',
+      error: error.message
+    });
+  }
+});
+
+// Helper: non-empty array check for sections/years
+const isList = (value) => Array.isArray(value) && value.length > 0;
+
+// Helper: first message of a mongoose validation error
+const firstValidationMessage = (validationError) => {
+  return Object.values(validationError.errors)[0].message;
+};
+
+module.exports = router;
@@ -0,0 +1,230 @@
+const express = require('express');
+const router = express.Router();
+const ExamEvent = require('../models/ExamEvent');
+const Seating = require('../models/Seating');
+const { publishVersion, rollbackToVersion, diffSeatings } = require('../services/examEvents');
+const { visibilityFilter } = require('../services/seatingStatus');
+const { authMiddleware, adminMiddleware } = require('../middleware/authMiddleware');
+
+// Fields shown in a version history
+const VERSION_FIELDS = 'examName examDate version status publishedAt unlocked versionNote rolledBackFrom seed mode ' +
+  'totalStudents sessionsNeeded unassignedCount excludedCount conflictCount quality.score createdAt createdBy';
+
+/**
+ * @route   GET /api/exam-events
+ * @desc    Get all exam events with their version counts and published version
+ *          (viewers: only events with a published version)
+ * @access  Private
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const events = await ExamEvent.find()
+      .populate('createdBy', 'name')
+      .sort({ examDate: -1 })
+      .lean();
+
+    const versions = await Seating.find({
+      examEvent: { $in: events.map(e => e._id) },
+      ...visibilityFilter(req.user)
+    })
+      .select('examEvent version status')
+      .lean();
+
+    const data = events
+      .map(event => {
+        const own = versions.filter(v => String(v.examEvent) === String(event._id));
+        const published = own.find(v => v.status === 'published');
+        return {
+          ...event,
+          versionCount: own.length,
+          publishedVersion: published ? published.version : null
+        };
+      })
+      .filter(event => event.versionCount > 0);
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching exam events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exam events',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/exam-events/:id/diff?from=1&to=2
+ * @desc    Students who changed room or seat between two versions
+ *          (plus students only present in one of them)
+ * @access  Private
+ */
+router.get('/:id/diff', authMiddleware, async (req, res) => {
+  try {
+    const fromVersion = parseInt(req.query.from);
+    const toVersion = parseInt(req.query.to);
+
+    if (!Number.isInteger(fromVersion) || !Number.isInteger(toVersion)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the from and to version numbers'
+      });
+    }
+
+    const [from, to] = await Promise.all([
+      findVersion(req.params.id, fromVersion, visibilityFilter(req.user)),
+      findVersion(req.params.id, toVersion, visibilityFilter(req.user))
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${from ? toVersion : fromVersion} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: { _id: from._id, version: from.version },
+        to: { _id: to._id, version: to.version },
+        ...diffSeatings(from, to)
+      }
+    });
+  } catch (error) {
+    console.error('Error comparing versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing versions',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/exam-events/:id/publish
+ * @desc    Publish one version (the previously published version goes back to draft)
+ * @body    { version }
+ * @access  Private (Admin)
+ */
+router.post('/:id/publish', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const seating = await findVersion(req.params.id, req.body.version);
+
+    if (!seating) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    await publishVersion(seating);
+
+    res.json({
+      success: true,
+      message: `Version ${seating.version} published`,
+      data: { _id: seating._id, version: seating.version, status: seating.status }
+    });
+  } catch (error) {
+    console.error('Error publishing version:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error publishing version',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/exam-events/:id/rollback
+ * @desc    Restore an earlier version: it is copied into a new version,
+ *          so no history is lost. publish: true also publishes the copy.
+ * @body    { version, note?, publish? }
+ * @access  Private (Admin)
+ */
+router.post('/:id/rollback', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { version, note, publish } = req.body;
+    const source = await findVersion(req.params.id, version);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    const seating = await rollbackToVersion(source, req.user._id, note);
+    if (publish) {
+      await publishVersion(seating);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${source.version} restored as version ${seating.version}` +
+        (publish ? ' and published' : ' (draft)'),
+      data: { _id: seating._id, version: seating.version, status: seating.status }
+    });
+  } catch (error) {
+    console.error('Error rolling back version:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rolling back version',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/exam-events/:id
+ * @desc    Get an exam event with its version history (newest first)
+ *          (viewers: published version only)
+ * @access  Private
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const event = await ExamEvent.findById(req.params.id).populate('createdBy', 'name').lean();
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam event not found'
+      });
+    }
+
+    const versions = await Seating.find({ examEvent: event._id, ...visibilityFilter(req.user) })
+      .select(VERSION_FIELDS)
+      .populate('createdBy', 'name')
+      .sort({ version: -1 });
+
+    if (!versions.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { ...event, versions }
+    });
+  } catch (error) {
+    console.error('Error fetching exam event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exam event',
+      error: error.message
+    });
+  }
+});
+
+// Helper: one version of an event (full Seating document)
+const findVersion = (examEventId, version, filter = {}) => {
+  return Seating.findOne({ ...filter, examEvent: examEventId, version: parseInt(version) });
+};
+
+module.exports = router;
@@ -0,0 +1,259 @@
+const express = require('express');
+const router = express.Router();
+const Exam = require('../models/Exam');
+const Seating = require('../models/Seating');
+const {
+  SLOT_TIMES,
+  toExamDate,
+  normalizeExam,
+  findClassClashes,
+  getActivePlans,
+  findBookings
+} = require('../services/timetable');
+const { authMiddleware, adminMiddleware } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/exams?from=2026-11-01&to=2026-11-30
+ * @desc    Get the exam timetable (optionally a date range), with each exam's
+ *          current seating plan (viewers: published plans only)
+ * @access  Private
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.from || req.query.to) {
+      filter.date = {};
+      if (req.query.from) filter.date.$gte = toExamDate(req.query.from);
+      if (req.query.to) filter.date.$lte = toExamDate(req.query.to);
+    }
+
+    const exams = await Exam.find(filter)
+      .populate('classIds', 'displayName branch section year')
+      .populate('paperIds', 'code name')
+      .sort({ date: 1, startTime: 1 })
+      .lean();
+
+    const plans = await getActivePlans(exams.map(exam => exam._id), 'version');
+    const isAdmin = req.user.role === 'admin';
+
+    const data = exams.map(exam => {
+      const plan = plans.find(p => String(p.exam) === String(exam._id));
+      const visible = plan && (isAdmin || plan.status === 'published');
+      return {
+        ...exam,
+        plan: visible ? { _id: plan._id, status: plan.status, version: plan.version } : null
+      };
+    });
+
+    res.json({
+      success: true,
+      count: data.length,
+      slots: SLOT_TIMES,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching exams:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exams',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/exams/:id/bookings
+ * @desc    Rooms already used by the plans of overlapping exams, and class
+ *          groups that also write an overlapping exam
+ * @access  Private (Admin)
+ */
+router.get('/:id/bookings', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id);
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    const bookings = await findBookings(exam);
+    const classClashes = await findClassClashes(exam);
+
+    res.json({
+      success: true,
+      data: {
+        rooms: [...bookings.rooms.entries()].map(([roomId, booking]) => ({ roomId, ...booking })),
+        bookedStudents: bookings.students.size,
+        classClashes
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching exam bookings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exam bookings',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/exams/:id
+ * @desc    Get single exam
+ * @access  Private
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id)
+      .populate('classIds', 'displayName branch section year')
+      .populate('paperIds', 'code name');
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: exam
+    });
+  } catch (error) {
+    console.error('Error fetching exam:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exam',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/exams
+ * @desc    Schedule an exam. Times default to the slot's times.
+ *          Class groups that also write an overlapping exam are returned as warnings.
+ * @body    { name, date, slot: 'FN' | 'AN', startTime?, endTime?, classIds?, paperIds?, notes? }
+ * @access  Private (Admin)
+ */
+router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { exam: data, errors } = normalizeExam(req.body);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid exam',
+        errors
+      });
+    }
+
+    const exam = await Exam.create({ ...data, createdBy: req.user._id });
+    const warnings = await findClassClashes(exam);
+
+    res.status(201).json({
+      success: true,
+      message: 'Exam scheduled',
+      warnings,
+      data: exam
+    });
+  } catch (error) {
+    console.error('Error creating exam:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating exam',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/exams/:id
+ * @desc    Update an exam (changing the slot without times applies the slot's times).
+ *          Existing seating plans keep the slot they were generated for.
+ * @access  Private (Admin)
+ */
+router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id);
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    const { exam: data, errors } = normalizeExam(req.body, exam.toObject());
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid exam',
+        errors
+      });
+    }
+
+    exam.set(data);
+    await exam.save();
+    const warnings = await findClassClashes(exam);
+
+    res.json({
+      success: true,
+      message: 'Exam updated',
+      warnings,
+      data: exam
+    });
+  } catch (error) {
+    console.error('Error updating exam:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating exam',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/exams/:id
+ * @desc    Remove an exam from the timetable (refused while seating plans use it)
+ * @access  Private (Admin)
+ */
+router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id);
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    const planCount = await Seating.countDocuments({ exam: exam._id });
+    if (planCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Exam has ${planCount} seating plan(s) and cannot be deleted`
+      });
+    }
+
+    await exam.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Exam deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting exam:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting exam',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
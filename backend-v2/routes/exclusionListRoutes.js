@@ -0,0 +1,199 @@
+const express = require('express');
+const router = express.Router();
+const ExclusionList = require('../models/ExclusionList');
+const { EXCLUSION_REASONS, normalizeExclusions } = require('../services/exclusions');
+const { authMiddleware, adminMiddleware } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/exclusion-lists
+ * @desc    Get all saved exclusion lists (plus the allowed reasons)
+ * @access  Private
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const lists = await ExclusionList.find()
+      .populate('createdBy', 'name')
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      count: lists.length,
+      reasons: EXCLUSION_REASONS,
+      data: lists
+    });
+  } catch (error) {
+    console.error('Error fetching exclusion lists:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exclusion lists',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/exclusion-lists/:id
+ * @desc    Get single exclusion list
+ * @access  Private
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const list = await ExclusionList.findById(req.params.id).populate('createdBy', 'name');
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exclusion list not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: list
+    });
+  } catch (error) {
+    console.error('Error fetching exclusion list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exclusion list',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/exclusion-lists
+ * @desc    Save an exclusion list
+ * @body    { name, description?, entries: [{ registerNumber, reason, note? }] }
+ * @access  Private (Admin)
+ */
+router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { name, description, entries } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a list name'
+      });
+    }
+
+    const normalized = normalizeExclusions(entries || []);
+    if (normalized.errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid entries',
+        errors: normalized.errors
+      });
+    }
+
+    const existing = await ExclusionList.findOne({ name: name.trim() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'An exclusion list with this name already exists'
+      });
+    }
+
+    const list = await ExclusionList.create({
+      name,
+      description: description || '',
+      entries: normalized.entries,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Exclusion list saved with ${list.entries.length} students`,
+      data: list
+    });
+  } catch (error) {
+    console.error('Error creating exclusion list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating exclusion list',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/exclusion-lists/:id
+ * @desc    Update an exclusion list (entries replace the existing entries)
+ * @access  Private (Admin)
+ */
+router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { name, description, entries } = req.body;
+
+    const list = await ExclusionList.findById(req.params.id);
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exclusion list not found'
+      });
+    }
+
+    if (entries !== undefined) {
+      const normalized = normalizeExclusions(entries);
+      if (normalized.errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid entries',
+          errors: normalized.errors
+        });
+      }
+      list.entries = normalized.entries;
+    }
+
+    if (name !== undefined) list.name = name;
+    if (description !== undefined) list.description = description;
+
+    await list.save();
+
+    res.json({
+      success: true,
+      message: 'Exclusion list updated',
+      data: list
+    });
+  } catch (error) {
+    console.error('Error updating exclusion list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating exclusion list',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/exclusion-lists/:id
+ * @desc    Delete an exclusion list (seatings keep their own record of who was excluded)
+ * @access  Private (Admin)
+ */
+router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const list = await ExclusionList.findByIdAndDelete(req.params.id);
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exclusion list not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Exclusion list deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting exclusion list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting exclusion list',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,298 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const Exam = require('../models/Exam');
+const GenerationJob = require('../models/GenerationJob');
+const {
+  importTimetableFile,
+  createGenerationJob,
+  runGenerationJob,
+  runInBackground,
+  describeJob
+} = require('../services/bulkGeneration');
+const { toExamDate } = require('../services/timetable');
+const { SPACING_MODES } = require('../services/spacing');
+const { authMiddleware, adminMiddleware } = require('../middleware/authMiddleware');
+
+// expand_rooms needs per-exam room expansion settings, so bulk runs use multi or single
+const BULK_MODES = ['multi', 'single'];
+const ALLOCATION_STRATEGIES = ['proportional', 'fill_fewest', 'balanced'];
+
+// Timetable uploads are kept in memory (CSV/XLSX only, max 5 MB)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    cb(null, /\.(csv|xlsx|xls)$/i.test(file.originalname));
+  }
+});
+
+/**
+ * @route   POST /api/generation-jobs
+ * @desc    Generate seating plans for many timetable exams in one job
+ *          Exams: examIds, or every exam from..to (dates)
+ *          Options for every exam: roomIds (default all rooms), mode, allocationStrategy,
+ *          spacingMode, ruleProfileId, exclusionListIds
+ *          Runs in the background (poll GET /api/generation-jobs/:id); wait: true
+ *          responds when the job has finished
+ * @body    { examIds?, from?, to?, roomIds?, mode?, allocationStrategy?, spacingMode?,
+ *            ruleProfileId?, exclusionListIds?, wait? }
+ * @access  Private (Admin)
+ */
+router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { examIds, from, to } = req.body;
+    const wait = req.body.wait === true;
+
+    if (!(examIds && examIds.length) && !from && !to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide examIds or a from/to date range'
+      });
+    }
+
+    const { options, error } = readGenerationOptions(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const filter = {};
+    if (examIds && examIds.length) {
+      filter._id = { $in: examIds };
+    } else {
+      filter.date = {};
+      if (from) filter.date.$gte = toExamDate(from);
+      if (to) filter.date.$lte = toExamDate(to);
+    }
+
+    const exams = await Exam.find(filter);
+
+    if (!exams.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'No exams found in the timetable'
+      });
+    }
+
+    const job = await createGenerationJob(exams, options, req.user._id);
+    await startJob(job, wait);
+
+    res.status(wait ? 201 : 202).json({
+      success: true,
+      message: wait
+        ? `Bulk generation finished: ${describeJob(job)}`
+        : `Generating seating for ${job.total} exams`,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error starting generation job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting generation job',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/generation-jobs/upload?dryRun=true
+ * @desc    Import a timetable CSV/XLSX (multipart field "file") and generate every exam in it
+ *          Columns: name, date (yyyy-mm-dd), slot (FN/AN), startTime, endTime, classes, papers
+ *          (classes/papers separated by ';'). Exams with the same name, date and slot are reused.
+ *          Generation options as multipart fields (roomIds/exclusionListIds as JSON arrays).
+ *          dryRun=true validates and previews without creating exams or a job
+ * @access  Private (Admin)
+ */
+router.post('/upload', authMiddleware, adminMiddleware, (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: 'Error uploading file',
+        error: err.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a .csv or .xlsx file in the "file" field'
+      });
+    }
+
+    // Multipart fields are strings
+    let body;
+    try {
+      body = {
+        ...req.body,
+        roomIds: req.body.roomIds ? JSON.parse(req.body.roomIds) : undefined,
+        exclusionListIds: req.body.exclusionListIds ? JSON.parse(req.body.exclusionListIds) : undefined
+      };
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: 'roomIds and exclusionListIds must be JSON arrays'
+      });
+    }
+
+    const { options, error } = readGenerationOptions(body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+    const wait = req.query.wait === 'true' || req.body.wait === 'true';
+    const result = await importTimetableFile(req.file.buffer, dryRun, req.user._id);
+    const { summary } = result;
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: `Preview: ${summary.toCreate} exams to create, ${summary.existing} existing, ${summary.invalid} invalid rows`,
+        data: { ...result, exams: undefined }
+      });
+    }
+
+    if (!result.exams.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file has no valid exams',
+        errors: result.errors
+      });
+    }
+
+    const job = await createGenerationJob(result.exams, options, req.user._id, 'upload');
+    await startJob(job, wait);
+
+    res.status(wait ? 201 : 202).json({
+      success: true,
+      message: `Imported ${summary.toCreate} exams (${summary.existing} existing, ${summary.invalid} rows skipped). ` +
+        (wait ? `Bulk generation finished: ${describeJob(job)}` : `Generating seating for ${job.total} exams`),
+      data: job,
+      import: { ...result, exams: undefined }
+    });
+  } catch (error) {
+    console.error('Error importing timetable:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing timetable',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/generation-jobs
+ * @desc    Recent generation jobs (without per-exam items)
+ * @access  Private (Admin)
+ */
+router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const jobs = await GenerationJob.find()
+      .select('-items')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      data: jobs
+    });
+  } catch (error) {
+    console.error('Error fetching generation jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching generation jobs',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/generation-jobs/:id
+ * @desc    Job progress (processed / total) with the outcome of every exam
+ * @access  Private (Admin)
+ */
+router.get('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const job = await GenerationJob.findById(req.params.id)
+      .populate('createdBy', 'name email');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Generation job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: describeJob(job),
+      data: job
+    });
+  } catch (error) {
+    console.error('Error fetching generation job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching generation job',
+      error: error.message
+    });
+  }
+});
+
+// Helper: run the job now (wait) or after the response
+const startJob = async (job, wait) => {
+  if (wait) {
+    await runGenerationJob(job);
+  } else {
+    runInBackground(job);
+  }
+};
+
+// Helper: validate the generation options applied to every exam
+const readGenerationOptions = (body) => {
+  const {
+    roomIds = [],
+    mode = 'multi',
+    allocationStrategy = 'proportional',
+    spacingMode,
+    ruleProfileId,
+    exclusionListIds = []
+  } = body;
+
+  if (!Array.isArray(roomIds) || !Array.isArray(exclusionListIds)) {
+    return { error: 'roomIds and exclusionListIds must be arrays' };
+  }
+  if (!BULK_MODES.includes(mode)) {
+    return { error: `Invalid mode. Use one of: ${BULK_MODES.join(', ')}` };
+  }
+  if (!ALLOCATION_STRATEGIES.includes(allocationStrategy)) {
+    return { error: `Invalid allocationStrategy. Use one of: ${ALLOCATION_STRATEGIES.join(', ')}` };
+  }
+  if (spacingMode && !SPACING_MODES.includes(spacingMode)) {
+    return { error: `Invalid spacingMode. Use one of: ${SPACING_MODES.join(', ')}` };
+  }
+
+  return {
+    options: {
+      roomIds,
+      mode,
+      allocationStrategy,
+      spacingMode: spacingMode || undefined,
+      ruleProfileId: ruleProfileId || undefined,
+      exclusionListIds
+    }
+  };
+};
+
+module.exports = router;
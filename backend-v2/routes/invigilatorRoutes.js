@@ -0,0 +1,287 @@
+const express = require('express');
+const router = express.Router();
+const Invigilator = require('../models/Invigilator');
+const { getDutyCounts, getDuties } = require('../services/invigilation');
+const { EXAM_SLOTS, toExamDate } = require('../services/timetable');
+const { visibilityFilter } = require('../services/seatingStatus');
+const { authMiddleware, adminMiddleware } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/invigilators?department=CSE&search=&includeInactive=true
+ * @desc    Get invigilators with their duty count (non-archived plans)
+ *          search matches name or employee ID; staff who left are hidden unless includeInactive=true
+ * @access  Private (viewers: duties in published plans only)
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { department, search, includeInactive } = req.query;
+
+    const filter = {};
+    if (department) filter.department = String(department).toUpperCase();
+    if (includeInactive !== 'true') filter.isActive = { $ne: false };
+    if (search) {
+      const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ name: pattern }, { employeeId: pattern }];
+    }
+
+    const invigilators = await Invigilator.find(filter).sort({ department: 1, name: 1 }).lean();
+    const dutyCounts = await getDutyCounts(undefined, undefined, visibilityFilter(req.user));
+
+    res.json({
+      success: true,
+      count: invigilators.length,
+      data: invigilators.map(person => ({
+        ...person,
+        dutyCount: dutyCounts.get(String(person._id)) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching invigilators:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invigilators',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/invigilators/:id
+ * @desc    Get an invigilator with their duties
+ * @access  Private (viewers: duties in published plans only)
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const invigilator = await Invigilator.findById(req.params.id);
+
+    if (!invigilator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invigilator not found'
+      });
+    }
+
+    const duties = await getDuties(invigilator._id, visibilityFilter(req.user));
+
+    res.json({
+      success: true,
+      data: { ...invigilator.toObject(), duties }
+    });
+  } catch (error) {
+    console.error('Error fetching invigilator:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invigilator',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/invigilators
+ * @desc    Add an invigilator
+ * @body    { name, employeeId, department, designation?, email?, phone?,
+ *            unavailability?: [{ date, slot?: 'FN' | 'AN', reason? }] }
+ * @access  Private (Admin)
+ */
+router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { name, employeeId, department, designation, email, phone, unavailability } = req.body;
+
+    if (!name || !employeeId || !department) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide name, employeeId and department'
+      });
+    }
+
+    const normalizedEmployeeId = String(employeeId).trim().toUpperCase();
+    const existing = await Invigilator.findOne({ employeeId: normalizedEmployeeId });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'An invigilator with this employee ID already exists'
+      });
+    }
+
+    const { entries, errors } = normalizeUnavailability(unavailability || []);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid unavailability',
+        errors
+      });
+    }
+
+    const invigilator = await Invigilator.create({
+      name: name.trim(),
+      employeeId: normalizedEmployeeId,
+      department,
+      designation,
+      email,
+      phone,
+      unavailability: entries
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invigilator added',
+      data: invigilator
+    });
+  } catch (error) {
+    console.error('Error creating invigilator:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating invigilator',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/invigilators/:id
+ * @desc    Update an invigilator (unavailability replaces the whole list;
+ *          isActive: true brings back staff who left)
+ * @access  Private (Admin)
+ */
+router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { name, employeeId, department, designation, email, phone, unavailability, isActive } = req.body;
+
+    const invigilator = await Invigilator.findById(req.params.id);
+
+    if (!invigilator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invigilator not found'
+      });
+    }
+
+    if (employeeId !== undefined) {
+      const normalizedEmployeeId = String(employeeId).trim().toUpperCase();
+      if (normalizedEmployeeId !== invigilator.employeeId) {
+        const existing = await Invigilator.findOne({ employeeId: normalizedEmployeeId });
+        if (existing) {
+          return res.status(400).json({
+            success: false,
+            message: 'An invigilator with this employee ID already exists'
+          });
+        }
+        invigilator.employeeId = normalizedEmployeeId;
+      }
+    }
+
+    if (unavailability !== undefined) {
+      const { entries, errors } = normalizeUnavailability(unavailability);
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid unavailability',
+          errors
+        });
+      }
+      invigilator.unavailability = entries;
+    }
+
+    if (name !== undefined) invigilator.name = name.trim();
+    if (department !== undefined) invigilator.department = department;
+    if (designation !== undefined) invigilator.designation = designation;
+    if (email !== undefined) invigilator.email = email;
+    if (phone !== undefined) invigilator.phone = phone;
+
+    if (isActive !== undefined) {
+      invigilator.isActive = isActive;
+      invigilator.deactivatedAt = isActive ? undefined : new Date();
+    }
+
+    await invigilator.save();
+
+    res.json({
+      success: true,
+      message: 'Invigilator updated',
+      data: invigilator
+    });
+  } catch (error) {
+    console.error('Error updating invigilator:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating invigilator',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/invigilators/:id?permanent=true
+ * @desc    Deactivate an invigilator (left) - past duties are kept, no new duties are assigned
+ *          permanent=true removes the invigilator (plans keep the name on existing duties)
+ * @access  Private (Admin)
+ */
+router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const invigilator = await Invigilator.findById(req.params.id);
+
+    if (!invigilator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invigilator not found'
+      });
+    }
+
+    if (req.query.permanent === 'true') {
+      await invigilator.deleteOne();
+
+      return res.json({
+        success: true,
+        message: `Invigilator ${invigilator.employeeId} deleted`,
+        deactivated: false
+      });
+    }
+
+    invigilator.isActive = false;
+    invigilator.deactivatedAt = new Date();
+    await invigilator.save();
+
+    res.json({
+      success: true,
+      message: `Invigilator ${invigilator.employeeId} deactivated`,
+      deactivated: true,
+      data: invigilator
+    });
+  } catch (error) {
+    console.error('Error deleting invigilator:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting invigilator',
+      error: error.message
+    });
+  }
+});
+
+// Helper: validate unavailability entries (dates are stored as UTC midnight like exam dates)
+const normalizeUnavailability = (unavailability) => {
+  const errors = [];
+
+  if (!Array.isArray(unavailability)) {
+    return { entries: [], errors: ['unavailability must be an array'] };
+  }
+
+  const entries = unavailability.map((entry, idx) => {
+    const date = entry && entry.date ? toExamDate(entry.date) : null;
+    if (!date) {
+      errors.push(`Entry ${idx + 1}: date must be a valid date`);
+    }
+    if (entry && entry.slot && !EXAM_SLOTS.includes(entry.slot)) {
+      errors.push(`Entry ${idx + 1}: slot must be one of: ${EXAM_SLOTS.join(', ')} (or empty for the whole day)`);
+    }
+    return {
+      date,
+      slot: (entry && entry.slot) || undefined,
+      reason: (entry && entry.reason) || ''
+    };
+  });
+
+  return { entries, errors };
+};
+
+module.exports = router;
@@ -0,0 +1,310 @@
+const express = require('express');
+const router = express.Router();
+const Paper = require('../models/Paper');
+const PaperEnrolment = require('../models/PaperEnrolment');
+const Student = require('../models/Student');
+const { authMiddleware, adminMiddleware } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/papers
+ * @desc    Get all papers
+ * @access  Private
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const papers = await Paper.find()
+      .populate('classGroups', 'branch section year displayName')
+      .sort({ code: 1 });
+
+    res.json({
+      success: true,
+      count: papers.length,
+      data: papers
+    });
+  } catch (error) {
+    console.error('Error fetching papers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching papers',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/papers
+ * @desc    Create a paper
+ * @access  Private (Admin)
+ */
+router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { code, name, classGroups } = req.body;
+
+    if (!code || !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide paper code and name'
+      });
+    }
+
+    const existing = await Paper.findOne({ code: code.toUpperCase().trim() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A paper with this code already exists'
+      });
+    }
+
+    const paper = await Paper.create({
+      code,
+      name,
+      classGroups: classGroups || []
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Paper created',
+      data: paper
+    });
+  } catch (error) {
+    console.error('Error creating paper:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating paper',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/papers/enrolments?examName=...
+ * @desc    Get per-student paper enrolments for an exam
+ * @access  Private
+ */
+router.get('/enrolments', authMiddleware, async (req, res) => {
+  try {
+    const { examName } = req.query;
+
+    if (!examName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide examName'
+      });
+    }
+
+    const enrolments = await PaperEnrolment.find({ examName })
+      .populate('student', 'registerNumber name branch section year')
+      .populate('paper', 'code name');
+
+    res.json({
+      success: true,
+      count: enrolments.length,
+      data: enrolments
+    });
+  } catch (error) {
+    console.error('Error fetching enrolments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching enrolments',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/papers/enrolments
+ * @desc    Enrol students in a paper for an exam (replaces their previous paper for that exam)
+ * @body    { examName, paperId, registerNumbers: [...] }
+ * @access  Private (Admin)
+ */
+router.post('/enrolments', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { examName, paperId, registerNumbers } = req.body;
+
+    if (!examName || !paperId || !Array.isArray(registerNumbers) || !registerNumbers.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide examName, paperId and registerNumbers'
+      });
+    }
+
+    const paper = await Paper.findById(paperId);
+    if (!paper) {
+      return res.status(404).json({
+        success: false,
+        message: 'Paper not found'
+      });
+    }
+
+    const students = await Student.find({ registerNumber: { $in: registerNumbers } }).select('_id registerNumber');
+    const found = new Set(students.map(s => s.registerNumber));
+    const notFound = registerNumbers.filter(r => !found.has(r));
+
+    if (students.length) {
+      await PaperEnrolment.bulkWrite(students.map(student => ({
+        updateOne: {
+          filter: { examName, student: student._id },
+          update: { $set: { paper: paper._id } },
+          upsert: true
+        }
+      })));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Enrolled ${students.length} students in ${paper.code} for ${examName}`,
+      count: students.length,
+      notFound
+    });
+  } catch (error) {
+    console.error('Error enrolling students:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enrolling students',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/papers/enrolments
+ * @desc    Remove paper enrolments for an exam (optionally only some students)
+ * @body    { examName, registerNumbers?: [...] }
+ * @access  Private (Admin)
+ */
+router.delete('/enrolments', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { examName, registerNumbers } = req.body;
+
+    if (!examName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide examName'
+      });
+    }
+
+    const filter = { examName };
+    if (Array.isArray(registerNumbers) && registerNumbers.length) {
+      const students = await Student.find({ registerNumber: { $in: registerNumbers } }).select('_id');
+      filter.student = { $in: students.map(s => s._id) };
+    }
+
+    const result = await PaperEnrolment.deleteMany(filter);
+
+    res.json({
+      success: true,
+      message: `Removed ${result.deletedCount} enrolments`,
+      count: result.deletedCount
+    });
+  } catch (error) {
+    console.error('Error removing enrolments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing enrolments',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/papers/:id
+ * @desc    Get single paper
+ * @access  Private
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const paper = await Paper.findById(req.params.id)
+      .populate('classGroups', 'branch section year displayName');
+
+    if (!paper) {
+      return res.status(404).json({
+        success: false,
+        message: 'Paper not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: paper
+    });
+  } catch (error) {
+    console.error('Error fetching paper:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching paper',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/papers/:id
+ * @desc    Update a paper
+ * @access  Private (Admin)
+ */
+router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { code, name, classGroups } = req.body;
+
+    const paper = await Paper.findById(req.params.id);
+    if (!paper) {
+      return res.status(404).json({
+        success: false,
+        message: 'Paper not found'
+      });
+    }
+
+    if (code !== undefined) paper.code = code;
+    if (name !== undefined) paper.name = name;
+    if (classGroups !== undefined) paper.classGroups = classGroups;
+
+    await paper.save();
+
+    res.json({
+      success: true,
+      message: 'Paper updated',
+      data: paper
+    });
+  } catch (error) {
+    console.error('Error updating paper:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating paper',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/papers/:id
+ * @desc    Delete a paper and its enrolments
+ * @access  Private (Admin)
+ */
+router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const paper = await Paper.findByIdAndDelete(req.params.id);
+
+    if (!paper) {
+      return res.status(404).json({
+        success: false,
+        message: 'Paper not found'
+      });
+    }
+
+    await PaperEnrolment.deleteMany({ paper: paper._id });
+
+    res.json({
+      success: true,
+      message: 'Paper deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting paper:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting paper',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
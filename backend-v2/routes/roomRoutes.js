@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const Room = require('../models/Room');
+const Seating = require('../models/Seating');
+const { SPACING_MODES } = require('../services/spacing');
 const { authMiddleware, adminMiddleware } = require('../middleware/authMiddleware');
 
 /**
@@ -78,21 +80,17 @@ router.post('/seed', authMiddleware, adminMiddleware, async (req, res) => {
 });
 
 /**
- * @route   GET /api/rooms
- * @desc    Get all rooms
+ * @route   GET /api/rooms?includeRetired=true
+ * @desc    Get all active rooms (optionally including retired ones)
  * @access  Private
  */
 router.get('/', authMiddleware, async (req, res) => {
   try {
-    // UPDATED: Natural sorting for R1, R2, ... R10 (not string sort)
-    const rooms = await Room.find().lean();
+    const filter = req.query.includeRetired === 'true' ? {} : { isActive: { $ne: false } };
+    const rooms = await Room.find(filter).lean();
     
-    // Custom sort to handle R1-R10 properly
-    rooms.sort((a, b) => {
-      const numA = parseInt(a.name.replace('R', ''));
-      const numB = parseInt(b.name.replace('R', ''));
-      return numA - numB;
-    });
+    // UPDATED: Natural sorting for R1, R2, ... R10 (not string sort) - works for any hall name
+    rooms.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
     
     res.json({
       success: true,
@@ -139,4 +137,345 @@ router.get('/:id', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/rooms
+ * @desc    Add a room
+ * @body    { name, capacity, type?, building?, floor?, accessible?, reservedForAccommodations?, doorPosition?, spacingMode? }
+ * @access  Private (Admin)
+ */
+router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const {
+      name,
+      capacity,
+      type,
+      building,
+      floor,
+      accessible,
+      reservedForAccommodations,
+      doorPosition,
+      spacingMode
+    } = req.body;
+    
+    // Validation
+    if (!name || !Number.isInteger(capacity) || capacity < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide room name and a positive integer capacity'
+      });
+    }
+    
+    if (spacingMode !== undefined && !SPACING_MODES.includes(spacingMode)) {
+      return res.status(400).json({
+        success: false,
+        message: `spacingMode must be one of: ${SPACING_MODES.join(', ')}`
+      });
+    }
+    
+    const invalid = validateRoomFields({ type, floor, doorPosition, accessible, reservedForAccommodations });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+    
+    const existing = await Room.findOne({ name });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A room with this name already exists'
+      });
+    }
+    
+    const room = await Room.create({
+      name,
+      capacity,
+      type: type || (['60', '45'].includes(String(capacity)) ? String(capacity) : 'custom'),
+      building,
+      floor,
+      accessible,
+      reservedForAccommodations,
+      doorPosition,
+      spacingMode
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Room created',
+      data: room
+    });
+  } catch (error) {
+    console.error('Error creating room:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating room',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/rooms/:id
+ * @desc    Update room details (capacity of rooms with a drawn layout comes from the layout)
+ * @body    { name?, capacity?, type?, building?, floor?, accessible?, reservedForAccommodations?, doorPosition?, spacingMode?, isActive? }
+ * @access  Private (Admin)
+ */
+router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const {
+      name,
+      capacity,
+      type,
+      building,
+      floor,
+      accessible,
+      reservedForAccommodations,
+      doorPosition,
+      spacingMode,
+      isActive
+    } = req.body;
+    
+    const room = await Room.findById(req.params.id);
+    
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+    
+    if (capacity !== undefined && (!Number.isInteger(capacity) || capacity < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'capacity must be a positive integer'
+      });
+    }
+    
+    if (spacingMode !== undefined && !SPACING_MODES.includes(spacingMode)) {
+      return res.status(400).json({
+        success: false,
+        message: `spacingMode must be one of: ${SPACING_MODES.join(', ')}`
+      });
+    }
+    
+    const invalid = validateRoomFields({ type, floor, doorPosition, accessible, reservedForAccommodations }) ||
+      (isActive !== undefined && typeof isActive !== 'boolean' ? 'isActive must be true or false' : null);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+    
+    if (name !== undefined && name !== room.name) {
+      const existing = await Room.findOne({ name });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: 'A room with this name already exists'
+        });
+      }
+      room.name = name;
+    }
+    
+    if (capacity !== undefined) room.capacity = capacity;
+    if (type !== undefined) room.type = type;
+    if (building !== undefined) room.building = building;
+    if (floor !== undefined) room.floor = floor;
+    if (accessible !== undefined) room.accessible = accessible;
+    if (reservedForAccommodations !== undefined) room.reservedForAccommodations = reservedForAccommodations;
+    if (doorPosition !== undefined) room.doorPosition = doorPosition;
+    if (spacingMode !== undefined) room.spacingMode = spacingMode;
+    
+    // Restoring a retired room
+    if (isActive !== undefined) {
+      room.isActive = isActive;
+      room.retiredAt = isActive ? undefined : new Date();
+    }
+    
+    await room.save();
+    
+    res.json({
+      success: true,
+      message: 'Room updated',
+      data: room
+    });
+  } catch (error) {
+    console.error('Error updating room:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating room',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/rooms/:id
+ * @desc    Delete a room - rooms used by existing seatings are retired (soft-deleted) instead
+ * @access  Private (Admin)
+ */
+router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const room = await Room.findById(req.params.id);
+    
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+    
+    const seatingCount = await Seating.countDocuments({ usedRooms: room._id });
+    
+    if (seatingCount > 0) {
+      room.isActive = false;
+      room.retiredAt = new Date();
+      await room.save();
+      
+      return res.json({
+        success: true,
+        message: `Room ${room.name} is used by ${seatingCount} seating(s) and was retired instead of deleted`,
+        retired: true,
+        data: room
+      });
+    }
+    
+    await room.deleteOne();
+    
+    res.json({
+      success: true,
+      message: `Room ${room.name} deleted`,
+      retired: false
+    });
+  } catch (error) {
+    console.error('Error deleting room:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting room',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/rooms/:id/layout
+ * @desc    Set room geometry: rows, columns, seats per bench and blocked seats
+ * @body    { rows, columns, seatsPerBench, blockedSeats: [{ row, col }] }
+ * @access  Private (Admin)
+ */
+router.put('/:id/layout', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { rows, columns, seatsPerBench = 1, blockedSeats = [] } = req.body;
+    
+    // Validation
+    if (!Number.isInteger(rows) || rows < 1 || !Number.isInteger(columns) || columns < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'rows and columns must be positive integers'
+      });
+    }
+    
+    if (!Number.isInteger(seatsPerBench) || seatsPerBench < 1 || columns % seatsPerBench !== 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'seatsPerBench must be a positive integer that divides columns'
+      });
+    }
+    
+    if (!Array.isArray(blockedSeats)) {
+      return res.status(400).json({
+        success: false,
+        message: 'blockedSeats must be an array of { row, col }'
+      });
+    }
+    
+    const outOfBounds = blockedSeats.filter(seat =>
+      !seat || !Number.isInteger(seat.row) || !Number.isInteger(seat.col) ||
+      seat.row < 0 || seat.row >= rows || seat.col < 0 || seat.col >= columns
+    );
+    if (outOfBounds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'blockedSeats must be within the room grid'
+      });
+    }
+    
+    // Drop duplicates
+    const seen = new Set();
+    const uniqueBlocked = blockedSeats.filter(seat => {
+      const key = `${seat.row}-${seat.col}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    }).map(seat => ({ row: seat.row, col: seat.col }));
+    
+    if (uniqueBlocked.length >= rows * columns) {
+      return res.status(400).json({
+        success: false,
+        message: 'A room needs at least one usable seat'
+      });
+    }
+    
+    const room = await Room.findById(req.params.id);
+    
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+    
+    room.rows = rows;
+    room.columns = columns;
+    room.seatsPerBench = seatsPerBench;
+    room.blockedSeats = uniqueBlocked;
+    
+    // Capacity is recalculated from the geometry on save
+    await room.save();
+    
+    res.json({
+      success: true,
+      message: `Room layout saved (${room.capacity} usable seats)`,
+      data: room
+    });
+  } catch (error) {
+    console.error('Error saving room layout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving room layout',
+      error: error.message
+    });
+  }
+});
+
+// Helper: checks for the optional room detail fields (undefined = not given);
+// returns an error message or null
+const validateRoomFields = ({ type, floor, doorPosition, accessible, reservedForAccommodations }) => {
+  const types = Room.schema.path('type').enumValues;
+  if (type !== undefined && !types.includes(type)) {
+    return `type must be one of: ${types.join(', ')}`;
+  }
+  
+  if (floor !== undefined && floor !== null && !Number.isInteger(floor)) {
+    return 'floor must be a whole number (0 = ground floor)';
+  }
+  
+  const doorPositions = Room.schema.path('doorPosition').enumValues;
+  if (doorPosition !== undefined && !doorPositions.includes(doorPosition)) {
+    return `doorPosition must be one of: ${doorPositions.join(', ')}`;
+  }
+  
+  if (accessible !== undefined && typeof accessible !== 'boolean') {
+    return 'accessible must be true or false';
+  }
+  
+  if (reservedForAccommodations !== undefined && typeof reservedForAccommodations !== 'boolean') {
+    return 'reservedForAccommodations must be true or false';
+  }
+  
+  return null;
+};
+
 module.exports = router;
@@ -0,0 +1,196 @@
+const express = require('express');
+const router = express.Router();
+const SeatingRuleProfile = require('../models/SeatingRuleProfile');
+const { DEFAULT_RULES, normalizeRules, validateRules } = require('../services/seatingRules');
+const { authMiddleware, adminMiddleware } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/rule-profiles
+ * @desc    Get all seating rule profiles (plus the built-in default rules)
+ * @access  Private
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const profiles = await SeatingRuleProfile.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: profiles.length,
+      defaults: DEFAULT_RULES,
+      data: profiles
+    });
+  } catch (error) {
+    console.error('Error fetching rule profiles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching rule profiles',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/rule-profiles/:id
+ * @desc    Get single rule profile
+ * @access  Private
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const profile = await SeatingRuleProfile.findById(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    console.error('Error fetching rule profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching rule profile',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/rule-profiles
+ * @desc    Create a reusable rule profile
+ * @access  Private (Admin)
+ */
+router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { name, description, rules } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a profile name'
+      });
+    }
+
+    const errors = validateRules(rules || {});
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rules',
+        errors
+      });
+    }
+
+    const existing = await SeatingRuleProfile.findOne({ name });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rule profile with this name already exists'
+      });
+    }
+
+    const profile = await SeatingRuleProfile.create({
+      name,
+      description,
+      rules: normalizeRules(rules),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rule profile created',
+      data: profile
+    });
+  } catch (error) {
+    console.error('Error creating rule profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating rule profile',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/rule-profiles/:id
+ * @desc    Update a rule profile
+ * @access  Private (Admin)
+ */
+router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { name, description, rules } = req.body;
+
+    const profile = await SeatingRuleProfile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule profile not found'
+      });
+    }
+
+    if (rules !== undefined) {
+      const errors = validateRules(rules);
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid rules',
+          errors
+        });
+      }
+      profile.rules = normalizeRules(rules);
+    }
+
+    if (name !== undefined) profile.name = name;
+    if (description !== undefined) profile.description = description;
+
+    await profile.save();
+
+    res.json({
+      success: true,
+      message: 'Rule profile updated',
+      data: profile
+    });
+  } catch (error) {
+    console.error('Error updating rule profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating rule profile',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/rule-profiles/:id
+ * @desc    Delete a rule profile (seatings keep their own copy of the rules)
+ * @access  Private (Admin)
+ */
+router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const profile = await SeatingRuleProfile.findByIdAndDelete(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rule profile deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting rule profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting rule profile',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
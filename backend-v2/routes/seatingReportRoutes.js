@@ -0,0 +1,214 @@
+const express = require('express');
+const router = express.Router();
+const { getSeatingById } = require('../services/seatingGenerator');
+const { isVisibleTo, visibilityFilter } = require('../services/seatingStatus');
+const { DEFAULT_INVIGILATION, getDutyChart } = require('../services/invigilation');
+const {
+  PACKET_SECTIONS,
+  PAGE_SIZES,
+  PLAN_VARIANTS,
+  buildRoomPackets,
+  buildSeatingPlan,
+  buildDutyChart,
+  listSeats
+} = require('../services/seatingReports');
+const { toExamDate } = require('../services/timetable');
+const { authMiddleware } = require('../middleware/authMiddleware');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Report name -> packet sections it contains
+const ROOM_REPORTS = {
+  packets: PACKET_SECTIONS,
+  cover: ['cover'],
+  attendance: ['attendance'],
+  absentees: ['absentees']
+};
+
+/**
+ * @route   GET /api/seating/:id/pdf?size=A4&variant=grid&roomEntryId=&session=
+ * @desc    Seating plan as PDF, the same in every browser. One page per room:
+ *          header (institution, exam, date, room) and the seat grid with register
+ *          numbers and class codes. size: A4 (default) | A3;
+ *          variant: grid (default) | notice - a notice-board page per room with
+ *          the room and its register numbers in large type.
+ *          Covers every room with students; roomEntryId / session narrow it down.
+ * @access  Private (viewers: published plans only)
+ */
+router.get('/:id/pdf', authMiddleware, async (req, res) => {
+  try {
+    const size = (req.query.size || 'A4').toUpperCase();
+    const variant = req.query.variant || 'grid';
+
+    if (!PAGE_SIZES.includes(size) || !PLAN_VARIANTS.includes(variant)) {
+      return res.status(400).json({
+        success: false,
+        message: `size must be one of: ${PAGE_SIZES.join(', ')}; variant must be one of: ${PLAN_VARIANTS.join(', ')}`
+      });
+    }
+
+    const seating = await getSeatingById(req.params.id);
+
+    if (!seating || !isVisibleTo(seating, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seating arrangement not found'
+      });
+    }
+
+    const { rooms, status, message } = selectRooms(seating, req.query);
+    if (message) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const doc = buildSeatingPlan(seating, rooms, { size, variant });
+    const suffix = variant === 'notice' ? '-notice' : '';
+
+    sendPdf(res, doc, `${seating.examName}-seating${suffix}-${size}.pdf`);
+  } catch (error) {
+    console.error('Error building seating PDF:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building seating PDF',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/seating/:id/reports/duty-chart?from=2026-11-01&to=2026-11-30
+ * @desc    Faculty-wise invigilation duty chart (PDF) for the exam cycle.
+ *          Default range: the invigilation cycle (30 days) either side of this plan's exam date.
+ *          Each exam event counts once (its published version, else its newest version).
+ * @access  Private (viewers: published plans only)
+ */
+router.get('/:id/reports/duty-chart', authMiddleware, async (req, res) => {
+  try {
+    const seating = await getSeatingById(req.params.id);
+
+    if (!seating || !isVisibleTo(seating, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seating arrangement not found'
+      });
+    }
+
+    const examDay = toExamDate(seating.examDate);
+    const from = req.query.from
+      ? toExamDate(req.query.from)
+      : new Date(examDay.getTime() - DEFAULT_INVIGILATION.cycleDays * DAY_MS);
+    const to = req.query.to
+      ? toExamDate(req.query.to)
+      : new Date(examDay.getTime() + DEFAULT_INVIGILATION.cycleDays * DAY_MS);
+
+    if (!from || !to || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates, with from on or before to'
+      });
+    }
+
+    const chart = await getDutyChart(from, to, visibilityFilter(req.user));
+    const doc = buildDutyChart(chart, { from, to });
+
+    sendPdf(res, doc, `duty-chart-${from.toISOString().slice(0, 10)}-to-${to.toISOString().slice(0, 10)}.pdf`);
+  } catch (error) {
+    console.error('Error building duty chart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building duty chart',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/seating/:id/reports/:report?roomEntryId=&session=
+ * @desc    Printable room reports (PDF). report is one of:
+ *          packets    - cover sheet, attendance sheet and absentee summary per room
+ *          cover      - cover sheets with the room's invigilators
+ *          attendance - seated students in seat order with a signature column
+ *          absentees  - blank absentee summary forms
+ *          Covers every room with students; roomEntryId (a rooms[] _id) picks one room,
+ *          session picks the rooms of one session.
+ * @access  Private (viewers: published plans only)
+ */
+router.get('/:id/reports/:report', authMiddleware, async (req, res) => {
+  try {
+    const sections = ROOM_REPORTS[req.params.report];
+    if (!sections) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown report. Use one of: ${[...Object.keys(ROOM_REPORTS), 'duty-chart'].join(', ')}`
+      });
+    }
+
+    const seating = await getSeatingById(req.params.id);
+
+    if (!seating || !isVisibleTo(seating, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seating arrangement not found'
+      });
+    }
+
+    const { rooms, status, message } = selectRooms(seating, req.query);
+    if (message) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const { roomEntryId, session } = req.query;
+    const doc = buildRoomPackets(seating, rooms, sections);
+    const suffix = roomEntryId ? `-${rooms[0].roomName}` : session ? `-session-${session}` : '';
+
+    sendPdf(res, doc, `${seating.examName}-${req.params.report}${suffix}.pdf`);
+  } catch (error) {
+    console.error('Error building seating report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building seating report',
+      error: error.message
+    });
+  }
+});
+
+// Helper: room entries a PDF covers - one room (roomEntryId), or every room with
+// students (optionally of one session)
+const selectRooms = (seating, { roomEntryId, session }) => {
+  let rooms = seating.rooms;
+
+  if (roomEntryId) {
+    rooms = rooms.filter(room => String(room._id) === String(roomEntryId));
+    if (rooms.length === 0) {
+      return { status: 404, message: 'Room not found in this seating' };
+    }
+    return { rooms };
+  }
+
+  if (session) {
+    rooms = rooms.filter(room => (room.sessionNumber || 1) === Number(session));
+  }
+  rooms = rooms.filter(room => listSeats(room).length > 0);
+
+  if (rooms.length === 0) {
+    return { status: 400, message: 'No rooms with seated students to report on' };
+  }
+  return { rooms };
+};
+
+// Helper: stream a finished PDF document as a download
+const sendPdf = (res, doc, filename) => {
+  const safeName = filename.replace(/[^A-Za-z0-9._-]+/g, '_');
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${safeName}"`);
+  doc.pipe(res);
+  doc.end();
+};
+
+module.exports = router;
@@ -1,44 +1,244 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
+const ExamEvent = require('../models/ExamEvent');
+const Exam = require('../models/Exam');
 const {
   generateSeating,
   getLatestSeating,
   getSeatingById,
   getAllSeatings
 } = require('../services/seatingGenerator');
+const { validateRules } = require('../services/seatingRules');
+const { normalizeExclusions } = require('../services/exclusions');
+const { MAX_SEED, isValidSeed } = require('../services/random');
+const { MAX_TIME_BUDGET_MS } = require('../services/seatingOptimizer');
+const { SPACING_MODES } = require('../services/spacing');
+const { moveSeat, revalidateSeating } = require('../services/seatEditor');
+const { scoreSeating } = require('../services/seatingQuality');
+const { visibilityFilter, isVisibleTo, getEditBlock } = require('../services/seatingStatus');
+const { publishVersion } = require('../services/examEvents');
+const { findBookings } = require('../services/timetable');
+const { normalizeInvigilationConfig, assignInvigilators } = require('../services/invigilation');
 const { authMiddleware, adminMiddleware } = require('../middleware/authMiddleware');
 
+const SEATING_MODES = ['multi', 'single', 'expand_rooms'];
+const ALLOCATION_STRATEGIES = ['proportional', 'fill_fewest', 'balanced'];
+
 /**
  * @route   POST /api/seating/generate
  * @desc    Generate seating arrangement
+ *          exclusions: ['2CSEA014', { registerNumber, reason, note }] and/or
+ *          exclusionListIds: [...] keep barred students off the hall plan
+ *          seed: optional integer - reuse a seating's seed to reproduce it exactly
+ *          optimize: true | { timeBudgetMs } - reduce neighbour conflicts by local search
+ *          allocationStrategy: 'proportional' (default) | 'fill_fewest' | 'balanced'
+ *          spacingMode: 'even' | 'one_per_bench' | 'checkerboard' | 'skip_column'
+ *          (unset = each room's default)
+ *          examEventId: save as the next version of an existing exam event
+ *          (default: start a new event); versionNote: why it was regenerated
+ *          examId: generate for a timetable exam - name, date, classes and papers
+ *          default to the exam's. Rooms used by an overlapping exam's plan are
+ *          refused (allowDoubleBooking: true to override) or skipped when no
+ *          rooms are selected; double-booked students are reported as warnings.
  * @access  Private (Admin)
  */
 router.post('/generate', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { examName, examDate, classIds, roomIds } = req.body;
+    const {
+      examName,
+      examDate,
+      classIds,
+      roomIds,
+      mode = 'multi',
+      expandOptions,
+      ruleProfileId,
+      rules,
+      paperIds,
+      exclusions,
+      exclusionListIds,
+      seed,
+      optimize,
+      allocationStrategy = 'proportional',
+      spacingMode,
+      examEventId,
+      versionNote,
+      examId,
+      allowDoubleBooking = false
+    } = req.body;
     
     // Validation
-    if (!examName || !examDate) {
+    if ((!examName || !examDate) && !examId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide examName and examDate (or a timetable examId)'
+      });
+    }
+    
+    if (!SEATING_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid mode. Use one of: ${SEATING_MODES.join(', ')}`
+      });
+    }
+    
+    if (!ALLOCATION_STRATEGIES.includes(allocationStrategy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid allocationStrategy. Use one of: ${ALLOCATION_STRATEGIES.join(', ')}`
+      });
+    }
+    
+    if (spacingMode !== undefined && !SPACING_MODES.includes(spacingMode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid spacingMode. Use one of: ${SPACING_MODES.join(', ')}`
+      });
+    }
+    
+    if (mode === 'expand_rooms') {
+      const addSeatsPerRoom = expandOptions && expandOptions.addSeatsPerRoom;
+      if (!Number.isInteger(addSeatsPerRoom) || addSeatsPerRoom < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'expand_rooms mode requires expandOptions.addSeatsPerRoom (positive integer)'
+        });
+      }
+    }
+    
+    if (rules !== undefined) {
+      const errors = validateRules(rules);
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid rules',
+          errors
+        });
+      }
+    }
+    
+    const badIds = findInvalidIds({ classIds, roomIds, paperIds, exclusionListIds }, { ruleProfileId, examEventId, examId });
+    if (badIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ids in: ${badIds.join(', ')}`
+      });
+    }
+    
+    const hasSeed = seed !== undefined && seed !== null && seed !== '';
+    if (hasSeed && !isValidSeed(Number(seed))) {
+      return res.status(400).json({
+        success: false,
+        message: `seed must be a whole number from 0 to ${MAX_SEED}`
+      });
+    }
+    
+    const optimizeOptions = optimize === true ? {} : optimize || undefined;
+    if (optimizeOptions) {
+      const { timeBudgetMs } = optimizeOptions;
+      if (typeof optimizeOptions !== 'object' || (timeBudgetMs !== undefined &&
+          (!Number.isInteger(timeBudgetMs) || timeBudgetMs < 1 || timeBudgetMs > MAX_TIME_BUDGET_MS))) {
+        return res.status(400).json({
+          success: false,
+          message: `optimize must be true or { timeBudgetMs } with timeBudgetMs from 1 to ${MAX_TIME_BUDGET_MS}`
+        });
+      }
+    }
+    
+    if (examEventId && !(await ExamEvent.exists({ _id: examEventId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam event not found'
+      });
+    }
+    
+    // Timetable exam: refuse rooms another overlapping exam already uses
+    let exam;
+    let bookings;
+    if (examId) {
+      exam = await Exam.findById(examId);
+      if (!exam) {
+        return res.status(404).json({
+          success: false,
+          message: 'Exam not found'
+        });
+      }
+      
+      bookings = await findBookings(exam);
+      const bookedRooms = (roomIds || [])
+        .filter(roomId => bookings.rooms.has(String(roomId)))
+        .map(roomId => bookings.rooms.get(String(roomId)));
+      
+      if (bookedRooms.length && !allowDoubleBooking) {
+        return res.status(400).json({
+          success: false,
+          message: 'Some selected rooms are already used by an overlapping exam',
+          errors: bookedRooms.map(booking => `${booking.roomName} is used by ${booking.examName}`)
+        });
+      }
+    }
+    
+    const normalizedExclusions = normalizeExclusions(exclusions || []);
+    if (normalizedExclusions.errors.length) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide examName and examDate'
+        message: 'Invalid exclusions',
+        errors: normalizedExclusions.errors
       });
     }
     
     // Generate seating
     const seating = await generateSeating(
-      examName,
-      new Date(examDate),
-      classIds || [],
+      examName || exam.name,
+      examDate ? new Date(examDate) : exam.date,
+      classIds && classIds.length ? classIds : (exam ? exam.classIds : []),
       roomIds || [],
-      req.user._id
+      req.user._id,
+      {
+        mode,
+        expandOptions,
+        ruleProfileId,
+        rules,
+        paperIds: paperIds && paperIds.length ? paperIds : (exam ? exam.paperIds : []),
+        exclusions: normalizedExclusions.entries,
+        exclusionListIds: exclusionListIds || [],
+        seed: hasSeed ? Number(seed) : undefined,
+        optimize: optimizeOptions,
+        allocationStrategy,
+        spacingMode,
+        examEventId,
+        versionNote,
+        exam,
+        bookings
+      }
     );
     
     // Build summary message
     let message = 'Seating arrangement generated successfully';
+    if (seating.sessionsNeeded > 1) {
+      message = `Generated ${seating.sessionsNeeded} sessions. Total students: ${seating.totalStudents}, Seats per session: ${seating.totalSeats}`;
+    }
     if (seating.unassignedCount > 0) {
       message += `. Warning: ${seating.unassignedCount} students could not be assigned (insufficient seats)`;
     }
+    if (seating.excludedCount > 0) {
+      message += `. ${seating.excludedCount} excluded students were left out`;
+    }
+    if (seating.spacingWarnings.length) {
+      message += `. Warning: ${seating.spacingWarnings.join('. ')}`;
+    }
+    if (seating.optimization) {
+      const { greedyConflicts, optimizedConflicts } = seating.optimization;
+      message += `. Optimizer reduced neighbour conflicts from ${greedyConflicts} to ${optimizedConflicts}`;
+    }
+    if (seating.bookingConflicts.length) {
+      const studentClashes = seating.bookingConflicts.filter(c => c.type === 'student').length;
+      const roomClashes = seating.bookingConflicts.length - studentClashes;
+      message += `. Warning: double-booked with an overlapping exam - ${roomClashes} rooms, ${studentClashes} students`;
+    }
+    if (seating.version > 1) {
+      message += `. Saved as version ${seating.version} (draft)`;
+    }
     
     res.status(201).json({
       success: true,
@@ -57,12 +257,12 @@ router.post('/generate', authMiddleware, adminMiddleware, async (req, res) => {
 
 /**
  * @route   GET /api/seating/latest
- * @desc    Get latest seating arrangement
+ * @desc    Get latest seating arrangement (viewers: latest published one)
  * @access  Private
  */
 router.get('/latest', authMiddleware, async (req, res) => {
   try {
-    const seating = await getLatestSeating();
+    const seating = await getLatestSeating(visibilityFilter(req.user));
     
     if (!seating) {
       return res.status(404).json({
@@ -85,16 +285,404 @@ router.get('/latest', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/seating/:id/session/:sessionNumber
+ * @desc    Get a single session (shift) of a seating arrangement
+ * @access  Private
+ */
+router.get('/:id/session/:sessionNumber', authMiddleware, async (req, res) => {
+  try {
+    const seating = await getSeatingById(req.params.id);
+    
+    // Drafts and archived plans are hidden from viewers
+    if (!seating || !isVisibleTo(seating, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seating arrangement not found'
+      });
+    }
+    
+    const sessionNumber = parseInt(req.params.sessionNumber);
+    const roomLayouts = seating.rooms.filter(
+      room => (room.sessionNumber || 1) === sessionNumber
+    );
+    
+    if (!roomLayouts.length) {
+      return res.status(404).json({
+        success: false,
+        message: `Session ${req.params.sessionNumber} not found`
+      });
+    }
+    
+    const session = seating.sessions.find(s => s.sessionNumber === sessionNumber);
+    
+    res.json({
+      success: true,
+      data: {
+        _id: seating._id,
+        examName: seating.examName,
+        examDate: seating.examDate,
+        status: seating.status,
+        mode: seating.mode,
+        totalStudents: seating.totalStudents,
+        sessionsNeeded: seating.sessionsNeeded,
+        currentSession: {
+          sessionNumber,
+          studentCount: session ? session.studentCount : 0,
+          roomLayouts
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching seating session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching seating session',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/seating/:id/seats
+ * @desc    Move a student into an empty seat or swap two students
+ *          (within a room or across rooms of the same session).
+ *          Rules are re-checked and violations are returned as warnings.
+ *          Published plans must be unlocked first; archived plans are read-only.
+ * @body    { from: { roomEntryId, row, col }, to: { roomEntryId, row, col } }
+ * @access  Private (Admin)
+ */
+router.patch('/:id/seats', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { from, to } = req.body;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the from and to seats'
+      });
+    }
+
+    const seating = await getSeatingById(req.params.id);
+
+    if (!seating) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seating arrangement not found'
+      });
+    }
+
+    const editBlock = getEditBlock(seating);
+    if (editBlock) {
+      return res.status(400).json({
+        success: false,
+        message: editBlock
+      });
+    }
+
+    const result = moveSeat(seating, from, to);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const warnings = revalidateSeating(seating, result.edited);
+    seating.quality = scoreSeating(seating.rooms, seating.rules);
+
+    // layout is a Mixed 2D array - in-place changes are not tracked
+    seating.markModified('rooms');
+    await seating.save();
+
+    res.json({
+      success: true,
+      message: result.action === 'swapped' ? 'Students swapped' : 'Student moved',
+      warnings,
+      data: seating
+    });
+  } catch (error) {
+    console.error('Error editing seats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error editing seats',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/seating/:id/invigilators
+ * @desc    Assign invigilators to every room (replaces earlier assignments).
+ *          Per room: ceil(students / studentsPerInvigilator), within minPerRoom..maxPerRoom.
+ *          Staff are kept out of their own department's exam where possible, the least
+ *          loaded staff (duties within cycleDays of the exam) go first, and declared
+ *          unavailability and overlapping duties are respected.
+ *          Published plans must be unlocked first; archived plans are read-only.
+ * @body    { studentsPerInvigilator?: 30, minPerRoom?: 1, maxPerRoom?: 3, cycleDays?: 30 }
+ * @access  Private (Admin)
+ */
+router.post('/:id/invigilators', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { config, errors } = normalizeInvigilationConfig(req.body);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invigilation settings',
+        errors
+      });
+    }
+
+    const seating = await getSeatingById(req.params.id);
+
+    if (!seating) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seating arrangement not found'
+      });
+    }
+
+    const editBlock = getEditBlock(seating);
+    if (editBlock) {
+      return res.status(400).json({
+        success: false,
+        message: editBlock
+      });
+    }
+
+    const { warnings, summary } = await assignInvigilators(seating, config, req.user._id);
+
+    res.json({
+      success: true,
+      message: `Assigned ${summary.assigned} of ${summary.required} invigilator duties to ${summary.staffUsed} staff`,
+      warnings,
+      summary,
+      data: seating
+    });
+  } catch (error) {
+    console.error('Error assigning invigilators:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning invigilators',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/seating/:id/publish
+ * @desc    Publish a plan: viewers can see it and it becomes read-only.
+ *          The previously published version of the same exam event goes back to draft.
+ * @access  Private (Admin)
+ */
+router.post('/:id/publish', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const seating = await getSeatingById(req.params.id);
+
+    if (!seating) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seating arrangement not found'
+      });
+    }
+
+    if (seating.status === 'published') {
+      return res.status(400).json({
+        success: false,
+        message: 'Seating is already published'
+      });
+    }
+
+    await publishVersion(seating);
+
+    res.json({
+      success: true,
+      message: 'Seating published',
+      data: statusSummary(seating)
+    });
+  } catch (error) {
+    console.error('Error publishing seating:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error publishing seating',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/seating/:id/unpublish
+ * @desc    Return a published or archived plan to draft (hidden from viewers, editable)
+ * @access  Private (Admin)
+ */
+router.post('/:id/unpublish', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const seating = await getSeatingById(req.params.id);
+
+    if (!seating) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seating arrangement not found'
+      });
+    }
+
+    if (seating.status === 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Seating is already a draft'
+      });
+    }
+
+    seating.status = 'draft';
+    seating.unlocked = false;
+    seating.unlockedBy = undefined;
+    await seating.save();
+
+    res.json({
+      success: true,
+      message: 'Seating moved back to draft',
+      data: statusSummary(seating)
+    });
+  } catch (error) {
+    console.error('Error unpublishing seating:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unpublishing seating',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/seating/:id/archive
+ * @desc    Archive a plan (hidden from viewers, read-only)
+ * @access  Private (Admin)
+ */
+router.post('/:id/archive', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const seating = await getSeatingById(req.params.id);
+
+    if (!seating) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seating arrangement not found'
+      });
+    }
+
+    if (seating.status === 'archived') {
+      return res.status(400).json({
+        success: false,
+        message: 'Seating is already archived'
+      });
+    }
+
+    seating.status = 'archived';
+    seating.unlocked = false;
+    seating.unlockedBy = undefined;
+    await seating.save();
+
+    res.json({
+      success: true,
+      message: 'Seating archived',
+      data: statusSummary(seating)
+    });
+  } catch (error) {
+    console.error('Error archiving seating:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error archiving seating',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/seating/:id/unlock
+ * @desc    Allow seat edits on a published plan (it stays published)
+ * @access  Private (Admin)
+ */
+router.post('/:id/unlock', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const seating = await getSeatingById(req.params.id);
+
+    if (!seating) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seating arrangement not found'
+      });
+    }
+
+    if (seating.status !== 'published') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only published seatings are locked'
+      });
+    }
+
+    seating.unlocked = true;
+    seating.unlockedBy = req.user._id;
+    await seating.save();
+
+    res.json({
+      success: true,
+      message: 'Seating unlocked - changes are visible to viewers immediately',
+      data: statusSummary(seating)
+    });
+  } catch (error) {
+    console.error('Error unlocking seating:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking seating',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/seating/:id/lock
+ * @desc    Make a published plan read-only again
+ * @access  Private (Admin)
+ */
+router.post('/:id/lock', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const seating = await getSeatingById(req.params.id);
+
+    if (!seating) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seating arrangement not found'
+      });
+    }
+
+    seating.unlocked = false;
+    seating.unlockedBy = undefined;
+    await seating.save();
+
+    res.json({
+      success: true,
+      message: 'Seating locked',
+      data: statusSummary(seating)
+    });
+  } catch (error) {
+    console.error('Error locking seating:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error locking seating',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route   GET /api/seating/:id
- * @desc    Get seating arrangement by ID
+ * @desc    Get seating arrangement by ID (viewers: published plans only)
  * @access  Private
  */
 router.get('/:id', authMiddleware, async (req, res) => {
   try {
     const seating = await getSeatingById(req.params.id);
     
-    if (!seating) {
+    if (!seating || !isVisibleTo(seating, req.user)) {
       return res.status(404).json({
         success: false,
         message: 'Seating arrangement not found'
@@ -117,12 +705,12 @@ router.get('/:id', authMiddleware, async (req, res) => {
 
 /**
  * @route   GET /api/seating
- * @desc    Get all seating arrangements
+ * @desc    Get all seating arrangements (viewers: published plans only)
  * @access  Private
  */
 router.get('/', authMiddleware, async (req, res) => {
   try {
-    const seatings = await getAllSeatings();
+    const seatings = await getAllSeatings(visibilityFilter(req.user));
     
     res.json({
       success: true,
@@ -139,4 +727,27 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
+// Helper: status fields returned by the publish/lock endpoints
+const statusSummary = (seating) => ({
+  _id: seating._id,
+  status: seating.status,
+  publishedAt: seating.publishedAt,
+  unlocked: seating.unlocked
+});
+
+// Helper: names of id parameters that are not valid ObjectIds
+// (lists: arrays of ids; single ids may be left out)
+const findInvalidIds = (lists, singles) => {
+  const badLists = Object.keys(lists).filter(key => {
+    const value = lists[key];
+    if (value === undefined || value === null) return false;
+    return !Array.isArray(value) || !value.every(id => mongoose.isValidObjectId(id));
+  });
+  const badSingles = Object.keys(singles).filter(key => {
+    const value = singles[key];
+    return value !== undefined && value !== null && value !== '' && !mongoose.isValidObjectId(value);
+  });
+  return [...badLists, ...badSingles];
+};
+
 module.exports = router;
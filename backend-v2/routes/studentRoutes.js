@@ -2,64 +2,57 @@ const express = require('express');
 const router = express.Router();
 const Student = require('../models/Student');
 const ClassGroup = require('../models/ClassGroup');
+const PaperEnrolment = require('../models/PaperEnrolment');
+const multer = require('multer');
+const { importStudentRoster } = require('../services/studentImport');
 const { authMiddleware, adminMiddleware } = require('../middleware/authMiddleware');
 
+// Roster uploads are kept in memory (CSV/XLSX only, max 5 MB)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    cb(null, /\.(csv|xlsx|xls)$/i.test(file.originalname));
+  }
+});
+
 /**
  * @route   POST /api/students/seed
- * @desc    Seed database with student data - UPDATED for new structure
+ * @desc    Seed database with 50 sample students per class group
  * @access  Private (Admin)
  */
 router.post('/seed', authMiddleware, adminMiddleware, async (req, res) => {
   try {
+    // Get all class groups (derived from the department configuration)
+    const classGroups = await ClassGroup.find().sort({ branch: 1, year: 1, section: 1 });
+    
+    if (!classGroups.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'No class groups found. Seed classes first.'
+      });
+    }
+    
     // Clear existing students
     await Student.deleteMany({});
     
-    // All classes have 50 students each
-    // 14 classes × 50 students = 700 total students
+    // Every configured class group gets 50 students
+    const STUDENTS_PER_CLASS = 50;
     
     const students = [];
     
-    // Get all class groups
-    const classGroups = await ClassGroup.find();
-    const classGroupMap = {};
-    
-    classGroups.forEach(cg => {
-      const key = `${cg.branch}-${cg.section}-${cg.year}`;
-      classGroupMap[key] = cg._id;
-    });
-    
-    // Define department configuration - all classes have 50 students
-    const deptConfig = [
-      { branch: 'CIVIL', sections: ['A'], studentsPerSection: 50 },
-      { branch: 'CSE', sections: ['A', 'B'], studentsPerSection: 50 },
-      { branch: 'ECE', sections: ['A'], studentsPerSection: 50 },
-      { branch: 'EEE', sections: ['A'], studentsPerSection: 50 },
-      { branch: 'IT', sections: ['A'], studentsPerSection: 50 },
-      { branch: 'MECH', sections: ['A'], studentsPerSection: 50 }
-    ];
-    
-    const years = [1, 2];
-    
     // Generate students for each dept/year/section
-    deptConfig.forEach(({ branch, sections, studentsPerSection }) => {
-      years.forEach(year => {
-        sections.forEach(section => {
-          for (let i = 1; i <= studentsPerSection; i++) {
-            const registerNumber = `${year}${branch}${section}${String(i).padStart(3, '0')}`;
-            const name = `${branch} ${section} Student ${i}`;
-            const classGroupKey = `${branch}-${section}-${year}`;
-            
-            students.push({
-              registerNumber,
-              name,
-              branch,
-              section,
-              year,
-              classGroup: classGroupMap[classGroupKey] || null
-            });
-          }
+    classGroups.forEach(({ _id, branch, section, year }) => {
+      for (let i = 1; i <= STUDENTS_PER_CLASS; i++) {
+        students.push({
+          registerNumber: `${year}${branch}${section}${String(i).padStart(3, '0')}`,
+          name: `${branch} ${section} Student ${i}`,
+          branch,
+          section,
+          year,
+          classGroup: _id
         });
-      });
+      }
     });
     
     // Insert all students
@@ -81,27 +74,103 @@ router.post('/seed', authMiddleware, adminMiddleware, async (req, res) => {
 });
 
 /**
- * @route   GET /api/students
- * @desc    Get all students (with optional filters)
+ * @route   POST /api/students/import?dryRun=true
+ * @desc    Import student roster from CSV/XLSX (multipart field "file")
+ *          Columns: registerNumber, name, branch, section, year
+ *          dryRun=true validates and previews without saving
+ * @access  Private (Admin)
+ */
+router.post('/import', authMiddleware, adminMiddleware, (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: 'Error uploading file',
+        error: err.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a .csv or .xlsx file in the "file" field'
+      });
+    }
+    
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+    const result = await importStudentRoster(req.file.buffer, dryRun);
+    const { summary } = result;
+    
+    const message = dryRun
+      ? `Preview: ${summary.toCreate} to create, ${summary.toUpdate} to update, ${summary.invalid} invalid rows`
+      : `Imported roster: ${summary.created} created, ${summary.updated} updated, ${summary.invalid} rows skipped`;
+    
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error importing students:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing students',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/students?search=&page=1&limit=25
+ * @desc    Get students (with optional filters, search and pagination)
+ *          search matches register number or name; without page all students are returned
+ *          Deactivated students are hidden unless includeInactive=true
  * @access  Private
  */
 router.get('/', authMiddleware, async (req, res) => {
   try {
-    const { branch, section, year, classGroup } = req.query;
+    const { branch, section, year, classGroup, search, includeInactive, page, limit } = req.query;
     const filter = {};
     
     if (branch) filter.branch = branch;
     if (section) filter.section = section;
     if (year) filter.year = parseInt(year);
     if (classGroup) filter.classGroup = classGroup;
+    if (includeInactive !== 'true') filter.isActive = { $ne: false };
     
-    const students = await Student.find(filter)
+    if (search && search.trim()) {
+      const pattern = new RegExp(search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ registerNumber: pattern }, { name: pattern }];
+    }
+    
+    let query = Student.find(filter)
       .populate('classGroup')
       .sort({ registerNumber: 1 });
     
+    let pagination;
+    if (page) {
+      const pageNumber = Math.max(parseInt(page) || 1, 1);
+      const pageSize = Math.min(Math.max(parseInt(limit) || 25, 1), 200);
+      const total = await Student.countDocuments(filter);
+      
+      query = query.skip((pageNumber - 1) * pageSize).limit(pageSize);
+      pagination = {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.max(Math.ceil(total / pageSize), 1)
+      };
+    }
+    
+    const students = await query;
+    
     res.json({
       success: true,
       count: students.length,
+      pagination,
       data: students
     });
   } catch (error) {
@@ -114,6 +183,75 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/students
+ * @desc    Add a single student (e.g. a late joiner) to an existing class group
+ * @body    { registerNumber, name, branch, section, year, accommodations?, accommodationNote? }
+ * @access  Private (Admin)
+ */
+router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { registerNumber, name, branch, section, year, accommodations, accommodationNote } = req.body;
+    
+    if (!registerNumber || !name || !branch || !section || !year) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide registerNumber, name, branch, section and year'
+      });
+    }
+    
+    const invalid = validateStudentFields({ name, accommodations, accommodationNote });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+    
+    const normalizedRegisterNumber = String(registerNumber).trim().toUpperCase();
+    
+    const existing = await Student.findOne({ registerNumber: normalizedRegisterNumber });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A student with this register number already exists'
+      });
+    }
+    
+    const classGroup = await findClassGroup(branch, section, year);
+    if (!classGroup) {
+      return res.status(400).json({
+        success: false,
+        message: `No class group exists for ${branch} ${section} year ${year}`
+      });
+    }
+    
+    const student = await Student.create({
+      registerNumber: normalizedRegisterNumber,
+      name: name.trim(),
+      branch: classGroup.branch,
+      section: classGroup.section,
+      year: classGroup.year,
+      classGroup: classGroup._id,
+      accommodations: accommodations || [],
+      accommodationNote: accommodationNote || ''
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `Student ${student.registerNumber} added to ${classGroup.displayName}`,
+      data: student
+    });
+  } catch (error) {
+    console.error('Error creating student:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating student',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route   GET /api/students/:id
  * @desc    Get single student
@@ -144,4 +282,180 @@ router.get('/:id', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/students/:id
+ * @desc    Update a student - changing branch/section/year moves them to that class group
+ * @body    { registerNumber?, name?, branch?, section?, year?, accommodations?, accommodationNote?, isActive? }
+ * @access  Private (Admin)
+ */
+router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const {
+      registerNumber,
+      name,
+      branch,
+      section,
+      year,
+      accommodations,
+      accommodationNote,
+      isActive
+    } = req.body;
+    
+    const invalid = validateStudentFields({ name, accommodations, accommodationNote }) ||
+      (isActive !== undefined && typeof isActive !== 'boolean' ? 'isActive must be true or false' : null);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+    
+    const student = await Student.findById(req.params.id);
+    
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+    
+    if (registerNumber !== undefined) {
+      const normalizedRegisterNumber = String(registerNumber).trim().toUpperCase();
+      if (normalizedRegisterNumber !== student.registerNumber) {
+        const existing = await Student.findOne({ registerNumber: normalizedRegisterNumber });
+        if (existing) {
+          return res.status(400).json({
+            success: false,
+            message: 'A student with this register number already exists'
+          });
+        }
+        student.registerNumber = normalizedRegisterNumber;
+      }
+    }
+    
+    if (name !== undefined) student.name = name.trim();
+    if (accommodations !== undefined) student.accommodations = accommodations || [];
+    if (accommodationNote !== undefined) student.accommodationNote = accommodationNote;
+    
+    // Moving between sections/years re-links the class group
+    if (branch !== undefined || section !== undefined || year !== undefined) {
+      const classGroup = await findClassGroup(
+        branch ?? student.branch,
+        section ?? student.section,
+        year ?? student.year
+      );
+      
+      if (!classGroup) {
+        return res.status(400).json({
+          success: false,
+          message: `No class group exists for ${branch ?? student.branch} ${section ?? student.section} year ${year ?? student.year}`
+        });
+      }
+      
+      student.branch = classGroup.branch;
+      student.section = classGroup.section;
+      student.year = classGroup.year;
+      student.classGroup = classGroup._id;
+    }
+    
+    // Reactivating a student who was deactivated
+    if (isActive !== undefined) {
+      student.isActive = isActive;
+      student.deactivatedAt = isActive ? undefined : new Date();
+    }
+    
+    await student.save();
+    
+    res.json({
+      success: true,
+      message: 'Student updated',
+      data: student
+    });
+  } catch (error) {
+    console.error('Error updating student:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating student',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/students/:id?permanent=true
+ * @desc    Deactivate a student (dropped out) - they stay in past seatings but are no longer seated
+ *          permanent=true removes the student and their paper enrolments instead
+ * @access  Private (Admin)
+ */
+router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+    
+    if (req.query.permanent === 'true') {
+      await PaperEnrolment.deleteMany({ student: student._id });
+      await student.deleteOne();
+      
+      return res.json({
+        success: true,
+        message: `Student ${student.registerNumber} deleted`,
+        deactivated: false
+      });
+    }
+    
+    student.isActive = false;
+    student.deactivatedAt = new Date();
+    await student.save();
+    
+    res.json({
+      success: true,
+      message: `Student ${student.registerNumber} deactivated`,
+      deactivated: true,
+      data: student
+    });
+  } catch (error) {
+    console.error('Error deleting student:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting student',
+      error: error.message
+    });
+  }
+});
+
+// Helper: class group for a branch/section/year combination
+const findClassGroup = (branch, section, year) => {
+  return ClassGroup.findOne({
+    branch: String(branch).trim().toUpperCase(),
+    section: String(section).trim().toUpperCase(),
+    year: parseInt(year)
+  });
+};
+
+// Helper: type checks for the free-form student fields (undefined = not given);
+// returns an error message or null
+const validateStudentFields = ({ name, accommodations, accommodationNote }) => {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return 'name must be a non-empty string';
+  }
+  
+  const allowed = Student.schema.path('accommodations').caster.enumValues;
+  if (accommodations !== undefined && accommodations !== null &&
+      (!Array.isArray(accommodations) || accommodations.some(a => !allowed.includes(a)))) {
+    return `accommodations must be a list of: ${allowed.join(', ')}`;
+  }
+  
+  if (accommodationNote !== undefined && accommodationNote !== null && typeof accommodationNote !== 'string') {
+    return 'accommodationNote must be a string';
+  }
+  
+  return null;
+};
+
 module.exports = router;
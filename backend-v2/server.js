@@ -13,7 +13,8 @@
  * ----------------
  * 1. Register first admin user using POST /api/auth/register with setupSecret
  * 2. Login to get JWT token
- * 3. Seed classes: POST /api/classes/seed
+ * 3. Seed classes: POST /api/classes/seed (creates the default departments on first run;
+ *    manage departments, sections and years via /api/departments)
  * 4. Seed rooms: POST /api/rooms/seed
  * 5. Seed students: POST /api/students/seed
  * 6. Ready to generate seatings!
@@ -29,6 +30,8 @@ const express = require('express');
 const dotenv = require('dotenv');
 const cors = require('cors');
 const connectDB = require('./config/db');
+const { failInterruptedJobs } = require('./services/bulkGeneration');
+const { bootstrapDepartments } = require('./services/departmentConfig');
 
 // Load environment variables
 dotenv.config();
@@ -36,6 +39,12 @@ dotenv.config();
 // Connect to database
 connectDB();
 
+// Bulk generation jobs do not survive a restart
+failInterruptedJobs().catch(error => console.error('Error closing interrupted generation jobs:', error));
+
+// Installs from before department configuration get departments for their existing classes
+bootstrapDepartments().catch(error => console.error('Error creating departments from existing classes:', error));
+
 // Initialize express app
 const app = express();
 
@@ -49,7 +58,16 @@ app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/students', require('./routes/studentRoutes'));
 app.use('/api/rooms', require('./routes/roomRoutes'));
 app.use('/api/classes', require('./routes/classRoutes'));
+app.use('/api/departments', require('./routes/departmentRoutes'));
 app.use('/api/seating', require('./routes/seatingRoutes'));
+app.use('/api/seating', require('./routes/seatingReportRoutes'));
+app.use('/api/rule-profiles', require('./routes/ruleProfileRoutes'));
+app.use('/api/papers', require('./routes/paperRoutes'));
+app.use('/api/exclusion-lists', require('./routes/exclusionListRoutes'));
+app.use('/api/exam-events', require('./routes/examEventRoutes'));
+app.use('/api/exams', require('./routes/examRoutes'));
+app.use('/api/generation-jobs', require('./routes/generationJobRoutes'));
+app.use('/api/invigilators', require('./routes/invigilatorRoutes'));
 
 // Root route
 app.get('/', (req, res) => {
@@ -62,7 +80,14 @@ app.get('/', (req, res) => {
       students: '/api/students',
       rooms: '/api/rooms',
       classes: '/api/classes',
-      seating: '/api/seating'
+      seating: '/api/seating',
+      seatingReports: '/api/seating/:id/reports',
+      ruleProfiles: '/api/rule-profiles',
+      papers: '/api/papers',
+      examEvents: '/api/exam-events',
+      exams: '/api/exams',
+      generationJobs: '/api/generation-jobs',
+      invigilators: '/api/invigilators'
     }
   });
 });
@@ -0,0 +1,451 @@
+/**
+ * Bulk Seating Generation
+ *
+ * Generates the seating plans of a whole timetable in one job instead of one
+ * NewSeatingPage run per exam. Exams come from the timetable (a date range or
+ * a list of ids) or from an uploaded timetable file.
+ *
+ * FLOW:
+ * -----
+ * 1. Create a GenerationJob with one pending item per exam
+ * 2. Group exams whose times overlap - they compete for the same rooms
+ * 3. Per group: drop rooms used by existing plans of overlapping exams, then
+ *    share the free rooms out between the group's exams by student count
+ * 4. Generate each exam in turn, saving the job after every exam (progress polling)
+ *
+ * RULES:
+ * ------
+ * - Exams that already have a plan are skipped; their rooms stay booked
+ * - Exams without class groups fail (they would seat every student)
+ * - A failing exam does not stop the job; its error is recorded on its item
+ * - Jobs run in this server process; jobs cut off by a restart are marked failed
+ */
+
+const XLSX = require('xlsx');
+const Exam = require('../models/Exam');
+const Room = require('../models/Room');
+const Paper = require('../models/Paper');
+const Student = require('../models/Student');
+const ClassGroup = require('../models/ClassGroup');
+const GenerationJob = require('../models/GenerationJob');
+const { generateSeating } = require('./seatingGenerator');
+const { normalizeExam, getActivePlans, findBookings } = require('./timetable');
+
+// Accepted timetable file headers per field (compared lowercase without spaces/underscores)
+const HEADER_ALIASES = {
+  name: ['name', 'exam', 'examname'],
+  date: ['date', 'examdate'],
+  slot: ['slot', 'session'],
+  startTime: ['starttime', 'start', 'from'],
+  endTime: ['endtime', 'end', 'to'],
+  classes: ['classes', 'class', 'classgroups'],
+  papers: ['papers', 'paper', 'papercodes', 'papercode']
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[\s_.-]/g, '');
+
+// 'CSE 1st Year  A' and 'cse 1st year a' name the same class group
+const normalizeName = (value) => String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Cells list several classes/papers separated by ';', ',' or '|'
+const splitList = (value) => String(value || '').split(/[;,|]/).map(v => v.trim()).filter(Boolean);
+
+// Spreadsheets drop the leading zero of morning times (9:30 -> 09:30)
+const padTime = (value) => (/^\d:\d\d$/.test(value) ? `0${value}` : value) || undefined;
+
+/**
+ * Parse an uploaded timetable CSV/XLSX buffer into rows keyed by field
+ * (dates are read as yyyy-mm-dd)
+ */
+const parseTimetableFile = (buffer) => {
+  const workbook = XLSX.read(buffer, { type: 'buffer', dateNF: 'yyyy-mm-dd' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+
+  if (!sheet) {
+    throw new Error('The uploaded file has no sheets.');
+  }
+
+  // Spreadsheets show dates in their own format (e.g. 11/20/26); time-only cells are below 1
+  Object.keys(sheet).filter(ref => ref[0] !== '!').forEach(ref => {
+    const cell = sheet[ref];
+    if (cell.t === 'n' && cell.z && cell.v >= 1 && XLSX.SSF.is_date(cell.z)) {
+      cell.w = XLSX.SSF.format('yyyy-mm-dd', cell.v);
+    }
+  });
+
+  const rawRows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false, dateNF: 'yyyy-mm-dd' });
+
+  return rawRows.map(raw => {
+    const row = {};
+    Object.keys(raw).forEach(header => {
+      const key = normalizeHeader(header);
+      const field = Object.keys(HEADER_ALIASES).find(f => HEADER_ALIASES[f].includes(key));
+      if (field) {
+        row[field] = String(raw[header]).trim();
+      }
+    });
+    return row;
+  });
+};
+
+/**
+ * Import a timetable file as Exams (an exam with the same name, date and slot is reused)
+ *
+ * Columns: name, date, slot (FN/AN), startTime?, endTime?, classes, papers?
+ *
+ * @param buffer - Uploaded file contents
+ * @param dryRun - true to only validate and preview
+ * @returns { dryRun, summary, errors, preview, exams }
+ */
+const importTimetableFile = async (buffer, dryRun, userId) => {
+  const parsed = parseTimetableFile(buffer);
+
+  if (!parsed.length) {
+    throw new Error('The uploaded file has no data rows.');
+  }
+
+  const classGroups = await ClassGroup.find().lean();
+  const classMap = new Map(classGroups.map(cg => [normalizeName(cg.displayName), cg]));
+  const papers = await Paper.find().lean();
+  const paperMap = new Map(papers.map(p => [p.code.toUpperCase(), p]));
+
+  const seenInFile = new Set();
+
+  const rows = await Promise.all(parsed.map(async (row, idx) => {
+    // Spreadsheet row number (row 1 is the header)
+    const rowNumber = idx + 2;
+
+    const classNames = splitList(row.classes);
+    const paperCodes = splitList(row.papers).map(code => code.toUpperCase());
+    const unknownClasses = classNames.filter(name => !classMap.has(normalizeName(name)));
+    const unknownPapers = paperCodes.filter(code => !paperMap.has(code));
+
+    const { exam, errors } = normalizeExam({
+      name: row.name,
+      date: row.date,
+      slot: (row.slot || '').toUpperCase(),
+      startTime: padTime(row.startTime),
+      endTime: padTime(row.endTime),
+      classIds: classNames.filter(name => classMap.has(normalizeName(name))).map(name => classMap.get(normalizeName(name))._id),
+      paperIds: paperCodes.filter(code => paperMap.has(code)).map(code => paperMap.get(code)._id)
+    });
+
+    if (!classNames.length) {
+      errors.push('classes is required');
+    }
+    unknownClasses.forEach(name => errors.push(`class "${name}" not found`));
+    unknownPapers.forEach(code => errors.push(`paper "${code}" not found`));
+
+    let existing = null;
+    if (!errors.length) {
+      const key = `${exam.name}|${exam.date.toISOString()}|${exam.slot}`;
+      if (seenInFile.has(key)) {
+        errors.push(`${exam.name} (${row.date} ${exam.slot}) appears more than once in the file`);
+      }
+      seenInFile.add(key);
+      existing = await Exam.findOne({ name: exam.name, date: exam.date, slot: exam.slot });
+    }
+
+    return {
+      rowNumber,
+      errors,
+      action: errors.length ? 'skip' : (existing ? 'existing' : 'create'),
+      exam,
+      existing,
+      classNames
+    };
+  }));
+
+  const validRows = rows.filter(r => !r.errors.length);
+  const exams = [];
+
+  if (!dryRun) {
+    for (const row of validRows) {
+      exams.push(row.existing || await Exam.create({ ...row.exam, createdBy: userId }));
+    }
+  }
+
+  return {
+    dryRun,
+    summary: {
+      totalRows: rows.length,
+      valid: validRows.length,
+      invalid: rows.length - validRows.length,
+      toCreate: rows.filter(r => r.action === 'create').length,
+      existing: rows.filter(r => r.action === 'existing').length
+    },
+    errors: rows
+      .filter(r => r.errors.length)
+      .map(({ rowNumber, exam, errors }) => ({ rowNumber, name: exam.name, errors })),
+    preview: rows.map(({ rowNumber, action, exam, classNames }) => ({
+      rowNumber,
+      action,
+      name: exam.name,
+      date: exam.date,
+      slot: exam.slot,
+      startTime: exam.startTime,
+      endTime: exam.endTime,
+      classes: classNames
+    })),
+    exams
+  };
+};
+
+/**
+ * Create a queued job for the given exams (run it with runGenerationJob)
+ *
+ * @param options - Generation options applied to every exam:
+ *                  { roomIds, mode, allocationStrategy, spacingMode, ruleProfileId, exclusionListIds }
+ */
+const createGenerationJob = (exams, options, userId, source = 'timetable') => {
+  const sorted = [...exams].sort((a, b) =>
+    a.date - b.date || a.startTime.localeCompare(b.startTime)
+  );
+
+  return GenerationJob.create({
+    source,
+    options,
+    total: sorted.length,
+    items: sorted.map(exam => ({
+      exam: exam._id,
+      examName: exam.name,
+      date: exam.date,
+      slot: exam.slot,
+      startTime: exam.startTime,
+      endTime: exam.endTime
+    })),
+    createdBy: userId
+  });
+};
+
+/**
+ * Generate every pending exam of a job, saving progress after each one
+ */
+const runGenerationJob = async (job) => {
+  job.status = 'running';
+  job.startedAt = new Date();
+  await job.save();
+
+  try {
+    const { roomIds = [], ...generationOptions } = job.options || {};
+
+    const exams = await Exam.find({ _id: { $in: job.items.map(item => item.exam) } });
+    const examMap = new Map(exams.map(exam => [String(exam._id), exam]));
+    const planned = new Set(
+      (await getActivePlans(exams.map(exam => exam._id), '_id')).map(plan => String(plan.exam))
+    );
+
+    const roomFilter = { isActive: { $ne: false } };
+    if (roomIds.length) roomFilter._id = { $in: roomIds };
+    const roomPool = await Room.find(roomFilter).select('name capacity').lean();
+
+    const finishItem = async (item, result) => {
+      Object.assign(item, result);
+      job.processed += 1;
+      await job.save();
+    };
+
+    for (const group of groupOverlappingItems(job.items)) {
+      // Rooms that existing plans of overlapping exams already use
+      const booked = new Set();
+      for (const item of group) {
+        const exam = examMap.get(String(item.exam));
+        if (exam) {
+          const { rooms } = await findBookings(exam);
+          rooms.forEach((booking, roomId) => booked.add(roomId));
+        }
+      }
+      const freeRooms = roomPool.filter(room => !booked.has(String(room._id)));
+
+      const pending = [];
+      for (const item of group) {
+        const exam = examMap.get(String(item.exam));
+        if (!exam) {
+          await finishItem(item, { status: 'failed', error: 'Exam no longer exists' });
+        } else if (planned.has(String(exam._id))) {
+          await finishItem(item, { status: 'skipped', warnings: ['Already has a seating plan - regenerate it from its plan'] });
+        } else if (!exam.classIds.length) {
+          await finishItem(item, { status: 'failed', error: 'Exam has no class groups' });
+        } else {
+          pending.push({ item, exam, students: await countStudents(exam.classIds) });
+        }
+      }
+
+      const shares = shareRooms(freeRooms, pending.map(p => p.students));
+
+      for (const [idx, { item, exam }] of pending.entries()) {
+        if (!shares[idx].length) {
+          await finishItem(item, { status: 'failed', error: 'No free rooms left in this slot' });
+          continue;
+        }
+
+        try {
+          // Fresh bookings include plans generated earlier in this job
+          const bookings = await findBookings(exam);
+          const seating = await generateSeating(
+            exam.name,
+            exam.date,
+            exam.classIds,
+            shares[idx].map(room => room._id),
+            job.createdBy,
+            { ...generationOptions, paperIds: exam.paperIds, exam, bookings }
+          );
+
+          await finishItem(item, {
+            status: 'generated',
+            seating: seating._id,
+            version: seating.version,
+            roomCount: shares[idx].length,
+            totalStudents: seating.totalStudents,
+            sessionsNeeded: seating.sessionsNeeded,
+            unassignedCount: seating.unassignedCount,
+            warnings: getSeatingWarnings(seating)
+          });
+        } catch (error) {
+          await finishItem(item, { status: 'failed', error: error.message });
+        }
+      }
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    console.error('Generation job failed:', error);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.summary = summarizeItems(job.items);
+  job.finishedAt = new Date();
+  await job.save();
+
+  return job;
+};
+
+/**
+ * Run a job after the response has been sent
+ */
+const runInBackground = (job) => {
+  setImmediate(() => {
+    runGenerationJob(job).catch(error => console.error('Error saving generation job:', error));
+  });
+};
+
+/**
+ * Jobs cannot resume after a restart - mark the ones that were cut off as failed
+ */
+const failInterruptedJobs = () => {
+  return GenerationJob.updateMany(
+    { status: { $in: ['queued', 'running'] } },
+    { $set: { status: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date() } }
+  );
+};
+
+/**
+ * One-line outcome of a job, e.g. "12 generated, 1 skipped, 0 failed; 35 students unassigned"
+ */
+const describeJob = (job) => {
+  const summary = job.summary && job.summary.generated !== undefined ? job.summary : summarizeItems(job.items);
+  let text = `${summary.generated} generated, ${summary.skipped} skipped, ${summary.failed} failed`;
+  if (summary.unassignedCount > 0) {
+    text += `; ${summary.unassignedCount} students unassigned`;
+  }
+  return text;
+};
+
+/**
+ * Consecutive items (sorted by date and time) whose times overlap form one group
+ */
+const groupOverlappingItems = (items) => {
+  const groups = [];
+  let current = null;
+
+  items.forEach(item => {
+    const sameDay = current && current.date.getTime() === item.date.getTime();
+    if (sameDay && item.startTime < current.endTime) {
+      current.items.push(item);
+      if (item.endTime > current.endTime) current.endTime = item.endTime;
+    } else {
+      current = { date: item.date, endTime: item.endTime, items: [item] };
+      groups.push(current);
+    }
+  });
+
+  return groups.map(group => group.items);
+};
+
+/**
+ * Share rooms between exams of one slot: largest rooms first, each to the exam
+ * still short of the most seats (exams without any room come first)
+ *
+ * @param demands - Student count per exam
+ * @returns Rooms per exam (same order as demands)
+ */
+const shareRooms = (rooms, demands) => {
+  const shares = demands.map(() => []);
+  const remaining = [...demands];
+
+  if (!demands.length) return shares;
+
+  [...rooms]
+    .sort((a, b) => b.capacity - a.capacity)
+    .forEach(room => {
+      let target = 0;
+      remaining.forEach((need, idx) => {
+        const hasNone = shares[idx].length === 0;
+        const targetHasNone = shares[target].length === 0;
+        if (hasNone !== targetHasNone ? hasNone : need > remaining[target]) {
+          target = idx;
+        }
+      });
+      shares[target].push(room);
+      remaining[target] -= room.capacity;
+    });
+
+  return shares;
+};
+
+const countStudents = async (classIds) => {
+  const classes = await ClassGroup.find({ _id: { $in: classIds } }).lean();
+  if (!classes.length) return 0;
+
+  return Student.countDocuments({
+    $or: classes.map(cls => ({ branch: cls.branch, section: cls.section, year: cls.year })),
+    isActive: { $ne: false }
+  });
+};
+
+const getSeatingWarnings = (seating) => {
+  const warnings = [];
+  const doubleBooked = seating.bookingConflicts.filter(c => c.type === 'student').length;
+
+  if (seating.unassignedCount > 0) {
+    warnings.push(`${seating.unassignedCount} students could not be seated`);
+  }
+  if (seating.sessionsNeeded > 1) {
+    warnings.push(`Needs ${seating.sessionsNeeded} sessions - not enough free seats in this slot`);
+  }
+  if (doubleBooked > 0) {
+    warnings.push(`${doubleBooked} students are also seated for an overlapping exam`);
+  }
+
+  return warnings.concat(seating.spacingWarnings || []);
+};
+
+const summarizeItems = (items) => ({
+  generated: items.filter(item => item.status === 'generated').length,
+  skipped: items.filter(item => item.status === 'skipped').length,
+  failed: items.filter(item => item.status === 'failed').length,
+  totalStudents: items.reduce((sum, item) => sum + (item.totalStudents || 0), 0),
+  unassignedCount: items.reduce((sum, item) => sum + (item.unassignedCount || 0), 0)
+});
+
+module.exports = {
+  parseTimetableFile,
+  importTimetableFile,
+  createGenerationJob,
+  runGenerationJob,
+  runInBackground,
+  failInterruptedJobs,
+  describeJob,
+  shareRooms
+};
@@ -0,0 +1,188 @@
+/**
+ * Department Configuration Service
+ *
+ * Departments (models/Department.js) are the source of truth for which
+ * branches, sections and years exist. Class groups are derived from them:
+ * one per department × year × section.
+ */
+
+const Department = require('../models/Department');
+const ClassGroup = require('../models/ClassGroup');
+const Student = require('../models/Student');
+
+// Configuration used when the system is initialized without any departments
+const DEFAULT_DEPARTMENTS = [
+  { code: 'CIVIL', name: 'Civil Engineering', sections: ['A'], years: [1, 2] },
+  { code: 'CSE', name: 'Computer Science and Engineering', sections: ['A', 'B'], years: [1, 2] },
+  { code: 'ECE', name: 'Electronics and Communication Engineering', sections: ['A'], years: [1, 2] },
+  { code: 'EEE', name: 'Electrical and Electronics Engineering', sections: ['A'], years: [1, 2] },
+  { code: 'IT', name: 'Information Technology', sections: ['A'], years: [1, 2] },
+  { code: 'MECH', name: 'Mechanical Engineering', sections: ['A'], years: [1, 2] }
+];
+
+const ordinal = (n) => {
+  if (n % 100 >= 11 && n % 100 <= 13) return `${n}th`;
+  return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+};
+
+/**
+ * Display name of a class group, e.g. "CSE 3rd Year B" or "IT 1st Year"
+ * (the section is only shown when the department has more than one)
+ */
+const formatClassName = (branch, section, year, sectionCount) => {
+  return sectionCount > 1
+    ? `${branch} ${ordinal(year)} Year ${section}`
+    : `${branch} ${ordinal(year)} Year`;
+};
+
+/**
+ * Departments implied by the class groups and students already stored
+ * (installs from before departments were configurable)
+ */
+const deriveDepartments = async () => {
+  const [classGroups, studentClasses] = await Promise.all([
+    ClassGroup.find({}, 'branch section year').lean(),
+    Student.aggregate([
+      { $group: { _id: { branch: '$branch', section: '$section', year: '$year' } } }
+    ])
+  ]);
+
+  const byCode = new Map();
+  [...classGroups, ...studentClasses.map(group => group._id)].forEach(({ branch, section, year }) => {
+    const code = String(branch || '').trim().toUpperCase();
+    if (!code) return;
+    if (!byCode.has(code)) byCode.set(code, { sections: new Set(), years: new Set() });
+
+    const entry = byCode.get(code);
+    if (section) entry.sections.add(String(section).trim().toUpperCase());
+    if (Number.isInteger(year) && year >= 1 && year <= 6) entry.years.add(year);
+  });
+
+  return [...byCode.entries()]
+    .filter(([, entry]) => entry.sections.size > 0 && entry.years.size > 0)
+    .map(([code, entry]) => {
+      const known = DEFAULT_DEPARTMENTS.find(d => d.code === code);
+      return {
+        code,
+        name: known ? known.name : code,
+        sections: [...entry.sections].sort(),
+        years: [...entry.years]
+      };
+    });
+};
+
+/**
+ * Create departments from existing class groups and students when none are
+ * configured yet. Runs at startup; does nothing once departments exist.
+ *
+ * @returns number of departments created
+ */
+const bootstrapDepartments = async () => {
+  const count = await Department.countDocuments();
+  if (count > 0) return 0;
+
+  const departments = await deriveDepartments();
+  if (departments.length) {
+    await Department.insertMany(departments);
+  }
+  return departments.length;
+};
+
+/**
+ * Active departments. When none are configured yet they are derived from
+ * existing class groups and students, or else the defaults are created.
+ */
+const ensureDepartments = async () => {
+  await bootstrapDepartments();
+
+  const count = await Department.countDocuments();
+  if (count === 0) {
+    await Department.insertMany(DEFAULT_DEPARTMENTS);
+  }
+  return Department.find({ isActive: { $ne: false } }).sort({ code: 1 });
+};
+
+/**
+ * All class groups a department configuration implies
+ */
+const buildClassGroups = (department) => {
+  const classGroups = [];
+  department.years.forEach(year => {
+    department.sections.forEach(section => {
+      classGroups.push({
+        branch: department.code,
+        section,
+        year,
+        displayName: formatClassName(department.code, section, year, department.sections.length)
+      });
+    });
+  });
+  return classGroups;
+};
+
+/**
+ * Bring a department's class groups in line with its configuration
+ * New combinations are created, display names refreshed, and class groups
+ * that are no longer configured are removed unless students still belong to them.
+ *
+ * @returns { created, removed, kept } - kept lists unconfigured groups that still have students
+ */
+const syncClassGroups = async (department) => {
+  const wanted = department.isActive === false ? [] : buildClassGroups(department);
+  const wantedKeys = new Set(wanted.map(cg => `${cg.section}-${cg.year}`));
+
+  let created = 0;
+  for (const cg of wanted) {
+    const result = await ClassGroup.updateOne(
+      { branch: cg.branch, section: cg.section, year: cg.year },
+      { $set: { displayName: cg.displayName } },
+      { upsert: true }
+    );
+    created += result.upsertedCount;
+  }
+
+  const existing = await ClassGroup.find({ branch: department.code });
+  const removed = [];
+  const kept = [];
+
+  for (const cg of existing) {
+    if (wantedKeys.has(`${cg.section}-${cg.year}`)) continue;
+
+    const studentCount = await Student.countDocuments({
+      branch: cg.branch,
+      section: cg.section,
+      year: cg.year
+    });
+    if (studentCount > 0) {
+      kept.push(cg.displayName);
+    } else {
+      await cg.deleteOne();
+      removed.push(cg.displayName);
+    }
+  }
+
+  return { created, removed, kept };
+};
+
+/**
+ * Allowed sections/years per active department code
+ * e.g. { CSE: { sections: ['A', 'B'], years: [1, 2] } }
+ */
+const getDepartmentConfig = async () => {
+  const departments = await Department.find({ isActive: { $ne: false } }).lean();
+  const config = {};
+  departments.forEach(d => {
+    config[d.code] = { sections: d.sections, years: d.years };
+  });
+  return config;
+};
+
+module.exports = {
+  DEFAULT_DEPARTMENTS,
+  formatClassName,
+  bootstrapDepartments,
+  ensureDepartments,
+  buildClassGroups,
+  syncClassGroups,
+  getDepartmentConfig
+};
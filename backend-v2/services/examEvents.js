@@ -0,0 +1,200 @@
+/**
+ * Exam Events - seating plan versions
+ *
+ * Regenerating a plan (e.g. after a roster fix) no longer creates an unrelated
+ * Seating document: every generation becomes the next version of an ExamEvent.
+ *
+ * - versions are numbered 1, 2, 3... per event and never renumbered
+ * - new versions start as drafts; publishing one returns the others to draft
+ * - a rollback copies an earlier version into a new version, so history is kept
+ * - two versions can be diffed to see which students changed room or seat
+ */
+
+const ExamEvent = require('../models/ExamEvent');
+const Seating = require('../models/Seating');
+
+/**
+ * Reserve the next version number of an exam event
+ * Creates the event when no examEventId is given
+ *
+ * @param examId - Timetable exam of a new event (optional)
+ * @returns { event, version }
+ */
+const startVersion = async (examEventId, examName, examDate, userId, examId) => {
+  if (!examEventId) {
+    const event = await ExamEvent.create({
+      name: examName,
+      examDate,
+      exam: examId,
+      latestVersion: 1,
+      createdBy: userId
+    });
+    return { event, version: 1 };
+  }
+
+  // $inc keeps version numbers unique when two generations run at once
+  const event = await ExamEvent.findByIdAndUpdate(
+    examEventId,
+    { $inc: { latestVersion: 1 } },
+    { new: true }
+  );
+  if (!event) {
+    throw new Error('Exam event not found.');
+  }
+
+  return { event, version: event.latestVersion };
+};
+
+/**
+ * Mark one version of an event as published (and locked) and return the
+ * previously published version to draft
+ */
+const publishVersion = async (seating) => {
+  // Seatings generated before exam events existed stand alone
+  if (seating.examEvent) {
+    await Seating.updateMany(
+      { examEvent: seating.examEvent, _id: { $ne: seating._id }, status: 'published' },
+      { status: 'draft', unlocked: false }
+    );
+  }
+
+  seating.status = 'published';
+  seating.publishedAt = new Date();
+  seating.unlocked = false;
+  seating.unlockedBy = undefined;
+  await seating.save();
+
+  return seating;
+};
+
+/**
+ * Restore an earlier version by copying it into a new (draft) version
+ *
+ * @param source - Seating document of the version to restore
+ * @param note - Optional reason shown in the version history
+ */
+const rollbackToVersion = async (source, userId, note) => {
+  const { version } = await startVersion(source.examEvent, source.examName, source.examDate, userId);
+
+  const { _id, createdAt, updatedAt, __v, ...copy } = source.toObject();
+
+  const seating = new Seating({
+    ...copy,
+    // Fresh room entry ids - seat edits address rooms by entry id
+    rooms: copy.rooms.map(({ _id: roomEntryId, ...room }) => room),
+    version,
+    status: 'draft',
+    publishedAt: undefined,
+    unlocked: false,
+    unlockedBy: undefined,
+    versionNote: note || `Rollback to version ${source.version}`,
+    rolledBackFrom: source.version,
+    createdBy: userId
+  });
+
+  await seating.save();
+
+  return seating;
+};
+
+/**
+ * Where every student sits in a plan, keyed by student id
+ */
+const indexSeats = (seating) => {
+  const seats = new Map();
+
+  seating.rooms.forEach(room => {
+    room.layout.forEach((seatRow, row) => {
+      seatRow.forEach((seat, col) => {
+        if (!seat) return;
+
+        seats.set(String(seat.studentId || seat.registerNumber), {
+          student: {
+            registerNumber: seat.registerNumber,
+            name: seat.name,
+            branch: seat.branch,
+            section: seat.section,
+            year: seat.year
+          },
+          position: {
+            sessionNumber: room.sessionNumber || 1,
+            roomName: room.roomName,
+            row,
+            col
+          }
+        });
+      });
+    });
+  });
+
+  return seats;
+};
+
+/**
+ * Compare two versions of a plan
+ *
+ * changedRoom - student sits in another room (or session) in the newer version
+ * changedSeat - same room, different seat
+ * added / removed - student is only in one of the two versions
+ *
+ * @returns { summary, changedRoom, changedSeat, added, removed }
+ */
+const diffSeatings = (from, to) => {
+  const before = indexSeats(from);
+  const after = indexSeats(to);
+
+  const changedRoom = [];
+  const changedSeat = [];
+  const added = [];
+  const removed = [];
+  let unchanged = 0;
+
+  after.forEach((entry, key) => {
+    const previous = before.get(key);
+
+    if (!previous) {
+      added.push({ ...entry.student, to: entry.position });
+      return;
+    }
+
+    const a = previous.position;
+    const b = entry.position;
+    if (a.sessionNumber !== b.sessionNumber || a.roomName !== b.roomName) {
+      changedRoom.push({ ...entry.student, from: a, to: b });
+    } else if (a.row !== b.row || a.col !== b.col) {
+      changedSeat.push({ ...entry.student, from: a, to: b });
+    } else {
+      unchanged++;
+    }
+  });
+
+  before.forEach((entry, key) => {
+    if (!after.has(key)) {
+      removed.push({ ...entry.student, from: entry.position });
+    }
+  });
+
+  const byRegisterNumber = (a, b) => a.registerNumber.localeCompare(b.registerNumber);
+  [changedRoom, changedSeat, added, removed].forEach(list => list.sort(byRegisterNumber));
+
+  return {
+    summary: {
+      unchanged,
+      changedRoom: changedRoom.length,
+      changedSeat: changedSeat.length,
+      added: added.length,
+      removed: removed.length
+    },
+    changedRoom,
+    changedSeat,
+    added,
+    removed
+  };
+};
+
+module.exports = {
+  startVersion,
+  publishVersion,
+  rollbackToVersion,
+  diffSeatings
+};
@@ -0,0 +1,126 @@
+/**
+ * Exam Exclusions
+ *
+ * Students barred from an exam never reach the generator's pools. Exclusions
+ * come from saved ExclusionLists and/or inline entries on the generate request;
+ * inline entries win when both mention the same register number.
+ *
+ * ENTRY SHAPE:
+ * ------------
+ * { registerNumber: '2CSEA014', reason: 'detained', note: 'Attendance 61%' }
+ * A bare register number string is accepted and gets reason 'other'.
+ */
+
+const ExclusionList = require('../models/ExclusionList');
+
+const EXCLUSION_REASONS = ['detained', 'debarred', 'fee_dues', 'absent', 'other'];
+
+/**
+ * Normalize and validate exclusion entries
+ *
+ * @returns { entries, errors } - errors is a list of messages (empty when valid)
+ */
+const normalizeExclusions = (rawEntries) => {
+  const errors = [];
+
+  if (!Array.isArray(rawEntries)) {
+    return { entries: [], errors: ['exclusions must be an array'] };
+  }
+
+  const entries = rawEntries.map((raw, idx) => {
+    const entry = typeof raw === 'string' ? { registerNumber: raw } : (raw || {});
+    const registerNumber = String(entry.registerNumber || '').trim().toUpperCase();
+    const reason = entry.reason || 'other';
+
+    if (!registerNumber) {
+      errors.push(`exclusions[${idx}]: registerNumber is required`);
+    }
+    if (!EXCLUSION_REASONS.includes(reason)) {
+      errors.push(`exclusions[${idx}]: reason must be one of: ${EXCLUSION_REASONS.join(', ')}`);
+    }
+
+    return { registerNumber, reason, note: entry.note ? String(entry.note) : '' };
+  });
+
+  return { entries, errors };
+};
+
+/**
+ * Merge saved lists and inline entries into registerNumber -> exclusion
+ *
+ * @param inlineEntries - Normalized entries from the request
+ * @param exclusionListIds - Saved ExclusionList ids
+ * @returns { exclusions: Map, lists: [{ _id, name }] }
+ */
+const resolveExclusions = async (inlineEntries = [], exclusionListIds = []) => {
+  const exclusions = new Map();
+  let lists = [];
+
+  const listIds = [...new Set(exclusionListIds.map(String))];
+
+  if (listIds.length) {
+    lists = await ExclusionList.find({ _id: { $in: listIds } }).lean();
+
+    if (lists.length !== listIds.length) {
+      throw new Error('One or more exclusion lists not found.');
+    }
+
+    lists.forEach(list => {
+      list.entries.forEach(entry => {
+        exclusions.set(entry.registerNumber, { ...entry, source: list.name });
+      });
+    });
+  }
+
+  inlineEntries.forEach(entry => {
+    exclusions.set(entry.registerNumber, { ...entry, source: 'request' });
+  });
+
+  return { exclusions, lists: lists.map(l => ({ _id: l._id, name: l.name })) };
+};
+
+/**
+ * Remove excluded students
+ *
+ * @returns { students, excluded, unmatched }
+ *   excluded - audit records for students that were removed
+ *   unmatched - excluded register numbers not among the selected students
+ */
+const applyExclusions = (students, exclusions) => {
+  if (!exclusions.size) {
+    return { students, excluded: [], unmatched: [] };
+  }
+
+  const excluded = [];
+  const matched = new Set();
+
+  const remaining = students.filter(student => {
+    const exclusion = exclusions.get(student.registerNumber);
+    if (!exclusion) return true;
+
+    matched.add(student.registerNumber);
+    excluded.push({
+      student: student._id,
+      registerNumber: student.registerNumber,
+      name: student.name,
+      branch: student.branch,
+      section: student.section,
+      year: student.year,
+      reason: exclusion.reason,
+      note: exclusion.note,
+      source: exclusion.source
+    });
+    return false;
+  });
+
+  const unmatched = [...exclusions.keys()].filter(r => !matched.has(r));
+
+  return { students: remaining, excluded, unmatched };
+};
+
+module.exports = {
+  EXCLUSION_REASONS,
+  normalizeExclusions,
+  resolveExclusions,
+  applyExclusions
+};
@@ -0,0 +1,430 @@
+/**
+ * Invigilator Duty Allocation
+ *
+ * Assigns staff to every room entry of a seating plan (each session of a
+ * multi-session plan is a separate duty).
+ *
+ * INVIGILATORS PER ROOM:
+ * ----------------------
+ * ceil(students in the room / studentsPerInvigilator), at least minPerRoom and
+ * at most maxPerRoom. Empty rooms get none.
+ *
+ * WHO IS ELIGIBLE:
+ * ----------------
+ * - active staff without declared unavailability on the exam's date/slot
+ *   (unavailability without a slot blocks the whole day)
+ * - not already on duty in another plan at an overlapping time
+ *   (plans without times count as overlapping everything on that day)
+ * - at most one room per session
+ *
+ * WHO IS PICKED:
+ * --------------
+ * Rooms are filled round by round (first invigilator of every room, then the
+ * second...), so a staff shortage leaves extra invigilators out, not rooms.
+ * Per room: staff from other departments first, then staff of a department
+ * writing this exam but with no students in the room, then the rest; within
+ * each group the lowest duty load across the cycle (other plans within
+ * cycleDays of the exam) goes first.
+ *
+ * Duties of an exam event count once: those of its published version, else of
+ * its newest non-archived version. Stale drafts neither add load nor make
+ * staff busy.
+ */
+
+const Invigilator = require('../models/Invigilator');
+const Seating = require('../models/Seating');
+const { toExamDate } = require('./timetable');
+
+const DEFAULT_INVIGILATION = {
+  studentsPerInvigilator: 30,
+  minPerRoom: 1,
+  maxPerRoom: 3,
+  cycleDays: 30
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate invigilation settings and fill in defaults
+ *
+ * @returns { config, errors }
+ */
+const normalizeInvigilationConfig = (input = {}) => {
+  const config = { ...DEFAULT_INVIGILATION };
+  const errors = [];
+
+  Object.keys(DEFAULT_INVIGILATION).forEach(key => {
+    if (input[key] === undefined || input[key] === null || input[key] === '') return;
+    const value = Number(input[key]);
+    if (!Number.isInteger(value) || value < 1) {
+      errors.push(`${key} must be a positive whole number`);
+    } else {
+      config[key] = value;
+    }
+  });
+
+  if (config.maxPerRoom < config.minPerRoom) {
+    errors.push('maxPerRoom must be at least minPerRoom');
+  }
+
+  return { config, errors };
+};
+
+/**
+ * Invigilators a room entry needs for its occupancy
+ */
+const invigilatorsNeeded = (occupied, config) => {
+  if (occupied === 0) return 0;
+  return Math.min(
+    config.maxPerRoom,
+    Math.max(config.minPerRoom, Math.ceil(occupied / config.studentsPerInvigilator))
+  );
+};
+
+/**
+ * Assign invigilators to every room of a seating and save it
+ *
+ * @param seating - Seating document
+ * @param config - Normalized settings (see normalizeInvigilationConfig)
+ * @returns { seating, warnings, summary: { required, assigned, staffUsed } }
+ */
+const assignInvigilators = async (seating, config, userId) => {
+  const examDay = toExamDate(seating.examDate);
+  const staff = await Invigilator.find({ isActive: { $ne: false } }).sort({ name: 1 }).lean();
+
+  // Duties in other plans of the cycle (other versions of this plan's event don't count)
+  const otherFilter = {
+    _id: { $ne: seating._id },
+    status: { $ne: 'archived' },
+    examDate: {
+      $gte: new Date(examDay.getTime() - config.cycleDays * DAY_MS),
+      $lt: new Date(examDay.getTime() + (config.cycleDays + 1) * DAY_MS)
+    }
+  };
+  if (seating.examEvent) otherFilter.examEvent = { $ne: seating.examEvent };
+
+  const otherPlans = await Seating.find(otherFilter)
+    .select('examEvent version status examDate slot startTime endTime rooms.invigilators')
+    .lean();
+
+  const load = new Map();
+  const busy = new Set();
+  pickPreferredVersions(otherPlans).forEach(plan => {
+    const overlaps = toExamDate(plan.examDate).getTime() === examDay.getTime() && timesOverlap(plan, seating);
+    plan.rooms.forEach(room => {
+      (room.invigilators || []).forEach(duty => {
+        const key = String(duty.invigilator);
+        load.set(key, (load.get(key) || 0) + 1);
+        if (overlaps) busy.add(key);
+      });
+    });
+  });
+
+  const available = staff.filter(person => !busy.has(String(person._id)) && !isUnavailable(person, seating, examDay));
+
+  const examBranches = new Set();
+  const rooms = seating.rooms.map(room => {
+    const branches = new Set();
+    let occupied = 0;
+    room.layout.forEach(seatRow => {
+      seatRow.forEach(seat => {
+        if (seat) {
+          occupied += 1;
+          branches.add(seat.branch);
+          examBranches.add(seat.branch);
+        }
+      });
+    });
+    return { room, branches, needed: invigilatorsNeeded(occupied, config), duties: [] };
+  });
+
+  // Staff already placed per session
+  const sessionStaff = new Map();
+  const warnings = [];
+  const rounds = Math.max(0, ...rooms.map(r => r.needed));
+
+  // Lower is better: other department, own department without its students here, own students here
+  const rank = (person, entry) => {
+    if (!examBranches.has(person.department)) return 0;
+    return entry.branches.has(person.department) ? 2 : 1;
+  };
+
+  for (let round = 0; round < rounds; round++) {
+    rooms.forEach(entry => {
+      if (entry.duties.length >= entry.needed) return;
+
+      const sessionNumber = entry.room.sessionNumber || 1;
+      if (!sessionStaff.has(sessionNumber)) sessionStaff.set(sessionNumber, new Set());
+      const taken = sessionStaff.get(sessionNumber);
+
+      const candidates = available
+        .filter(person => !taken.has(String(person._id)))
+        .sort((a, b) =>
+          rank(a, entry) - rank(b, entry) ||
+          (load.get(String(a._id)) || 0) - (load.get(String(b._id)) || 0) ||
+          a.name.localeCompare(b.name)
+        );
+
+      const pick = candidates[0];
+      if (!pick) return;
+
+      const key = String(pick._id);
+      taken.add(key);
+      load.set(key, (load.get(key) || 0) + 1);
+      entry.duties.push({
+        invigilator: pick._id,
+        name: pick.name,
+        employeeId: pick.employeeId,
+        department: pick.department
+      });
+
+      if (rank(pick, entry) > 0) {
+        warnings.push(`${pick.name} (${pick.department}) supervises ${describeRoom(entry.room, seating)} in their own department's exam`);
+      }
+    });
+  }
+
+  rooms.forEach(entry => {
+    entry.room.invigilators = entry.duties;
+    if (entry.duties.length < entry.needed) {
+      warnings.unshift(
+        `${describeRoom(entry.room, seating)}: ${entry.duties.length} of ${entry.needed} invigilators - not enough available staff`
+      );
+    }
+  });
+
+  seating.invigilation = {
+    studentsPerInvigilator: config.studentsPerInvigilator,
+    minPerRoom: config.minPerRoom,
+    maxPerRoom: config.maxPerRoom,
+    assignedAt: new Date(),
+    assignedBy: userId,
+    warnings
+  };
+
+  await seating.save();
+
+  const assigned = rooms.flatMap(entry => entry.duties);
+
+  return {
+    seating,
+    warnings,
+    summary: {
+      required: rooms.reduce((sum, entry) => sum + entry.needed, 0),
+      assigned: assigned.length,
+      staffUsed: new Set(assigned.map(duty => String(duty.invigilator))).size,
+      staffAvailable: available.length
+    }
+  };
+};
+
+/**
+ * Duty count per invigilator (optionally within a date range)
+ * Each exam event counts once (its published version, else its newest version).
+ *
+ * @param filter - Extra plan conditions (e.g. only published plans for viewers)
+ * @returns Map invigilatorId -> count
+ */
+const getDutyCounts = async (from, to, filter = {}) => {
+  const match = { status: { $ne: 'archived' }, ...filter };
+  if (from || to) {
+    match.examDate = {};
+    if (from) match.examDate.$gte = from;
+    if (to) match.examDate.$lte = to;
+  }
+
+  const plans = await Seating.find(match)
+    .select('examEvent version status rooms.invigilators')
+    .lean();
+
+  const counts = new Map();
+  pickPreferredVersions(plans).forEach(plan => {
+    plan.rooms.forEach(room => {
+      (room.invigilators || []).forEach(duty => {
+        const key = String(duty.invigilator);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+    });
+  });
+
+  return counts;
+};
+
+/**
+ * An invigilator's duties, oldest first
+ * Each exam event counts once (its published version, else its newest version).
+ *
+ * @param filter - Extra plan conditions (e.g. only published plans for viewers)
+ * @returns [{ seatingId, examName, examDate, slot, startTime, endTime, status, sessionNumber, roomName }]
+ */
+const getDuties = async (invigilatorId, filter = {}) => {
+  const plans = await Seating.find({
+    status: { $ne: 'archived' },
+    ...filter,
+    'rooms.invigilators.invigilator': invigilatorId
+  })
+    .select('examEvent version examName examDate slot startTime endTime status rooms.sessionNumber rooms.roomName rooms.invigilators')
+    .sort({ examDate: 1, startTime: 1 })
+    .lean();
+
+  // Skip plans that another version of their exam event supersedes
+  const events = plans.map(plan => plan.examEvent).filter(Boolean);
+  const versions = events.length
+    ? await Seating.find({ status: { $ne: 'archived' }, ...filter, examEvent: { $in: events } })
+      .select('examEvent version status')
+      .lean()
+    : [];
+  const preferred = new Set(pickPreferredVersions(versions).map(plan => String(plan._id)));
+
+  const duties = [];
+  plans.filter(plan => !plan.examEvent || preferred.has(String(plan._id))).forEach(plan => {
+    plan.rooms.forEach(room => {
+      if ((room.invigilators || []).some(duty => String(duty.invigilator) === String(invigilatorId))) {
+        duties.push({
+          seatingId: plan._id,
+          examName: plan.examName,
+          examDate: plan.examDate,
+          slot: plan.slot,
+          startTime: plan.startTime,
+          endTime: plan.endTime,
+          status: plan.status,
+          sessionNumber: room.sessionNumber,
+          roomName: room.roomName
+        });
+      }
+    });
+  });
+
+  return duties;
+};
+
+/**
+ * Faculty-wise duty chart for a date range. Each exam event counts once: its
+ * published version, else its newest non-archived version.
+ *
+ * @param from, to - Exam dates (inclusive)
+ * @param filter - Extra plan conditions (e.g. only published plans for viewers)
+ * @returns {
+ *   slots: [{ key, date, slot, startTime, endTime, exams: [examName] }],
+ *   staff: [{ invigilator, name, employeeId, department, total, duties: { [slotKey]: [{ examName, roomName, sessionNumber }] } }]
+ * }
+ */
+const getDutyChart = async (from, to, filter = {}) => {
+  const plans = await Seating.find({
+    status: { $ne: 'archived' },
+    ...filter,
+    examDate: { $gte: from, $lt: new Date(to.getTime() + DAY_MS) }
+  })
+    .select('examEvent version status examName examDate slot startTime endTime rooms.sessionNumber rooms.roomName rooms.invigilators')
+    .lean();
+
+  const slots = new Map();
+  const staff = new Map();
+
+  const people = await Invigilator.find({ isActive: { $ne: false } }).lean();
+  people.forEach(person => {
+    staff.set(String(person._id), {
+      invigilator: person._id,
+      name: person.name,
+      employeeId: person.employeeId,
+      department: person.department,
+      total: 0,
+      duties: {}
+    });
+  });
+
+  pickPreferredVersions(plans).forEach(plan => {
+    const day = toExamDate(plan.examDate);
+    const slotKey = [day.toISOString().slice(0, 10), plan.slot || '', plan.startTime || ''].join('|');
+    if (!slots.has(slotKey)) {
+      slots.set(slotKey, {
+        key: slotKey,
+        date: day,
+        slot: plan.slot,
+        startTime: plan.startTime,
+        endTime: plan.endTime,
+        exams: []
+      });
+    }
+    slots.get(slotKey).exams.push(plan.examName);
+
+    plan.rooms.forEach(room => {
+      (room.invigilators || []).forEach(duty => {
+        const key = String(duty.invigilator);
+        // Staff who left or were deleted still show their duties
+        if (!staff.has(key)) {
+          staff.set(key, {
+            invigilator: duty.invigilator,
+            name: duty.name,
+            employeeId: duty.employeeId,
+            department: duty.department,
+            total: 0,
+            duties: {}
+          });
+        }
+        const entry = staff.get(key);
+        entry.total += 1;
+        if (!entry.duties[slotKey]) entry.duties[slotKey] = [];
+        entry.duties[slotKey].push({
+          examName: plan.examName,
+          roomName: room.roomName,
+          sessionNumber: room.sessionNumber || 1
+        });
+      });
+    });
+  });
+
+  return {
+    slots: [...slots.values()].sort((a, b) => a.key.localeCompare(b.key)),
+    staff: [...staff.values()].sort((a, b) =>
+      a.department.localeCompare(b.department) || a.name.localeCompare(b.name)
+    )
+  };
+};
+
+// One plan per exam event: its published version, else its newest version
+// (plans without an event stand alone)
+const pickPreferredVersions = (plans) => {
+  const chosen = new Map();
+  plans.forEach(plan => {
+    const key = plan.examEvent ? String(plan.examEvent) : String(plan._id);
+    const current = chosen.get(key);
+    if (!current || isPreferredVersion(plan, current)) chosen.set(key, plan);
+  });
+  return [...chosen.values()];
+};
+
+// Published beats draft; otherwise the newer version wins
+const isPreferredVersion = (plan, current) => {
+  if ((plan.status === 'published') !== (current.status === 'published')) {
+    return plan.status === 'published';
+  }
+  return (plan.version || 0) > (current.version || 0);
+};
+
+const timesOverlap = (a, b) => {
+  if (!a.startTime || !b.startTime) return true;
+  return a.startTime < b.endTime && b.startTime < a.endTime;
+};
+
+const isUnavailable = (person, seating, examDay) => {
+  return (person.unavailability || []).some(entry =>
+    toExamDate(entry.date).getTime() === examDay.getTime() &&
+    (!entry.slot || !seating.slot || entry.slot === seating.slot)
+  );
+};
+
+const describeRoom = (room, seating) => {
+  const multiSession = seating.rooms.some(r => (r.sessionNumber || 1) > 1);
+  return multiSession ? `${room.roomName} (session ${room.sessionNumber})` : room.roomName;
+};
+
+module.exports = {
+  DEFAULT_INVIGILATION,
+  normalizeInvigilationConfig,
+  invigilatorsNeeded,
+  assignInvigilators,
+  getDutyCounts,
+  getDuties,
+  getDutyChart
+};
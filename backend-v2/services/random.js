@@ -0,0 +1,42 @@
+/**
+ * Seeded Random Numbers
+ *
+ * All randomness in the seating generator comes from a seeded PRNG, so the
+ * same seed with the same students, rooms and rules reproduces a plan exactly.
+ * Seeds are unsigned 32-bit integers; generations without one get a fresh seed.
+ */
+
+const crypto = require('crypto');
+
+const MAX_SEED = 2 ** 32 - 1;
+
+const isValidSeed = (seed) => Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+
+/**
+ * New random seed for generations that did not ask for one
+ */
+const generateSeed = () => crypto.randomInt(MAX_SEED);
+
+/**
+ * Seeded replacement for Math.random (mulberry32)
+ *
+ * @returns Function returning floats in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+module.exports = {
+  MAX_SEED,
+  isValidSeed,
+  generateSeed,
+  createRandom
+};
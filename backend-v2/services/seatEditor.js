@@ -0,0 +1,174 @@
+/**
+ * Manual Seat Editing
+ *
+ * After generation an admin can move a student into an empty seat or swap two
+ * students, within a room or across rooms of the same session. Edits are never
+ * rejected for breaking a seating rule - the rules are re-checked afterwards and
+ * every violation the edit introduced is reported back as a warning.
+ *
+ * SEAT REFERENCE SHAPE:
+ * ---------------------
+ * { roomEntryId: '<_id of the seating.rooms[] entry>', row: 0, col: 3 }
+ */
+
+const {
+  normalizeRules,
+  findNeighbourConflicts,
+  findLockValues
+} = require('./seatingRules');
+const { isSeatAllowed } = require('./spacing');
+
+/**
+ * Resolve a seat reference against a seating
+ *
+ * @returns { room, row, col } or { error }
+ */
+const resolveSeat = (seating, ref, label) => {
+  if (!ref || !ref.roomEntryId) {
+    return { error: `${label}.roomEntryId is required` };
+  }
+
+  const room = seating.rooms.id(ref.roomEntryId);
+  if (!room) {
+    return { error: `${label}: room not found in this seating` };
+  }
+
+  const row = Number(ref.row);
+  const col = Number(ref.col);
+  if (!Number.isInteger(row) || !Number.isInteger(col) ||
+      row < 0 || row >= room.layout.length ||
+      col < 0 || col >= room.layout[row].length) {
+    return { error: `${label}: seat (${ref.row}, ${ref.col}) is outside ${room.roomName}` };
+  }
+
+  if ((room.blockedSeats || []).some(seat => seat.row === row && seat.col === col)) {
+    return { error: `${label}: seat (${row + 1}, ${col + 1}) in ${room.roomName} is blocked` };
+  }
+
+  return { room, row, col };
+};
+
+/**
+ * Move the student in `from` to `to`, swapping if `to` is occupied
+ *
+ * Moves across rooms also refresh both rooms' allocated counts.
+ *
+ * @returns { action: 'moved' | 'swapped', edited } or { error }
+ *          edited lists the changed seats as { room, row, col }
+ */
+const moveSeat = (seating, from, to) => {
+  const source = resolveSeat(seating, from, 'from');
+  if (source.error) return source;
+
+  const target = resolveSeat(seating, to, 'to');
+  if (target.error) return target;
+
+  if ((source.room.sessionNumber || 1) !== (target.room.sessionNumber || 1)) {
+    return { error: 'Students can only be moved between rooms of the same session' };
+  }
+
+  if (source.room === target.room && source.row === target.row && source.col === target.col) {
+    return { error: 'from and to are the same seat' };
+  }
+
+  const student = source.room.layout[source.row][source.col];
+  if (!student) {
+    return { error: 'There is no student in the from seat' };
+  }
+
+  const displaced = target.room.layout[target.row][target.col] || null;
+
+  target.room.layout[target.row][target.col] = student;
+  source.room.layout[source.row][source.col] = displaced;
+
+  // A move across rooms changes both rooms' student counts
+  if (source.room !== target.room) {
+    [source.room, target.room].forEach(room => {
+      room.allocated = room.layout.reduce((sum, seatRow) => sum + seatRow.filter(Boolean).length, 0);
+    });
+  }
+
+  return {
+    action: displaced ? 'swapped' : 'moved',
+    edited: [source, target]
+  };
+};
+
+/**
+ * Re-run the neighbour and lock checks after an edit
+ * Refreshes seating.neighbourConflicts/conflictCount and returns warnings
+ * for violations that involve the edited seats or rooms.
+ *
+ * @returns Array of warning messages
+ */
+const revalidateSeating = (seating, edited) => {
+  const rules = normalizeRules(seating.rules);
+  const warnings = [];
+
+  const neighbourConflicts = [];
+  seating.rooms.forEach(room => {
+    findNeighbourConflicts(room.layout, rules).forEach(conflict => {
+      neighbourConflicts.push({
+        sessionNumber: room.sessionNumber,
+        roomId: room.roomId,
+        roomName: room.roomName,
+        ...conflict
+      });
+
+      const touchesEdit = edited.some(e =>
+        e.room === room &&
+        [conflict.seat, conflict.neighbour].some(s => s.row === e.row && s.col === e.col)
+      );
+      if (touchesEdit) {
+        const a = room.layout[conflict.seat.row][conflict.seat.col];
+        const b = room.layout[conflict.neighbour.row][conflict.neighbour.col];
+        warnings.push(
+          `${room.roomName}: ${a.registerNumber} and ${b.registerNumber} are neighbours ` +
+          `with the same ${conflict.attribute} (${conflict.value})`
+        );
+      }
+    });
+  });
+
+  seating.neighbourConflicts = neighbourConflicts;
+  seating.conflictCount = neighbourConflicts.length;
+
+  const editedRooms = [...new Set(edited.map(e => e.room))];
+  editedRooms.forEach(room => {
+    const lockValues = findLockValues(room.layout, rules);
+    if (lockValues.length > 1) {
+      warnings.push(
+        `${room.roomName} now mixes ${rules.lockAttribute} ${lockValues.sort().join(', ')} ` +
+        `(room lock on ${rules.lockAttribute})`
+      );
+    }
+  });
+
+  // Seats the room's spacing pattern keeps empty
+  edited.forEach(({ room, row, col }) => {
+    if (room.layout[row][col] && !isSeatAllowed(room.spacingMode, row, col, room.seatsPerBench || 1)) {
+      warnings.push(
+        `${room.roomName}: seat (${row + 1}, ${col + 1}) should stay empty under ${room.spacingMode} spacing`
+      );
+    }
+  });
+
+  // Accommodated students moved away from the seat the generator chose
+  edited.forEach(({ room, row, col }) => {
+    const seat = room.layout[row][col];
+    if (seat && seat.accommodations && seat.accommodations.length) {
+      warnings.push(
+        `${seat.registerNumber} has special arrangements (${seat.accommodations.join(', ')}) - ` +
+        `check the new seat in ${room.roomName} still suits them`
+      );
+    }
+  });
+
+  return warnings;
+};
+
+module.exports = {
+  resolveSeat,
+  moveSeat,
+  revalidateSeating
+};
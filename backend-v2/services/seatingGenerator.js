@@ -6,25 +6,32 @@
  * This service generates exam seating arrangements with:
  * 1. Class-based filtering (select specific branches/sections/years)
  * 2. Room-based filtering (select specific rooms)
- * 3. STRICT year separation - each room contains ONLY Year 1 OR ONLY Year 2
+ * 3. STRICT year separation - each room contains students of ONE year only
  * 4. NEW: CSE/non-CSE alternation in ALL rooms for proper mixing
  * 5. NEW: Smart gap distribution - evenly space empty seats instead of bottom-filling
- * 6. Handle overflow students (unassigned tracking)
+ * 6. Handle overflow students (multi-session shifts or unassigned tracking)
+ * 7. Students with accommodations are seated first (designated rooms, seats near the door)
+ * 8. Capacity-aware room allocation (proportional, fill fewest rooms or balanced);
+ *    room allocations always add up to the students seated
  * 
- * SPECIAL RULES:
+ * SPECIAL RULES (defaults - configurable per exam or rule profile, see seatingRules.js):
  * ----------------
- * Rule A: YEAR LOCK - Each room must contain only Year 1 OR only Year 2 students (NO MIXING)
+ * Rule A: YEAR LOCK - Each room must contain students of a single year (NO MIXING)
+ *         Year pools are built from the years present in the selected classes
  *         ✅ Can mix: CSE Year 1 A + CSE Year 1 B in same room
  *         ✅ Can mix: CIVIL Year 1 + EEE Year 1 in same room
  *         ❌ Cannot mix: CSE Year 1 + CSE Year 2 in same room
  *         ❌ Cannot mix: Any Year 1 + Any Year 2 in same room
  * Rule B: In ALL rooms, alternate CSE with other departments for better mixing (respecting year lock)
- * Rule C: Avoid same branch in adjacent seats when possible
- * Rule D: Smart gaps - distribute empty seats evenly throughout room
+ * Rule C: Avoid same branch/paper code in adjacent seats (left, front, back, diagonals) when possible,
+ *         and report the unavoidable conflicts on the seating document
+ * Rule D: Smart gaps - distribute empty seats evenly throughout room (blocked seats never used)
  * 
  * OVERFLOW HANDLING:
  * -----------------
- * - If students > seats: Fill all seats, track unassigned students
+ * - mode 'multi' (default): Split students into sessions that reuse the same rooms
+ * - mode 'expand_rooms': Add seats per room (max +50%), then fall back to multi
+ * - mode 'single': Fill all seats, track unassigned students
  * - Return unassignedCount and unassignedStudents array
  * 
  * TIME COMPLEXITY: O(n) where n = number of students
@@ -35,12 +42,78 @@ const Student = require('../models/Student');
 const Room = require('../models/Room');
 const ClassGroup = require('../models/ClassGroup');
 const Seating = require('../models/Seating');
+const ExamEvent = require('../models/ExamEvent');
+const SeatingRuleProfile = require('../models/SeatingRuleProfile');
+const Paper = require('../models/Paper');
+const PaperEnrolment = require('../models/PaperEnrolment');
+const {
+  normalizeRules,
+  getStudentAttribute,
+  getAlternationGroup,
+  getConstrainedNeighbours,
+  conflictsWithNeighbours,
+  findNeighbourConflicts
+} = require('./seatingRules');
+const { resolveExclusions, applyExclusions } = require('./exclusions');
+const { generateSeed, createRandom } = require('./random');
+const { scoreSeating } = require('./seatingQuality');
+const { optimizeLayouts } = require('./seatingOptimizer');
+const { getSpacedOutSeats } = require('./spacing');
+const { startVersion } = require('./examEvents');
+const { findBookingConflicts } = require('./timetable');
 
 /**
  * Main function to generate seating arrangement with class/room filtering
+ * 
+ * @param options.mode - 'multi' (default), 'single' or 'expand_rooms'
+ * @param options.expandOptions - { addSeatsPerRoom } for expand_rooms mode
+ * @param options.ruleProfileId - Saved SeatingRuleProfile to use
+ * @param options.rules - Inline rule set (overrides the profile's rules)
+ * @param options.paperIds - Papers written in this exam (default paper per class)
+ * @param options.exclusions - Normalized inline exclusions [{ registerNumber, reason, note }]
+ * @param options.exclusionListIds - Saved ExclusionLists to apply
+ * @param options.seed - PRNG seed; the same seed and inputs reproduce the plan
+ * @param options.optimize - { timeBudgetMs } to improve the greedy plan by local search
+ * @param options.allocationStrategy - 'proportional' (default), 'fill_fewest' or 'balanced'
+ * @param options.spacingMode - Seat pattern for every room (overrides each room's default)
+ * @param options.examEventId - Save as the next version of this exam event (default: new event)
+ * @param options.versionNote - Why this version was generated (shown in the version history)
+ * @param options.exam - Timetable Exam the plan is for (its slot is stored on the plan)
+ * @param options.bookings - Rooms/students taken by overlapping exams (see timetable.js findBookings);
+ *                           booked rooms are skipped unless roomIds selects them explicitly
  */
-const generateSeating = async (examName, examDate, classIds, roomIds, userId) => {
+const generateSeating = async (examName, examDate, classIds, roomIds, userId, options = {}) => {
+  const {
+    mode = 'multi',
+    expandOptions,
+    ruleProfileId,
+    paperIds,
+    exclusions: inlineExclusions = [],
+    exclusionListIds = [],
+    seed = generateSeed(),
+    optimize,
+    allocationStrategy = 'proportional',
+    spacingMode,
+    examEventId,
+    versionNote,
+    exam,
+    bookings
+  } = options;
+  
   try {
+    const random = createRandom(seed);
+    
+    // Resolve rule set: defaults <- profile <- inline rules
+    let profileRules = {};
+    if (ruleProfileId) {
+      const profile = await SeatingRuleProfile.findById(ruleProfileId).lean();
+      if (!profile) {
+        throw new Error('Rule profile not found.');
+      }
+      profileRules = profile.rules;
+    }
+    const rules = normalizeRules({ ...profileRules, ...(options.rules || {}) });
+    
     // Fetch selected classes
     let classFilter = {};
     let includedClasses = [];
@@ -67,60 +140,150 @@ const generateSeating = async (examName, examDate, classIds, roomIds, userId) =>
       }));
     }
     
-    // Fetch students based on class filter
-    const students = await Student.find(classFilter).sort({ registerNumber: 1 }).lean();
+    // Fetch active students based on class filter
+    const selectedStudents = await Student.find({ ...classFilter, isActive: { $ne: false } })
+      .sort({ registerNumber: 1 })
+      .lean();
     
-    if (!students.length) {
+    if (!selectedStudents.length) {
       throw new Error('No students found for selected classes.');
     }
     
+    // Drop students barred from this exam (detained, debarred, ...)
+    const { exclusions, lists: exclusionLists } = await resolveExclusions(inlineExclusions, exclusionListIds);
+    const { students, excluded, unmatched } = applyExclusions(selectedStudents, exclusions);
+    
+    if (!students.length) {
+      throw new Error('All selected students are excluded from this exam.');
+    }
+    
+    // Attach the paper code each student writes (used as the 'subject' rule attribute)
+    const papers = await assignPaperCodes(examName, students, paperIds);
+    
     // Fetch rooms
+    // Retired rooms are never used for new seatings
     let rooms;
     if (roomIds && roomIds.length > 0) {
-      rooms = await Room.find({ _id: { $in: roomIds } }).lean();
+      rooms = await Room.find({ _id: { $in: roomIds }, isActive: { $ne: false } }).lean();
     } else {
-      rooms = await Room.find().lean();
+      rooms = await Room.find({ isActive: { $ne: false } }).lean();
+      // Leave rooms used by overlapping exams to those exams
+      if (bookings) {
+        rooms = rooms.filter(room => !bookings.rooms.has(String(room._id)));
+      }
     }
     
     if (!rooms.length) {
-      throw new Error('No rooms found.');
+      throw new Error(bookings ? 'No rooms found that are free during this exam.' : 'No rooms found.');
     }
     
     // Sort rooms numerically (R1, R2, R3... R10)
-    rooms.sort((a, b) => {
-      const numA = parseInt(a.name.replace('R', ''));
-      const numB = parseInt(b.name.replace('R', ''));
-      return numA - numB;
-    });
+    rooms.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    
+    // Expand room capacities virtually if requested
+    let expandApplied = false;
+    if (mode === 'expand_rooms') {
+      const addSeatsPerRoom = (expandOptions && expandOptions.addSeatsPerRoom) || 0;
+      rooms = expandRoomCapacities(rooms, addSeatsPerRoom);
+      expandApplied = addSeatsPerRoom > 0;
+    }
+    
+    // Only seats allowed by the spacing pattern count as capacity
+    rooms = applySpacingModes(rooms, spacingMode);
     
     const totalCapacity = rooms.reduce((sum, r) => sum + r.capacity, 0);
     const totalStudents = students.length;
+    const spacingWarnings = getSpacingWarnings(rooms, totalStudents, totalCapacity, mode);
     
-    // UPDATED: Handle overflow - don't throw error, just track it
-    let unassignedStudents = [];
-    let studentsToSeat = students;
+    // Single mode keeps the legacy behaviour (one session, overflow tracked);
+    // multi and expand_rooms keep adding sessions until everyone is seated
+    const maxSessions = mode === 'single' ? 1 : Infinity;
+    const { sessions, roomSeatingData, unassignedStudents } = generateSessions(
+      students,
+      rooms,
+      maxSessions,
+      rules,
+      random,
+      allocationStrategy
+    );
     
-    if (totalStudents > totalCapacity) {
-      // We can only seat as many as capacity allows
-      studentsToSeat = students.slice(0, totalCapacity);
-      unassignedStudents = students.slice(totalCapacity);
-    }
+    // Optional local search to remove conflicts the greedy pass left behind
+    const optimization = optimize
+      ? optimizeLayouts(roomSeatingData, rules, random, optimize)
+      : undefined;
     
-    // Group students by branch AND year (for CSE year constraints)
-    const branchYearGroups = groupStudentsByBranchAndYear(studentsToSeat);
+    // Report remaining (unavoidable) neighbour conflicts per room
+    const neighbourConflicts = [];
+    roomSeatingData.forEach(room => {
+      findNeighbourConflicts(room.layout, rules).forEach(conflict => {
+        neighbourConflicts.push({
+          sessionNumber: room.sessionNumber,
+          roomId: room.roomId,
+          roomName: room.roomName,
+          ...conflict
+        });
+      });
+    });
     
-    // Generate seating layout for selected rooms with special rules
-    const roomSeatingData = generateRoomLayoutsWithRules(rooms, branchYearGroups);
+    // Quality metrics per room (stored on each room) and for the whole plan
+    const quality = scoreSeating(roomSeatingData, rules);
+    
+    // Rooms (selected explicitly) and students also taken by an overlapping exam
+    const bookingConflicts = bookings ? findBookingConflicts(rooms, students, bookings) : [];
+    
+    // Number the plan as the next version of its exam event
+    // (plans for a timetable exam continue that exam's event)
+    const existingEvent = !examEventId && exam ? await ExamEvent.findOne({ exam: exam._id }) : null;
+    const { event, version } = await startVersion(
+      examEventId || (existingEvent && existingEvent._id),
+      examName,
+      examDate,
+      userId,
+      exam && exam._id
+    );
+    
+    // Rooms that received students (roomSeatingData leaves out empty rooms)
+    const occupiedRoomIds = new Set(roomSeatingData.map(room => String(room.roomId)));
     
     // Create and save seating document
     const seatingDoc = new Seating({
       examName,
       examDate,
+      exam: exam && exam._id,
+      slot: exam && exam.slot,
+      startTime: exam && exam.startTime,
+      endTime: exam && exam.endTime,
+      bookingConflicts,
+      examEvent: event._id,
+      version,
+      versionNote,
       includedClasses,
-      usedRooms: rooms.map(r => r._id),
+      papers: papers.map(p => ({ paperId: p._id, code: p.code, name: p.name })),
+      usedRooms: rooms.filter(r => occupiedRoomIds.has(String(r._id))).map(r => r._id),
+      mode,
+      allocationStrategy,
+      spacingMode,
+      spacingWarnings,
+      totalStudents,
+      totalSeats: totalCapacity,
+      sessionsNeeded: sessions.length,
+      sessions,
+      expandApplied,
+      expandOptions: expandApplied ? expandOptions : undefined,
+      ruleProfile: ruleProfileId || undefined,
+      rules,
+      seed,
       rooms: roomSeatingData,
+      neighbourConflicts,
+      conflictCount: neighbourConflicts.length,
+      quality,
+      optimization,
       unassignedCount: unassignedStudents.length,
       unassignedStudents: unassignedStudents.map(s => s._id),
+      excludedStudents: excluded,
+      excludedCount: excluded.length,
+      exclusionLists: exclusionLists.map(l => ({ listId: l._id, name: l.name })),
+      unmatchedExclusions: unmatched,
       createdBy: userId
     });
     
@@ -132,6 +295,190 @@ const generateSeating = async (examName, examDate, classIds, roomIds, userId) =>
   }
 };
 
+/**
+ * Set student.paperCode for every student
+ * 
+ * PRIORITY:
+ * 1. Explicit PaperEnrolment for this exam (electives)
+ * 2. A selected paper whose classGroups include the student's class
+ * 3. null (no paper - adjacency falls back to branch only)
+ * 
+ * @returns Papers involved in this exam
+ */
+const assignPaperCodes = async (examName, students, paperIds) => {
+  const enrolments = await PaperEnrolment.find({
+    examName,
+    student: { $in: students.map(s => s._id) }
+  }).populate('paper').lean();
+  
+  const selectedPapers = paperIds && paperIds.length > 0
+    ? await Paper.find({ _id: { $in: paperIds } }).populate('classGroups').lean()
+    : [];
+  
+  // Default paper per class (branch-section-year)
+  const classPaper = {};
+  selectedPapers.forEach(paper => {
+    paper.classGroups.forEach(cg => {
+      classPaper[`${cg.branch}-${cg.section}-${cg.year}`] = paper;
+    });
+  });
+  
+  const enrolledPaper = {};
+  enrolments.forEach(e => {
+    if (e.paper) enrolledPaper[String(e.student)] = e.paper;
+  });
+  
+  const usedPapers = {};
+  students.forEach(student => {
+    const paper = enrolledPaper[String(student._id)]
+      || classPaper[`${student.branch}-${student.section}-${student.year}`];
+    student.paperCode = paper ? paper.code : null;
+    if (paper) usedPapers[paper.code] = paper;
+  });
+  
+  return Object.values(usedPapers);
+};
+
+/**
+ * Split students into sessions (shifts) that reuse the same rooms
+ * 
+ * Each session seats up to the total room capacity. Anyone the layout pass
+ * could not place (e.g. year lock left seats idle) rolls over to the next
+ * session, so in multi mode no student is left unseated.
+ * 
+ * @param students - All students to seat (sorted)
+ * @param rooms - Rooms available in every session
+ * @param maxSessions - 1 for single mode, Infinity otherwise
+ * @param rules - Normalized rule set
+ * @param random - Seeded PRNG (see services/random.js)
+ * @param allocationStrategy - See allocateStudentsToRooms
+ * @returns { sessions, roomSeatingData, unassignedStudents }
+ */
+const generateSessions = (students, rooms, maxSessions, rules, random, allocationStrategy) => {
+  const totalCapacity = rooms.reduce((sum, r) => sum + r.capacity, 0);
+  const sessions = [];
+  const roomSeatingData = [];
+  let remaining = students;
+  
+  while (remaining.length > 0 && sessions.length < maxSessions) {
+    const sessionNumber = sessions.length + 1;
+    const studentsToSeat = remaining.slice(0, totalCapacity);
+    
+    const branchYearGroups = groupStudentsByBranchAndYear(studentsToSeat);
+    const sessionRooms = generateRoomLayoutsWithRules(
+      rooms,
+      branchYearGroups,
+      rules,
+      random,
+      allocationStrategy
+    );
+    
+    // Work out who actually got a seat in this session
+    const seatedIds = new Set();
+    sessionRooms.forEach(room => {
+      room.layout.forEach(row => {
+        row.forEach(seat => {
+          if (seat) seatedIds.add(String(seat.studentId));
+        });
+      });
+    });
+    
+    if (seatedIds.size === 0) {
+      // No progress possible - stop instead of looping forever
+      break;
+    }
+    
+    // Rooms left without students (e.g. fill_fewest) are not part of the session
+    sessionRooms
+      .filter(room => room.allocated > 0)
+      .forEach(room => {
+        roomSeatingData.push({ sessionNumber, ...room });
+      });
+    
+    remaining = remaining.filter(s => !seatedIds.has(String(s._id)));
+    
+    sessions.push({
+      sessionNumber,
+      studentCount: seatedIds.size,
+      unassignedCount: 0
+    });
+  }
+  
+  // Whatever is left could not be seated (single mode overflow)
+  if (sessions.length > 0) {
+    sessions[sessions.length - 1].unassignedCount = remaining.length;
+  }
+  
+  return { sessions, roomSeatingData, unassignedStudents: remaining };
+};
+
+/**
+ * Virtually increase room capacities by adding seats
+ * Capped at 50% of the original capacity per room (safety limit)
+ */
+const expandRoomCapacities = (rooms, addSeatsPerRoom) => {
+  return rooms.map(room => {
+    const extraSeats = Math.min(addSeatsPerRoom, Math.floor(room.capacity * 0.5));
+    return {
+      ...room,
+      capacity: room.capacity + Math.max(extraSeats, 0)
+    };
+  });
+};
+
+/**
+ * Resolve each room's spacing pattern and reduce its capacity to the seats
+ * the pattern allows. Spaced-out seats are then skipped like blocked seats.
+ */
+const applySpacingModes = (rooms, spacingMode) => {
+  return rooms.map(room => {
+    const mode = spacingMode || room.spacingMode || 'even';
+    if (mode === 'even') {
+      return { ...room, spacingMode: mode };
+    }
+    
+    // Fix the grid first - the reduced capacity must not shrink it
+    const { rows, cols } = getRoomDimensions(room);
+    const blocked = getBlockedPositions(room, cols);
+    const spacedSeats = getSpacedOutSeats(mode, rows, cols, room.seatsPerBench || 1)
+      .filter(seat => !blocked.has(seat.row * cols + seat.col));
+    const allowedSeats = rows * cols - blocked.size - spacedSeats.length;
+    
+    return {
+      ...room,
+      rows,
+      columns: cols,
+      spacingMode: mode,
+      spacedSeats,
+      fullCapacity: room.capacity,
+      capacity: Math.min(room.capacity, allowedSeats)
+    };
+  });
+};
+
+/**
+ * Warnings when the spacing patterns leave too few seats for everyone
+ */
+const getSpacingWarnings = (rooms, totalStudents, totalCapacity, mode) => {
+  const spacedRooms = rooms.filter(room => room.spacingMode !== 'even');
+  if (!spacedRooms.length || totalStudents <= totalCapacity) {
+    return [];
+  }
+  
+  const warnings = [
+    `Spacing leaves ${totalCapacity} seats for ${totalStudents} students: ` +
+    spacedRooms.map(room => `${room.name} ${room.capacity}/${room.fullCapacity} (${room.spacingMode})`).join(', ')
+  ];
+  
+  if (mode === 'single') {
+    warnings.push(`${totalStudents - totalCapacity} students cannot be seated under this spacing`);
+  } else {
+    warnings.push(`At least ${Math.ceil(totalStudents / totalCapacity)} sessions are needed under this spacing`);
+  }
+  
+  return warnings;
+};
+
 /**
  * Group students by branch AND year (important for CSE year constraints)
  * Returns object like: { 'CSE-1': [...], 'CSE-2': [...], 'ECE-1': [...], etc. }
@@ -151,24 +498,32 @@ const groupStudentsByBranchAndYear = (students) => {
 };
 
 /**
- * UPDATED: Generate layouts with STRICT rules for Room 8 & 9
+ * Generate room layouts driven by a declarative rule set
  * 
- * CRITICAL RULES IMPLEMENTATION:
- * ------------------------------
- * Rule A: CSE year lock per room - Any room with CSE must have ONLY ONE year (1 or 2)
- * Rule B: In R8/R9 - Alternate CSE with non-CSE (don't fill with CSE only)
- * Rule C: In R8/R9 - Mix all departments, avoid long CSE blocks
+ * RULES IMPLEMENTATION (see services/seatingRules.js):
+ * ---------------------------------------------------
+ * lockAttribute: Each room holds a single lock value (e.g. year), planned
+ *                upfront from the cohort sizes (see planRoomLocks)
+ * alternate: Consecutive seats rotate through alternation groups
+ *            (default: CSE -> non-CSE -> CSE -> ...)
+ * neighbourConstraints: Avoid same attribute value as already placed neighbours
  * 
  * ALGORITHM:
  * ----------
- * 1. Separate students into CSE-Year1, CSE-Year2, and NON-CSE pools
- * 2. For each room:
- *    - If R8 or R9: Use alternating pattern (CSE → non-CSE → CSE → ...)
- *    - Lock room to CSE year when first CSE student placed
- *    - For other rooms: Fill normally but respect CSE year lock
- * 3. Track last placed student type to enforce alternation
+ * 1. Seat students with accommodations first (see placeAccommodatedStudents)
+ * 2. Split the remaining students into pools by lock value, then by alternation group
+ * 3. Plan which rooms hold which lock value, then allocate each cohort to its rooms
+ * 4. For each room:
+ *    - Pick from the next alternation group of the room's cohort, falling back to the others
+ * 5. Track last placed group to enforce alternation
  */
-const generateRoomLayoutsWithRules = (rooms, branchYearGroups) => {
+const generateRoomLayoutsWithRules = (
+  rooms,
+  branchYearGroups,
+  rules = normalizeRules(),
+  random = Math.random,
+  allocationStrategy = 'proportional'
+) => {
   const keys = Object.keys(branchYearGroups);
   
   if (keys.length === 0) {
@@ -179,78 +534,67 @@ const generateRoomLayoutsWithRules = (rooms, branchYearGroups) => {
   const allStudents = [];
   keys.forEach(key => {
     const shuffled = [...branchYearGroups[key]];
-    shuffleArray(shuffled);
+    shuffleArray(shuffled, random);
     allStudents.push(...shuffled);
   });
   
-  shuffleArray(allStudents);
+  shuffleArray(allStudents, random);
   
-  const totalStudents = allStudents.length;
+  // Empty grids for every room
+  const grids = rooms.map(room => {
+    const { rows, cols } = getRoomDimensions(room);
+    return {
+      rows,
+      cols,
+      layout: Array(rows).fill(null).map(() => Array(cols).fill(null)),
+      blocked: getBlockedPositions(room, cols)
+    };
+  });
   
-  // Distribute students evenly across rooms
-  const studentsPerRoom = distributeStudentsAcrossRooms(totalStudents, rooms);
+  // Lock value per room (set by accommodated students and the room plan)
+  const roomLocks = {};
   
-  // UPDATED: Create separate pools by YEAR and branch for strict year separation
-  const year1Students = allStudents.filter(s => s.year === 1);
-  const year2Students = allStudents.filter(s => s.year === 2);
+  // Accommodated students get their designated room/seat before the general pools
+  const { placedPerRoom, reservedRooms, unplaced } = placeAccommodatedStudents(
+    rooms,
+    grids,
+    allStudents.filter(hasAccommodation),
+    rules,
+    roomLocks
+  );
+  const generalStudents = allStudents.filter(s => !hasAccommodation(s)).concat(unplaced);
   
-  // Further split by CSE/non-CSE within each year
-  const cseYear1Pool = year1Students.filter(s => s.branch === 'CSE');
-  const nonCSEYear1Pool = year1Students.filter(s => s.branch !== 'CSE');
-  const cseYear2Pool = year2Students.filter(s => s.branch === 'CSE');
-  const nonCSEYear2Pool = year2Students.filter(s => s.branch !== 'CSE');
+  // Allocate the remaining students to the rooms' free seats
+  // (rooms holding separate-room students are kept for them)
+  const generalRooms = rooms.map((room, idx) => ({
+    ...room,
+    capacity: reservedRooms.has(idx) ? 0 : Math.max(room.capacity - placedPerRoom[idx], 0)
+  }));
+  // Create pools by lock value and alternation group
+  const pools = buildStudentPools(generalStudents, rules, random);
   
-  // Shuffle each pool
-  shuffleArray(cseYear1Pool);
-  shuffleArray(nonCSEYear1Pool);
-  shuffleArray(cseYear2Pool);
-  shuffleArray(nonCSEYear2Pool);
-  
-  // Create index trackers by year and type
-  const pools = {
-    'Year1-CSE': { students: cseYear1Pool, index: 0 },
-    'Year1-NonCSE': { students: nonCSEYear1Pool, index: 0 },
-    'Year2-CSE': { students: cseYear2Pool, index: 0 },
-    'Year2-NonCSE': { students: nonCSEYear2Pool, index: 0 }
-  };
-  
-  const roomSeatingData = [];
-  
-  // UPDATED: Track YEAR lock per room (null, 1, or 2) - applies to ALL students
-  const roomYearLock = {};
+  // Decide upfront which rooms hold which cohort, so no cohort waits while seats sit idle
+  const studentsPerRoom = planRoomLocks(generalRooms, pools, roomLocks, allocationStrategy);
   
   for (let roomIdx = 0; roomIdx < rooms.length; roomIdx++) {
-    const room = rooms[roomIdx];
     const studentsForThisRoom = studentsPerRoom[roomIdx];
-    const { capacity, type, name } = room;
-    
-    // UPDATED: Apply alternation to ALL rooms for better mixing
-    const isSpecialRoom = name === 'R8' || name === 'R9' || name === 'R10';
+    const { rows, cols, layout, blocked } = grids[roomIdx];
     
-    let rows, cols;
-    
-    // Determine layout dimensions
-    if (type === '60' || capacity === 60) {
-      rows = 6;
-      cols = 10;
-    } else if (type === '45' || capacity === 45) {
-      rows = 5;
-      cols = 9;
-    } else {
-      cols = 10;
-      rows = Math.ceil(capacity / cols);
-    }
-    
-    const layout = Array(rows).fill(null).map(() => Array(cols).fill(null));
+    // Seats already taken by accommodated students are skipped like blocked seats
+    const unavailable = new Set(blocked);
+    layout.forEach((seatRow, row) => {
+      seatRow.forEach((seat, col) => {
+        if (seat) unavailable.add(row * cols + col);
+      });
+    });
     
     // UPDATED: Smart gap distribution - calculate which seats to fill
-    const totalSeats = rows * cols;
-    const emptySeats = totalSeats - studentsForThisRoom;
-    const seatsToFill = calculateSeatPositions(rows, cols, studentsForThisRoom);
+    const seatsToFill = new Set(
+      calculateSeatPositions(rows, cols, studentsForThisRoom, unavailable)
+    );
     
     let studentsPlaced = 0;
-    let lastWasCSE = false; // Track if last student was CSE for alternation
-    let seatIndex = 0;
+    let lastGroup = null; // Track last alternation group placed
     
     // Fill this room seat by seat using calculated positions
     outerLoop:
@@ -259,7 +603,7 @@ const generateRoomLayoutsWithRules = (rooms, branchYearGroups) => {
         const currentPosition = row * cols + col;
         
         // Check if this seat should be filled
-        if (!seatsToFill.includes(currentPosition)) {
+        if (!seatsToFill.has(currentPosition)) {
           continue; // Leave this seat empty (gap)
         }
         
@@ -267,28 +611,19 @@ const generateRoomLayoutsWithRules = (rooms, branchYearGroups) => {
           break outerLoop;
         }
         
-        // UPDATED: Apply CSE alternation to ALL rooms (not just special rooms)
-        const student = getNextStudentWithStrictRules(
+        const student = getNextStudentWithRules(
           pools,
-          roomYearLock,
+          roomLocks,
           roomIdx,
-          true, // Apply alternation to ALL rooms
-          lastWasCSE,
-          layout[row][col - 1] // left neighbor for branch conflict check
+          lastGroup,
+          getConstrainedNeighbours(layout, row, col, rules)
         );
         
         if (student) {
-          layout[row][col] = {
-            studentId: student._id,
-            registerNumber: student.registerNumber,
-            name: student.name,
-            branch: student.branch,
-            section: student.section,
-            year: student.year
-          };
+          layout[row][col] = toSeat(student);
           
           studentsPlaced++;
-          lastWasCSE = (student.branch === 'CSE');
+          lastGroup = getAlternationGroup(student, rules);
           
         } else {
           // No more students available
@@ -297,14 +632,375 @@ const generateRoomLayoutsWithRules = (rooms, branchYearGroups) => {
       }
     }
     
-    roomSeatingData.push({
-      roomId: room._id,
-      roomName: room.name,
-      layout
+  }
+  
+  // A locked room can run out of its lock value before reaching its allocation;
+  // move those seats to students still waiting in rooms they may join
+  topUpRooms(rooms, grids, pools, roomLocks, reservedRooms, studentsPerRoom, rules);
+  
+  // Every room must stay within its capacity, and rooms the plan left without
+  // general students may only hold accommodated ones
+  rooms.forEach((room, roomIdx) => {
+    const occupied = countOccupiedSeats(grids[roomIdx].layout);
+    if (occupied > room.capacity) {
+      throw new Error(`${room.name} holds ${occupied} students but has capacity ${room.capacity}.`);
+    }
+    if (studentsPerRoom[roomIdx] === 0 && occupied > placedPerRoom[roomIdx]) {
+      throw new Error(`${room.name} was planned to stay empty but holds ${occupied - placedPerRoom[roomIdx]} students.`);
+    }
+  });
+  
+  return rooms.map((room, roomIdx) => ({
+    roomId: room._id,
+    roomName: room.name,
+    seatsPerBench: room.seatsPerBench || 1,
+    blockedSeats: room.blockedSeats || [],
+    doorPosition: room.doorPosition || 'front-left',
+    spacingMode: room.spacingMode || 'even',
+    allocated: countOccupiedSeats(grids[roomIdx].layout),
+    layout: grids[roomIdx].layout
+  }));
+};
+
+/**
+ * Plan which rooms hold which lock value (cohort) and how many students each gets
+ * 
+ * Rooms already locked by accommodated students keep their cohort. Then, until
+ * every cohort fits or no rooms are left, the cohort with the most students
+ * still without a seat takes the smallest free room that holds all of them,
+ * or the largest free room when none does. Each cohort is then allocated to
+ * its rooms with the chosen strategy. Students of a cohort that did not fit
+ * are left for the top-up pass or the next session.
+ * 
+ * @param rooms - Rooms with their capacity for general students
+ * @param pools - Result of buildStudentPools
+ * @param roomLocks - Lock value per room index, filled in for planned rooms
+ * @returns Array of student counts per room
+ */
+const planRoomLocks = (rooms, pools, roomLocks, allocationStrategy) => {
+  const cohortSize = {};
+  pools.lockOrder.forEach(lock => {
+    cohortSize[lock] = Object.values(pools.byLock[lock])
+      .reduce((sum, pool) => sum + pool.students.length, 0);
+  });
+  
+  // Without a lock every room can take anyone
+  if (pools.lockAttribute === 'none') {
+    const total = Object.values(cohortSize).reduce((sum, n) => sum + n, 0);
+    return allocateStudentsToRooms(total, rooms, allocationStrategy);
+  }
+  
+  const unmet = { ...cohortSize };
+  const cohortRooms = {};
+  const freeRooms = [];
+  const assign = (roomIdx, lock) => {
+    if (!cohortRooms[lock]) cohortRooms[lock] = [];
+    cohortRooms[lock].push(roomIdx);
+    unmet[lock] = (unmet[lock] || 0) - rooms[roomIdx].capacity;
+    roomLocks[roomIdx] = lock;
+  };
+  
+  rooms.forEach((room, idx) => {
+    if (room.capacity <= 0) return;
+    if (roomLocks[idx] !== undefined) {
+      assign(idx, roomLocks[idx]);
+    } else {
+      freeRooms.push(idx);
+    }
+  });
+  
+  while (freeRooms.length > 0) {
+    const waiting = pools.lockOrder.filter(lock => unmet[lock] > 0);
+    if (!waiting.length) break;
+    
+    const lock = waiting.reduce((a, b) => (unmet[b] > unmet[a] ? b : a));
+    const fits = freeRooms.filter(idx => rooms[idx].capacity >= unmet[lock]);
+    const roomIdx = fits.length
+      ? fits.reduce((a, b) => (rooms[b].capacity < rooms[a].capacity ? b : a))
+      : freeRooms.reduce((a, b) => (rooms[b].capacity > rooms[a].capacity ? b : a));
+    
+    freeRooms.splice(freeRooms.indexOf(roomIdx), 1);
+    assign(roomIdx, lock);
+  }
+  
+  const studentsPerRoom = rooms.map(() => 0);
+  Object.entries(cohortRooms).forEach(([lock, roomIdxs]) => {
+    const counts = allocateStudentsToRooms(
+      cohortSize[lock] || 0,
+      roomIdxs.map(idx => rooms[idx]),
+      allocationStrategy
+    );
+    roomIdxs.forEach((roomIdx, i) => {
+      studentsPerRoom[roomIdx] = counts[i];
     });
+  });
+  
+  return studentsPerRoom;
+};
+
+/**
+ * Seat students the allocation pass could not place (their lock value ran out
+ * of rooms) in free seats of rooms they are allowed into. Only rooms the plan
+ * gave students are topped up (rooms it left empty stay empty), and no room
+ * goes above its capacity (accommodated students included).
+ */
+const topUpRooms = (rooms, grids, pools, roomLocks, reservedRooms, studentsPerRoom, rules) => {
+  const order = rooms
+    .map((_, idx) => idx)
+    .filter(idx => !reservedRooms.has(idx) && studentsPerRoom[idx] > 0);
+  
+  for (const roomIdx of order) {
+    const { rows, cols, layout, blocked } = grids[roomIdx];
+    let free = rooms[roomIdx].capacity - countOccupiedSeats(layout);
+    let lastGroup = null;
+    
+    roomLoop:
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        if (free <= 0) break roomLoop;
+        if (layout[row][col] || blocked.has(row * cols + col)) continue;
+        
+        const student = getNextStudentWithRules(
+          pools,
+          roomLocks,
+          roomIdx,
+          lastGroup,
+          getConstrainedNeighbours(layout, row, col, rules)
+        );
+        if (!student) break roomLoop;
+        
+        layout[row][col] = toSeat(student);
+        lastGroup = getAlternationGroup(student, rules);
+        free--;
+      }
+    }
+  }
+};
+
+const countOccupiedSeats = (layout) => {
+  return layout.reduce((sum, seatRow) => sum + seatRow.filter(Boolean).length, 0);
+};
+
+/**
+ * Seat object stored in a room layout
+ */
+const toSeat = (student) => {
+  const seat = {
+    studentId: student._id,
+    registerNumber: student.registerNumber,
+    name: student.name,
+    branch: student.branch,
+    section: student.section,
+    year: student.year,
+    paperCode: student.paperCode || null
+  };
+  
+  if (hasAccommodation(student)) {
+    seat.accommodations = student.accommodations;
+  }
+  
+  return seat;
+};
+
+// Accommodations that need a designated (separate) room when one exists
+const SEPARATE_ROOM_NEEDS = ['separate_room', 'scribe', 'extra_time'];
+
+const hasAccommodation = (student) => {
+  return Array.isArray(student.accommodations) && student.accommodations.length > 0;
+};
+
+/**
+ * Seat students with accommodations before anyone else
+ * 
+ * ROOM CHOICE (first non-empty candidate list wins):
+ * --------------------------------------------------
+ * - separate_room / scribe / extra_time: rooms reservedForAccommodations,
+ *   then ground-floor rooms, then any room
+ * - ground_floor: ground-floor (floor 0) or accessible rooms, then any room
+ * - near_door: any room that is not reserved, then any room
+ * Among candidates, rooms already locked to the student's lock value (or not
+ * locked yet) are preferred, then the room with most free seats.
+ * 
+ * SEAT CHOICE: the free usable seat closest to the room's door.
+ * 
+ * @returns {
+ *   placedPerRoom - accommodated students seated per room index,
+ *   reservedRooms - indexes of reserved rooms that received students
+ *                   (no general students are added to them),
+ *   unplaced - students that found no free seat (seated with the general pools)
+ * }
+ */
+const placeAccommodatedStudents = (rooms, grids, students, rules, roomLocks) => {
+  const placedPerRoom = rooms.map(() => 0);
+  const reservedRooms = new Set();
+  const unplaced = [];
+  
+  if (!students.length) {
+    return { placedPerRoom, reservedRooms, unplaced };
+  }
+  
+  const allIdx = rooms.map((_, idx) => idx);
+  const isReserved = idx => rooms[idx].reservedForAccommodations === true;
+  const isGroundFloor = idx => rooms[idx].floor === 0 || rooms[idx].accessible === true;
+  const hasFreeSeat = idx => placedPerRoom[idx] < rooms[idx].capacity && freeSeatsByDoor(rooms[idx], grids[idx]).length > 0;
+  
+  const candidateLists = (student) => {
+    const needs = student.accommodations;
+    if (needs.some(n => SEPARATE_ROOM_NEEDS.includes(n))) {
+      return [allIdx.filter(isReserved), allIdx.filter(isGroundFloor), allIdx];
+    }
+    if (needs.includes('ground_floor')) {
+      return [allIdx.filter(idx => isGroundFloor(idx) && !isReserved(idx)), allIdx.filter(isGroundFloor), allIdx];
+    }
+    return [allIdx.filter(idx => !isReserved(idx)), allIdx];
+  };
+  
+  // Most restrictive needs first
+  const priority = (student) => {
+    const needs = student.accommodations;
+    if (needs.some(n => SEPARATE_ROOM_NEEDS.includes(n))) return 0;
+    if (needs.includes('ground_floor')) return 1;
+    return 2;
+  };
+  const ordered = [...students].sort((a, b) => priority(a) - priority(b));
+  
+  ordered.forEach(student => {
+    const lockValue = rules.lockAttribute === 'none'
+      ? undefined
+      : String(getStudentAttribute(student, rules.lockAttribute));
+    
+    let roomIdx;
+    for (const list of candidateLists(student)) {
+      const open = list.filter(hasFreeSeat);
+      if (!open.length) continue;
+      
+      const lockOk = open.filter(idx => roomLocks[idx] === undefined || roomLocks[idx] === lockValue);
+      const choices = lockOk.length ? lockOk : open;
+      roomIdx = choices.reduce((best, idx) =>
+        rooms[idx].capacity - placedPerRoom[idx] > rooms[best].capacity - placedPerRoom[best] ? idx : best
+      );
+      break;
+    }
+    
+    if (roomIdx === undefined) {
+      unplaced.push(student);
+      return;
+    }
+    
+    const { row, col } = freeSeatsByDoor(rooms[roomIdx], grids[roomIdx])[0];
+    grids[roomIdx].layout[row][col] = toSeat(student);
+    placedPerRoom[roomIdx]++;
+    
+    if (lockValue !== undefined && roomLocks[roomIdx] === undefined) {
+      roomLocks[roomIdx] = lockValue;
+    }
+    if (isReserved(roomIdx)) {
+      reservedRooms.add(roomIdx);
+    }
+  });
+  
+  return { placedPerRoom, reservedRooms, unplaced };
+};
+
+/**
+ * Free, usable seats of a room ordered by distance to its door
+ * doorPosition: 'front-left' (default), 'front-right', 'back-left' or 'back-right'
+ */
+const freeSeatsByDoor = (room, grid) => {
+  const { rows, cols, layout, blocked } = grid;
+  const [vertical, horizontal] = (room.doorPosition || 'front-left').split('-');
+  const doorRow = vertical === 'back' ? rows - 1 : 0;
+  const doorCol = horizontal === 'right' ? cols - 1 : 0;
+  
+  const seats = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (!layout[row][col] && !blocked.has(row * cols + col)) {
+        seats.push({ row, col, distance: Math.abs(row - doorRow) + Math.abs(col - doorCol) });
+      }
+    }
   }
   
-  return roomSeatingData;
+  return seats.sort((a, b) => a.distance - b.distance);
+};
+
+/**
+ * Split students into pools: lock value -> alternation group -> { students, index }
+ * 
+ * Lock values and groups are kept in a stable order (ascending lock value,
+ * focus group before others) so Year 1 rooms are filled before Year 2.
+ */
+const buildStudentPools = (students, rules, random = Math.random) => {
+  const byLock = {};
+  
+  students.forEach(student => {
+    const lockValue = rules.lockAttribute === 'none'
+      ? '*'
+      : String(getStudentAttribute(student, rules.lockAttribute));
+    const group = getAlternationGroup(student, rules);
+    
+    if (!byLock[lockValue]) byLock[lockValue] = {};
+    if (!byLock[lockValue][group]) byLock[lockValue][group] = { students: [], index: 0 };
+    byLock[lockValue][group].students.push(student);
+  });
+  
+  const compare = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+  const lockOrder = Object.keys(byLock).sort(compare);
+  
+  const groupSet = new Set();
+  lockOrder.forEach(lock => Object.keys(byLock[lock]).forEach(g => groupSet.add(g)));
+  const groupOrder = [...groupSet].sort((a, b) => {
+    if (a === 'focus') return -1;
+    if (b === 'focus') return 1;
+    return compare(a, b);
+  });
+  
+  // Shuffle each pool
+  lockOrder.forEach(lock => {
+    Object.values(byLock[lock]).forEach(pool => shuffleArray(pool.students, random));
+  });
+  
+  return { byLock, lockOrder, groupOrder, lockAttribute: rules.lockAttribute };
+};
+
+/**
+ * Determine layout dimensions for a room
+ * Explicit geometry (rows/columns) wins; otherwise inferred from type.
+ * Expanded rooms (capacity above the usable grid) get extra rows
+ */
+const getRoomDimensions = (room) => {
+  const { capacity, type } = room;
+  let rows, cols;
+  
+  if (room.rows && room.columns) {
+    rows = room.rows;
+    cols = room.columns;
+  } else if (type === '60' || capacity === 60) {
+    rows = 6;
+    cols = 10;
+  } else if (type === '45' || capacity === 45) {
+    rows = 5;
+    cols = 9;
+  } else {
+    cols = 10;
+    rows = Math.ceil(capacity / cols);
+  }
+  
+  const blockedCount = (room.blockedSeats || []).length;
+  if (rows * cols - blockedCount < capacity) {
+    rows = Math.ceil((capacity + blockedCount) / cols);
+  }
+  
+  return { rows, cols };
+};
+
+/**
+ * Blocked and spaced-out seat positions of a room as a Set of row * cols + col
+ */
+const getBlockedPositions = (room, cols) => {
+  return new Set(
+    [...(room.blockedSeats || []), ...(room.spacedSeats || [])].map(seat => seat.row * cols + seat.col)
+  );
 };
 
 /**
@@ -330,231 +1026,186 @@ const generateRoomLayoutsWithRules = (rooms, branchYearGroups) => {
  * Example: 60 seats, 30 students = fill positions 0,2,4,6,8... (every 2nd seat)
  * 
  * ALGORITHM:
- * - If students >= seats: Fill all seats
- * - Otherwise: Calculate interval = totalSeats / studentsCount
- * - Place students at positions: 0, interval, 2*interval, 3*interval...
+ * - Blocked seats (pillars, broken benches) are never used
+ * - If students >= usable seats: Fill all usable seats
+ * - Otherwise: Calculate interval = usableSeats / studentsCount
+ * - Place students at usable seats: 0, interval, 2*interval, 3*interval...
  * 
  * This ensures even distribution of gaps between students
  */
-const calculateSeatPositions = (rows, cols, studentsCount) => {
-  const totalSeats = rows * cols;
+const calculateSeatPositions = (rows, cols, studentsCount, blockedPositions = new Set()) => {
+  const usableSeats = [];
+  for (let position = 0; position < rows * cols; position++) {
+    if (!blockedPositions.has(position)) {
+      usableSeats.push(position);
+    }
+  }
   
-  if (studentsCount >= totalSeats) {
-    // Fill all seats
-    return Array.from({ length: totalSeats }, (_, i) => i);
+  if (studentsCount >= usableSeats.length) {
+    // Fill all usable seats
+    return usableSeats;
   }
   
   const positions = [];
-  const interval = totalSeats / studentsCount;
+  const interval = usableSeats.length / studentsCount;
   
   for (let i = 0; i < studentsCount; i++) {
-    const position = Math.floor(i * interval);
-    positions.push(position);
+    positions.push(usableSeats[Math.floor(i * interval)]);
   }
   
   return positions;
 };
 
 /**
- * Distribute students evenly across rooms
- * Returns array of student counts per room
+ * Decide how many students each room gets
+ * The counts always add up to min(totalStudents, total capacity).
+ * 
+ * STRATEGIES:
+ * -----------
+ * proportional - rooms fill to the same share of their capacity (largest remainder),
+ *                so a 60-seat room takes a third more students than a 45-seat room
+ * fill_fewest  - fill the largest rooms completely and leave the rest empty,
+ *                freeing rooms and invigilators
+ * balanced     - the same headcount in every room, as far as capacities allow
+ * 
+ * @returns Array of student counts per room
  */
-const distributeStudentsAcrossRooms = (totalStudents, rooms) => {
-  const numRooms = rooms.length;
-  const studentsPerRoom = [];
-  
-  // Calculate base students per room and remainder
-  const basePerRoom = Math.floor(totalStudents / numRooms);
-  let remainder = totalStudents % numRooms;
-  
-  // Distribute students, giving priority to larger rooms for the extra students
-  for (let i = 0; i < numRooms; i++) {
-    let count = basePerRoom;
-    
-    // Add one extra student to some rooms to account for remainder
-    if (remainder > 0) {
-      count++;
-      remainder--;
-    }
-    
-    // Don't exceed room capacity
-    count = Math.min(count, rooms[i].capacity);
-    
-    studentsPerRoom.push(count);
+const allocateStudentsToRooms = (totalStudents, rooms, strategy = 'proportional') => {
+  const capacities = rooms.map(room => Math.max(room.capacity, 0));
+  const totalCapacity = capacities.reduce((sum, c) => sum + c, 0);
+  const toSeat = Math.min(totalStudents, totalCapacity);
+  const counts = capacities.map(() => 0);
+  
+  if (toSeat === 0) {
+    return counts;
   }
   
-  return studentsPerRoom;
+  if (strategy === 'fill_fewest') {
+    // Largest rooms first (stable for equal capacities)
+    let remaining = toSeat;
+    const order = capacities.map((_, idx) => idx).sort((a, b) => capacities[b] - capacities[a] || a - b);
+    order.forEach(idx => {
+      counts[idx] = Math.min(capacities[idx], remaining);
+      remaining -= counts[idx];
+    });
+    return counts;
+  }
+  
+  if (strategy === 'balanced') {
+    // Smallest rooms first: each takes an equal share of what is left, capped at
+    // its capacity, so any excess ends up in the larger rooms
+    let remaining = toSeat;
+    const order = capacities.map((_, idx) => idx).sort((a, b) => capacities[a] - capacities[b] || a - b);
+    order.forEach((idx, k) => {
+      counts[idx] = Math.min(capacities[idx], Math.floor(remaining / (order.length - k)));
+      remaining -= counts[idx];
+    });
+    return counts;
+  }
+  
+  // proportional: floor of each room's quota, remainder to the largest fractions
+  const quotas = capacities.map(c => (toSeat * c) / totalCapacity);
+  quotas.forEach((quota, idx) => {
+    counts[idx] = Math.floor(quota);
+  });
+  let remainder = toSeat - counts.reduce((sum, c) => sum + c, 0);
+  const byFraction = quotas
+    .map((quota, idx) => idx)
+    .sort((a, b) => (quotas[b] - counts[b]) - (quotas[a] - counts[a]) || capacities[b] - capacities[a] || a - b);
+  for (let i = 0; remainder > 0; i++) {
+    counts[byFraction[i]]++;
+    remainder--;
+  }
+  
+  return counts;
 };
 
 /**
  * Shuffle array in place (Fisher-Yates algorithm)
+ * Pass the generation's seeded PRNG to keep plans reproducible
  */
-const shuffleArray = (array) => {
+const shuffleArray = (array, random = Math.random) => {
   for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [array[i], array[j]] = [array[j], array[i]];
   }
 };
 
 /**
- * UPDATED: Get next student with STRICT YEAR LOCK and CSE ALTERNATION enforcement
+ * Get next student honouring the room lock, alternation and neighbour rules
  * 
  * RULES ENFORCED (in priority order):
  * ------------------------------------
- * 1. Rule A: YEAR LOCK - Each room contains ONLY Year 1 OR ONLY Year 2 (applies to ALL students)
- *            Once first student placed, room locked to that year
- * 2. Rule B: CSE ALTERNATION - In ALL rooms, alternate CSE with non-CSE for better mixing (within same year)
- * 3. Rule C: Avoid same branch in adjacent seats (left neighbor check)
+ * 1. LOCK - Once the first student is placed, the room is locked to that
+ *           student's lock value (e.g. year) and only those pools are used
+ * 2. NEIGHBOURS - Avoid same attribute value as constrained neighbours
+ *           (front, diagonals and left by default). A conflicting student is
+ *           only taken when no pool can offer a conflict-free one
+ * 3. ALTERNATION - Prefer the alternation group after the last one placed,
+ *           falling back to the other groups
  * 
  * PARAMETERS:
  * -----------
- * @param pools - Object with Year1-CSE, Year1-NonCSE, Year2-CSE, Year2-NonCSE pools
- * @param roomYearLock - Object tracking which year (1 or 2) is locked per room
+ * @param pools - Result of buildStudentPools
+ * @param roomLocks - Object tracking the lock value per room
  * @param roomIdx - Current room index
- * @param applyAlternation - Boolean, true to apply CSE/non-CSE alternation
- * @param lastWasCSE - Boolean, true if previous student was CSE
- * @param leftNeighbor - Previous seat in same row (for branch conflict check)
+ * @param lastGroup - Alternation group of the previous student (or null)
+ * @param neighbours - Constrained neighbours of the seat being filled
  * 
  * RETURN:
  * -------
  * Student object or null if no suitable student found
  */
-const getNextStudentWithStrictRules = (
-  pools,
-  roomYearLock,
-  roomIdx,
-  applyAlternation,
-  lastWasCSE,
-  leftNeighbor
-) => {
-  const leftBranch = leftNeighbor ? leftNeighbor.branch : null;
-  const yearLock = roomYearLock[roomIdx]; // undefined, 1, or 2
-  
-  // ============================================================
-  // RULE A: STRICT YEAR LOCK - Room locked to Year 1 or Year 2
-  // ============================================================
-  
-  if (yearLock) {
-    // Room already locked to a specific year - only use that year's pools
-    const csePool = pools[`Year${yearLock}-CSE`];
-    const nonCSEPool = pools[`Year${yearLock}-NonCSE`];
-    
-    // ============================================================
-    // RULE B: CSE ALTERNATION - Alternate CSE with non-CSE for better mixing
-    // ============================================================
-    if (applyAlternation) {
-      // If last student was CSE, prefer non-CSE next
-      if (lastWasCSE) {
-        const nonCSEStudent = getStudentFromPool(nonCSEPool, leftBranch);
-        if (nonCSEStudent) return nonCSEStudent;
-        
-        // If no non-CSE available, try CSE
-        const cseStudent = getStudentFromPool(csePool, leftBranch);
-        if (cseStudent) return cseStudent;
-      } else {
-        // Last was non-CSE, prefer CSE next
-        const cseStudent = getStudentFromPool(csePool, leftBranch);
-        if (cseStudent) return cseStudent;
-        
-        // If no CSE available, try non-CSE
-        const nonCSEStudent = getStudentFromPool(nonCSEPool, leftBranch);
-        if (nonCSEStudent) return nonCSEStudent;
-      }
-    } else {
-      // Regular room - try CSE first, then non-CSE (within locked year)
-      const cseStudent = getStudentFromPool(csePool, leftBranch);
-      if (cseStudent) return cseStudent;
-      
-      const nonCSEStudent = getStudentFromPool(nonCSEPool, leftBranch);
-      if (nonCSEStudent) return nonCSEStudent;
-    }
-    
-    // No students available in locked year
-    return null;
-  }
+const getNextStudentWithRules = (pools, roomLocks, roomIdx, lastGroup, neighbours) => {
+  const lock = roomLocks[roomIdx];
+  const candidateLocks = lock !== undefined ? [lock] : pools.lockOrder;
   
-  // ============================================================
-  // No year lock yet - place first student and lock room to that year
-  // ============================================================
+  // Rotate groups so the one after lastGroup is tried first
+  const { groupOrder } = pools;
+  const start = lastGroup === null ? 0 : (groupOrder.indexOf(lastGroup) + 1) % groupOrder.length;
+  const groups = groupOrder.slice(start).concat(groupOrder.slice(0, start));
   
-  if (applyAlternation) {
-    // Special room - try to start with alternating pattern
-    if (!lastWasCSE) {
-      // Try Year 1 CSE first
-      const y1Cse = getStudentFromPool(pools['Year1-CSE'], leftBranch);
-      if (y1Cse) {
-        roomYearLock[roomIdx] = 1;
-        return y1Cse;
-      }
-      
-      // Try Year 2 CSE
-      const y2Cse = getStudentFromPool(pools['Year2-CSE'], leftBranch);
-      if (y2Cse) {
-        roomYearLock[roomIdx] = 2;
-        return y2Cse;
+  // Pass 1: conflict-free students only; pass 2: accept unavoidable conflicts
+  for (const allowConflict of [false, true]) {
+    for (const group of groups) {
+      for (const lockValue of candidateLocks) {
+        // Rooms locked by an accommodated student may have no general students
+        // of that lock value - a missing pool is an exhausted one
+        const lockPools = pools.byLock[lockValue];
+        const pool = lockPools && lockPools[group];
+        if (!pool) continue;
+        
+        const student = getStudentFromPool(pool, neighbours, allowConflict);
+        if (student) {
+          if (pools.lockAttribute !== 'none') {
+            roomLocks[roomIdx] = lockValue;
+          }
+          return student;
+        }
       }
     }
-    
-    // Try non-CSE (Year 1 first)
-    const y1NonCse = getStudentFromPool(pools['Year1-NonCSE'], leftBranch);
-    if (y1NonCse) {
-      roomYearLock[roomIdx] = 1;
-      return y1NonCse;
-    }
-    
-    const y2NonCse = getStudentFromPool(pools['Year2-NonCSE'], leftBranch);
-    if (y2NonCse) {
-      roomYearLock[roomIdx] = 2;
-      return y2NonCse;
-    }
-  } else {
-    // Regular room - try Year 1 pools first, then Year 2
-    const y1Cse = getStudentFromPool(pools['Year1-CSE'], leftBranch);
-    if (y1Cse) {
-      roomYearLock[roomIdx] = 1;
-      return y1Cse;
-    }
-    
-    const y1NonCse = getStudentFromPool(pools['Year1-NonCSE'], leftBranch);
-    if (y1NonCse) {
-      roomYearLock[roomIdx] = 1;
-      return y1NonCse;
-    }
-    
-    const y2Cse = getStudentFromPool(pools['Year2-CSE'], leftBranch);
-    if (y2Cse) {
-      roomYearLock[roomIdx] = 2;
-      return y2Cse;
-    }
-    
-    const y2NonCse = getStudentFromPool(pools['Year2-NonCSE'], leftBranch);
-    if (y2NonCse) {
-      roomYearLock[roomIdx] = 2;
-      return y2NonCse;
-    }
   }
   
   // No students available
   return null;
 };
 
-// REMOVED: getCSEStudentRespectingLock - Year lock now applies to ALL students, not just CSE
-
 /**
- * HELPER: Get student from pool, avoiding left neighbor's branch if possible
- * Returns student object or null
+ * HELPER: Get student from pool, avoiding conflicts with neighbours if possible
+ * Returns student object, or null if the pool is exhausted (or, when
+ * allowConflict is false, no conflict-free student is within the lookahead)
  */
-const getStudentFromPool = (pool, leftBranch) => {
+const getStudentFromPool = (pool, neighbours, allowConflict = true) => {
   if (pool.index >= pool.students.length) {
     return null; // Pool exhausted
   }
   
-  // Try to avoid same branch as left neighbor
-  if (leftBranch) {
-    // Look ahead in pool for different branch
+  // Try to avoid conflicts with constrained neighbours
+  if (neighbours.length > 0) {
+    // Look ahead in pool for a non-conflicting student
     for (let i = pool.index; i < Math.min(pool.index + 5, pool.students.length); i++) {
       const student = pool.students[i];
-      if (student.branch !== leftBranch) {
+      if (!conflictsWithNeighbours(student, neighbours)) {
         // Swap to front
         if (i !== pool.index) {
           [pool.students[pool.index], pool.students[i]] = [pool.students[i], pool.students[pool.index]];
@@ -563,9 +1214,13 @@ const getStudentFromPool = (pool, leftBranch) => {
         return student;
       }
     }
+    
+    if (!allowConflict) {
+      return null;
+    }
   }
   
-  // No different branch found, or no left neighbor - take next student
+  // No conflict-free student found, or no neighbours - take next student
   const student = pool.students[pool.index];
   pool.index++;
   return student;
@@ -632,10 +1287,11 @@ const hasMoreStudents = (branchQueues, branchIndices) => {
 
 /**
  * Get latest seating arrangement
+ * @param filter - Extra query conditions (e.g. only published plans)
  */
-const getLatestSeating = async () => {
+const getLatestSeating = async (filter = {}) => {
   try {
-    const seating = await Seating.findOne()
+    const seating = await Seating.findOne(filter)
       .sort({ createdAt: -1 })
       .populate('usedRooms')
       .populate('includedClasses.classId')
@@ -665,13 +1321,14 @@ const getSeatingById = async (id) => {
 
 /**
  * Get all seatings
+ * @param filter - Extra query conditions (e.g. only published plans)
  */
-const getAllSeatings = async () => {
+const getAllSeatings = async (filter = {}) => {
   try {
-    const seatings = await Seating.find()
+    const seatings = await Seating.find(filter)
       .sort({ createdAt: -1 })
       .populate('createdBy', 'name email')
-      .select('examName examDate includedClasses createdAt createdBy');
+      .select('examName examDate exam slot examEvent version status publishedAt unlocked includedClasses createdAt createdBy');
     
     return seatings;
   } catch (error) {
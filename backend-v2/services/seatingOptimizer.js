@@ -0,0 +1,156 @@
+/**
+ * Seating Optimizer - swap-based simulated annealing
+ *
+ * The greedy layout pass only looks a few students ahead, so it can leave
+ * avoidable neighbour conflicts behind (typically when one branch dominates
+ * a room). The optimizer improves a finished plan by swapping students:
+ *
+ * - only occupied seats are swapped, so capacity and the empty-seat gaps stay
+ * - swaps stay within a session; across rooms only when both rooms hold the
+ *   same lock value, so the room lock (e.g. year) is never broken
+ * - students with accommodations keep the seat they were given
+ *
+ * A swap that adds conflicts is still accepted with probability e^(-delta/T),
+ * letting the search escape local minima while the temperature T cools down.
+ * The best plan seen is kept.
+ *
+ * The search runs a fixed number of iterations with the seeded PRNG, so plans
+ * are reproducible - unless the time budget cuts the search short (timedOut).
+ */
+
+const {
+  findNeighbourConflicts,
+  countSeatConflicts,
+  findLockValues
+} = require('./seatingRules');
+
+const DEFAULT_TIME_BUDGET_MS = 2000;
+const MAX_TIME_BUDGET_MS = 30000;
+const ITERATIONS_PER_STUDENT = 400;
+const START_TEMPERATURE = 2;
+const END_TEMPERATURE = 0.05;
+const CROSS_ROOM_SWAP_CHANCE = 0.2;
+
+/**
+ * Total neighbour conflicts across the given room layouts
+ */
+const countConflicts = (rooms, rules) => {
+  return rooms.reduce((sum, room) => sum + findNeighbourConflicts(room.layout, rules).length, 0);
+};
+
+/**
+ * Optimize room layouts in place
+ *
+ * @param rooms - Room seating data ({ sessionNumber, layout, ... }) for all sessions
+ * @param rules - Normalized rule set
+ * @param random - Seeded PRNG (see services/random.js)
+ * @param options.timeBudgetMs - Wall-clock limit for the whole search
+ * @returns Report { greedyConflicts, optimizedConflicts, improvement, iterations, ... }
+ */
+const optimizeLayouts = (rooms, rules, random, options = {}) => {
+  const timeBudgetMs = Math.min(options.timeBudgetMs || DEFAULT_TIME_BUDGET_MS, MAX_TIME_BUDGET_MS);
+  const startedAt = Date.now();
+
+  const greedyConflicts = countConflicts(rooms, rules);
+
+  // Seats that may be swapped, per room
+  const movable = rooms.map(room => {
+    const seats = [];
+    room.layout.forEach((seatRow, row) => {
+      seatRow.forEach((seat, col) => {
+        if (seat && !(seat.accommodations && seat.accommodations.length)) {
+          seats.push({ row, col });
+        }
+      });
+    });
+    return seats;
+  });
+
+  // Rooms a student may be swapped into: same session, same lock value
+  const lockKey = rooms.map(room => {
+    const values = findLockValues(room.layout, rules);
+    return values.length > 1 ? null : `${room.sessionNumber || 1}:${values[0]}`;
+  });
+  const partners = rooms.map((room, idx) => rooms
+    .map((_, other) => other)
+    .filter(other => other !== idx && lockKey[idx] !== null &&
+      lockKey[other] === lockKey[idx] && movable[other].length > 0));
+
+  const candidates = rooms.map((_, idx) => idx).filter(idx => movable[idx].length > 1 || partners[idx].length);
+  const studentCount = movable.reduce((sum, seats) => sum + seats.length, 0);
+  const maxIterations = studentCount * ITERATIONS_PER_STUDENT;
+
+  let current = greedyConflicts;
+  let best = greedyConflicts;
+  let bestLayouts = null;
+  let iterations = 0;
+  let timedOut = false;
+
+  const seatCost = (roomIdx, { row, col }) => countSeatConflicts(rooms[roomIdx].layout, row, col, rules);
+  const swap = (roomA, a, roomB, b) => {
+    const layoutA = rooms[roomA].layout;
+    const layoutB = rooms[roomB].layout;
+    [layoutA[a.row][a.col], layoutB[b.row][b.col]] = [layoutB[b.row][b.col], layoutA[a.row][a.col]];
+  };
+
+  while (candidates.length && current > 0 && iterations < maxIterations) {
+    // Check the clock every few hundred iterations
+    if (iterations % 256 === 0 && Date.now() - startedAt > timeBudgetMs) {
+      timedOut = true;
+      break;
+    }
+
+    const progress = iterations / maxIterations;
+    const temperature = START_TEMPERATURE * Math.pow(END_TEMPERATURE / START_TEMPERATURE, progress);
+    iterations++;
+
+    const roomA = candidates[Math.floor(random() * candidates.length)];
+    const crossRoom = partners[roomA].length > 0 && (movable[roomA].length < 2 || random() < CROSS_ROOM_SWAP_CHANCE);
+    const roomB = crossRoom
+      ? partners[roomA][Math.floor(random() * partners[roomA].length)]
+      : roomA;
+
+    const a = movable[roomA][Math.floor(random() * movable[roomA].length)];
+    const b = movable[roomB][Math.floor(random() * movable[roomB].length)];
+    if (roomA === roomB && a === b) continue;
+
+    // Only pairs touching a or b change (an a-b pair is the same pair before and after)
+    const before = seatCost(roomA, a) + seatCost(roomB, b);
+    swap(roomA, a, roomB, b);
+    const delta = seatCost(roomA, a) + seatCost(roomB, b) - before;
+
+    if (delta <= 0 || random() < Math.exp(-delta / temperature)) {
+      current += delta;
+      if (current < best) {
+        best = current;
+        bestLayouts = rooms.map(room => room.layout.map(seatRow => [...seatRow]));
+      }
+    } else {
+      swap(roomA, a, roomB, b);
+    }
+  }
+
+  if (bestLayouts) {
+    rooms.forEach((room, idx) => {
+      room.layout = bestLayouts[idx];
+    });
+  }
+
+  return {
+    enabled: true,
+    timeBudgetMs,
+    iterations,
+    elapsedMs: Date.now() - startedAt,
+    timedOut,
+    greedyConflicts,
+    optimizedConflicts: best,
+    improvement: greedyConflicts - best,
+    improvementPercent: greedyConflicts ? Math.round(((greedyConflicts - best) / greedyConflicts) * 100) : 0
+  };
+};
+
+module.exports = {
+  DEFAULT_TIME_BUDGET_MS,
+  MAX_TIME_BUDGET_MS,
+  optimizeLayouts
+};
@@ -0,0 +1,165 @@
+/**
+ * Seating Quality Metrics
+ *
+ * Measures how good a finished plan is so admins can compare generations:
+ * - same-branch adjacencies, split into horizontal, vertical and diagonal pairs
+ *   (every pair of neighbouring seats is counted once)
+ * - rooms that break the room lock (e.g. mix years)
+ * - gap distribution: empty usable seats per row and the longest run of empty seats
+ * - utilisation: occupied seats / usable seats
+ * Usable seats are those not blocked and not kept empty by the room's spacing
+ * pattern (a student moved into a spaced-out seat still counts).
+ *
+ * SCORE (0-100):
+ * --------------
+ * 100 × (share of occupied neighbour pairs that are NOT same-branch)
+ *     × (share of rooms that keep the lock)
+ */
+
+const { normalizeRules, findLockValues } = require('./seatingRules');
+const { isSeatAllowed } = require('./spacing');
+
+// Offsets to the neighbours below/right of a seat, so each pair is seen once
+const ADJACENCY_OFFSETS = {
+  horizontal: [[0, 1]],
+  vertical: [[1, 0]],
+  diagonal: [[1, -1], [1, 1]]
+};
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Metrics for a single room layout
+ */
+const computeRoomMetrics = (room, rules) => {
+  const { layout } = room;
+  const blocked = new Set((room.blockedSeats || []).map(seat => `${seat.row}-${seat.col}`));
+  const seatsPerBench = room.seatsPerBench || 1;
+
+  const sameBranch = { horizontal: 0, vertical: 0, diagonal: 0, total: 0 };
+  let adjacentPairs = 0;
+  let usableSeats = 0;
+  let occupied = 0;
+  let largestEmptyRun = 0;
+  let currentRun = 0;
+  const emptyPerRow = [];
+
+  layout.forEach((seatRow, row) => {
+    let emptyInRow = 0;
+
+    seatRow.forEach((seat, col) => {
+      const spacedOut = !seat && !isSeatAllowed(room.spacingMode, row, col, seatsPerBench);
+      if (spacedOut || blocked.has(`${row}-${col}`)) {
+        currentRun = 0;
+        return;
+      }
+
+      usableSeats++;
+      if (!seat) {
+        emptyInRow++;
+        currentRun++;
+        largestEmptyRun = Math.max(largestEmptyRun, currentRun);
+        return;
+      }
+
+      occupied++;
+      currentRun = 0;
+
+      Object.entries(ADJACENCY_OFFSETS).forEach(([direction, offsets]) => {
+        offsets.forEach(([dRow, dCol]) => {
+          const neighbour = layout[row + dRow] && layout[row + dRow][col + dCol];
+          if (!neighbour) return;
+
+          adjacentPairs++;
+          if (seat.branch && neighbour.branch === seat.branch) {
+            sameBranch[direction]++;
+            sameBranch.total++;
+          }
+        });
+      });
+    });
+
+    emptyPerRow.push(emptyInRow);
+  });
+
+  const lockValues = findLockValues(layout, rules);
+
+  return {
+    usableSeats,
+    occupied,
+    utilisation: usableSeats ? round((occupied / usableSeats) * 100) : 0,
+    sameBranch,
+    adjacentPairs,
+    lockValues,
+    lockViolation: lockValues.length > 1,
+    gaps: {
+      empty: usableSeats - occupied,
+      perRow: emptyPerRow,
+      largestRun: largestEmptyRun
+    }
+  };
+};
+
+/**
+ * Compute metrics for every room and the seating as a whole
+ * Sets room.metrics on each room (plain objects or Seating.rooms subdocuments)
+ *
+ * @returns quality summary to store as seating.quality
+ */
+const scoreSeating = (rooms, rules) => {
+  const normalized = normalizeRules(rules);
+
+  const totals = {
+    sameBranch: { horizontal: 0, vertical: 0, diagonal: 0, total: 0 },
+    adjacentPairs: 0,
+    usableSeats: 0,
+    occupied: 0,
+    emptySeats: 0,
+    largestEmptyRun: 0
+  };
+  const lockViolations = [];
+
+  rooms.forEach(room => {
+    const metrics = computeRoomMetrics(room, normalized);
+    room.metrics = metrics;
+
+    Object.keys(totals.sameBranch).forEach(direction => {
+      totals.sameBranch[direction] += metrics.sameBranch[direction];
+    });
+    totals.adjacentPairs += metrics.adjacentPairs;
+    totals.usableSeats += metrics.usableSeats;
+    totals.occupied += metrics.occupied;
+    totals.emptySeats += metrics.gaps.empty;
+    totals.largestEmptyRun = Math.max(totals.largestEmptyRun, metrics.gaps.largestRun);
+
+    if (metrics.lockViolation) {
+      lockViolations.push({
+        sessionNumber: room.sessionNumber || 1,
+        roomName: room.roomName,
+        values: metrics.lockValues
+      });
+    }
+  });
+
+  const mixedShare = totals.adjacentPairs ? totals.sameBranch.total / totals.adjacentPairs : 0;
+  const lockShare = rooms.length ? lockViolations.length / rooms.length : 0;
+
+  return {
+    score: Math.round(100 * (1 - mixedShare) * (1 - lockShare)),
+    sameBranchAdjacencies: totals.sameBranch,
+    adjacentPairs: totals.adjacentPairs,
+    lockAttribute: normalized.lockAttribute,
+    lockViolations,
+    utilisation: totals.usableSeats ? round((totals.occupied / totals.usableSeats) * 100) : 0,
+    emptySeats: totals.emptySeats,
+    largestEmptyRun: totals.largestEmptyRun
+  };
+};
+
+module.exports = {
+  computeRoomMetrics,
+  scoreSeating
+};
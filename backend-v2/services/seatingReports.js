@@ -0,0 +1,598 @@
+/**
+ * Seating Plan Reports (PDF)
+ *
+ * ROOM PACKETS:
+ * -------------
+ * One packet per room entry (each session of a multi-session plan has its
+ * own), every part starting on a new page:
+ * - cover sheet: exam, room, classes/papers seated there and the invigilators
+ * - attendance sheet: every seated student in seat order (row by row, left to
+ *   right) with a signature column
+ * - absentee summary: blank form for absent students and remarks
+ *
+ * SEATING PLAN:
+ * -------------
+ * One landscape page per room entry (A4 or A3) with the seat grid as in the
+ * app: register number and class in every occupied seat, blocked seats and
+ * seats left empty by the spacing pattern marked. The notice-board variant is
+ * a portrait page per room with the room name and its register numbers in
+ * large type, grouped by class.
+ *
+ * DUTY CHART:
+ * -----------
+ * Faculty rows against exam slot columns (see getDutyChart in invigilation.js),
+ * landscape, continued on further pages when there are many slots.
+ *
+ * The institution name in the page headers comes from INSTITUTION_NAME.
+ */
+
+const PDFDocument = require('pdfkit');
+const { isSeatAllowed } = require('./spacing');
+
+const PACKET_SECTIONS = ['cover', 'attendance', 'absentees'];
+const PAGE_SIZES = ['A4', 'A3'];
+const PLAN_VARIANTS = ['grid', 'notice'];
+
+const PAGE_MARGIN = 40;
+const ABSENTEE_ROWS = 15;
+const CHART_SLOTS_PER_PAGE = 8;
+// Largest seat cell height per page size (small rooms would otherwise get huge cells)
+const MAX_CELL_HEIGHT = { A4: 48, A3: 68 };
+const MIN_CELL_HEIGHT = 22;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const institutionName = () => process.env.INSTITUTION_NAME || 'Examination Cell';
+
+/**
+ * Build room packets for a seating
+ *
+ * @param seating - Seating document or plain object
+ * @param rooms - Room entries to include (from seating.rooms)
+ * @param sections - Parts of each packet (default: all of PACKET_SECTIONS)
+ * @returns PDFDocument (not yet ended - pipe it, then call end())
+ */
+const buildRoomPackets = (seating, rooms, sections = PACKET_SECTIONS) => {
+  const doc = createDocument({ size: 'A4' });
+  const multiSession = seating.rooms.some(room => (room.sessionNumber || 1) > 1);
+  let firstPage = true;
+
+  rooms.forEach(room => {
+    const seats = listSeats(room);
+    const context = { seating, room, seats, multiSession };
+
+    sections.forEach(section => {
+      if (!firstPage) doc.addPage();
+      firstPage = false;
+
+      if (section === 'cover') drawCoverSheet(doc, context);
+      if (section === 'attendance') drawAttendanceSheet(doc, context);
+      if (section === 'absentees') drawAbsenteeSummary(doc, context);
+    });
+  });
+
+  addPageNumbers(doc);
+  return doc;
+};
+
+/**
+ * Build the seating plan PDF
+ *
+ * @param seating - Seating document or plain object
+ * @param rooms - Room entries to include, one page (or more) each
+ * @param options - { size: 'A4' | 'A3', variant: 'grid' | 'notice' }
+ * @returns PDFDocument (not yet ended)
+ */
+const buildSeatingPlan = (seating, rooms, { size = 'A4', variant = 'grid' } = {}) => {
+  const notice = variant === 'notice';
+  const doc = createDocument({ size, layout: notice ? 'portrait' : 'landscape' });
+  const multiSession = seating.rooms.some(room => (room.sessionNumber || 1) > 1);
+
+  rooms.forEach((room, idx) => {
+    if (idx > 0) doc.addPage();
+    if (notice) {
+      drawNoticeBoard(doc, seating, room, multiSession, size);
+    } else {
+      drawSeatGrid(doc, seating, room, multiSession, size);
+    }
+  });
+
+  addPageNumbers(doc);
+  return doc;
+};
+
+/**
+ * Build the faculty-wise duty chart
+ *
+ * @param chart - Result of getDutyChart
+ * @param range - { from, to } dates covered
+ * @returns PDFDocument (not yet ended)
+ */
+const buildDutyChart = (chart, range) => {
+  const doc = createDocument({ size: 'A4', layout: 'landscape' });
+  const subtitle = `${formatDate(range.from)} to ${formatDate(range.to)}`;
+
+  drawHeader(doc, 'Invigilation Duty Chart', [subtitle]);
+
+  if (chart.slots.length === 0) {
+    doc.font('Helvetica').fontSize(11).text('No exams in this period.', { align: 'center' });
+    addPageNumbers(doc);
+    return doc;
+  }
+
+  const fixedColumns = [
+    { header: 'Name', width: 130 },
+    { header: 'Emp. ID', width: 60 },
+    { header: 'Dept', width: 45 },
+    { header: 'Duties', width: 40, align: 'center' }
+  ];
+  const slotWidth = (usableWidth(doc) - fixedColumns.reduce((sum, col) => sum + col.width, 0)) / CHART_SLOTS_PER_PAGE;
+
+  for (let start = 0; start < chart.slots.length; start += CHART_SLOTS_PER_PAGE) {
+    const slots = chart.slots.slice(start, start + CHART_SLOTS_PER_PAGE);
+    if (start > 0) {
+      doc.addPage();
+      drawHeader(doc, 'Invigilation Duty Chart (continued)', [subtitle]);
+    }
+
+    const columns = [
+      ...fixedColumns,
+      ...slots.map(slot => ({ header: slotLabel(slot), width: slotWidth, align: 'center' }))
+    ];
+    const rows = chart.staff.map(person => [
+      person.name,
+      person.employeeId,
+      person.department,
+      String(person.total),
+      ...slots.map(slot => (person.duties[slot.key] || [])
+        .map(duty => (duty.sessionNumber > 1 ? `${duty.roomName} (S${duty.sessionNumber})` : duty.roomName))
+        .join('\n'))
+    ]);
+
+    drawTable(doc, columns, rows, { fontSize: 8 });
+  }
+
+  // Key: which exams each column covers
+  ensureSpace(doc, 60);
+  doc.font('Helvetica-Bold').fontSize(11).text('Exams', PAGE_MARGIN);
+  doc.moveDown(0.3);
+  drawTable(doc, [
+    { header: 'Date', width: 90 },
+    { header: 'Slot', width: 110 },
+    { header: 'Exams', width: usableWidth(doc) - 200 }
+  ], chart.slots.map(slot => [
+    formatDate(slot.date),
+    [slot.slot, slot.startTime && `${slot.startTime}-${slot.endTime}`].filter(Boolean).join(' ') || '-',
+    slot.exams.join(', ')
+  ]));
+
+  addPageNumbers(doc);
+  return doc;
+};
+
+const drawSeatGrid = (doc, seating, room, multiSession, size) => {
+  const seats = listSeats(room);
+  const headerLines = [...examLines(seating), `Room: ${roomLabel(room, multiSession)}  |  ${seats.length} students`];
+  drawHeader(doc, 'Seating Plan', headerLines);
+
+  const rows = room.layout.length;
+  const cols = rows ? room.layout[0].length : 0;
+  if (!rows || !cols) return;
+
+  const left = PAGE_MARGIN;
+  const labelWidth = 28;
+  const headerHeight = 16;
+  const legendHeight = 36;
+  const cellWidth = (usableWidth(doc) - labelWidth) / cols;
+  const available = pageBottom(doc) - doc.y - headerHeight - legendHeight;
+  const cellHeight = Math.max(MIN_CELL_HEIGHT, Math.min(MAX_CELL_HEIGHT[size], available / rows));
+
+  // Register numbers must fit on one line of the narrowest cell
+  const longest = seats.reduce((widest, seat) => (
+    seat.registerNumber.length > widest.length ? seat.registerNumber : widest
+  ), '');
+  doc.font('Helvetica-Bold').fontSize(10);
+  const regFont = Math.min(cellHeight * 0.3, 10 * (cellWidth - 6) / doc.widthOfString(longest), 16);
+  const detailFont = Math.max(5, regFont * 0.75);
+
+  const drawColumnHeaders = () => {
+    const top = doc.y;
+    doc.font('Helvetica-Bold').fontSize(8).fillColor('black');
+    for (let col = 0; col < cols; col++) {
+      doc.text(`C${col + 1}`, left + labelWidth + col * cellWidth, top + 4, { width: cellWidth, align: 'center' });
+    }
+    doc.y = top + headerHeight;
+  };
+
+  drawColumnHeaders();
+  doc.lineWidth(0.5).strokeColor('black');
+
+  room.layout.forEach((seatRow, rowIdx) => {
+    if (doc.y + cellHeight > pageBottom(doc)) {
+      doc.addPage();
+      drawHeader(doc, 'Seating Plan (continued)', headerLines);
+      drawColumnHeaders();
+    }
+
+    const top = doc.y;
+    doc.font('Helvetica-Bold').fontSize(8).fillColor('black')
+      .text(`R${rowIdx + 1}`, left, top + cellHeight / 2 - 4, { width: labelWidth - 4, align: 'center' });
+
+    seatRow.forEach((seat, colIdx) => {
+      const x = left + labelWidth + colIdx * cellWidth;
+      const blocked = (room.blockedSeats || []).some(b => b.row === rowIdx && b.col === colIdx);
+      const spaced = !seat && !blocked && !isSeatAllowed(room.spacingMode, rowIdx, colIdx, room.seatsPerBench || 1);
+
+      if (!seat) {
+        doc.rect(x, top, cellWidth, cellHeight).fillAndStroke(blocked ? '#bdbdbd' : '#f2f2f2', 'black');
+        doc.fillColor('#555555').font('Helvetica').fontSize(detailFont)
+          .text(blocked ? 'Blocked' : spaced ? 'Spacing' : '', x, top + cellHeight / 2 - detailFont / 2, {
+            width: cellWidth,
+            align: 'center'
+          });
+        return;
+      }
+
+      doc.rect(x, top, cellWidth, cellHeight).stroke();
+      const detail = [`${seat.branch}-${seat.section}`, seat.paperCode].filter(Boolean).join(' ');
+      const textTop = top + (cellHeight - regFont - detailFont - 2) / 2;
+      doc.fillColor('black').font('Helvetica-Bold').fontSize(regFont)
+        .text(seat.registerNumber, x, textTop, { width: cellWidth, align: 'center', lineBreak: false });
+      doc.font('Helvetica').fontSize(detailFont)
+        .text(seat.accommodations && seat.accommodations.length ? `${detail} *` : detail, x, textTop + regFont + 2, {
+          width: cellWidth,
+          align: 'center',
+          lineBreak: false
+        });
+    });
+
+    doc.x = left;
+    doc.y = top + cellHeight;
+  });
+
+  // Legend: classes in the room and special arrangements
+  const classCounts = countBy(seats, seat => `${seat.branch}-${seat.section} (Year ${seat.year})`);
+  const legend = [`Classes: ${formatCounts(classCounts) || '-'}`];
+  if (seats.some(seat => seat.accommodations && seat.accommodations.length)) {
+    legend.push('* special arrangements');
+  }
+  if ((room.invigilators || []).length) {
+    legend.push(`Invigilators: ${room.invigilators.map(duty => duty.name).join(', ')}`);
+  }
+  ensureSpace(doc, legendHeight);
+  doc.moveDown(0.5);
+  doc.fillColor('black').font('Helvetica').fontSize(9).text(legend.join('   |   '), left, doc.y, { width: usableWidth(doc) });
+};
+
+const drawNoticeBoard = (doc, seating, room, multiSession, size) => {
+  const scale = size === 'A3' ? 1.4 : 1;
+  const seats = listSeats(room);
+
+  doc.font('Helvetica-Bold').fontSize(16 * scale).text(institutionName(), PAGE_MARGIN, doc.page.margins.top, {
+    width: usableWidth(doc),
+    align: 'center'
+  });
+  doc.font('Helvetica').fontSize(14 * scale);
+  examLines(seating).forEach(line => doc.text(line, { width: usableWidth(doc), align: 'center' }));
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(60 * scale).text(room.roomName, { width: usableWidth(doc), align: 'center' });
+  if (multiSession) {
+    doc.fontSize(20 * scale).text(`Session ${room.sessionNumber || 1}`, { width: usableWidth(doc), align: 'center' });
+  }
+  doc.font('Helvetica').fontSize(14 * scale).text(`${seats.length} students`, { width: usableWidth(doc), align: 'center' });
+  doc.moveDown();
+
+  const numberFont = 18 * scale;
+  const groups = new Map();
+  [...seats]
+    .sort((a, b) => a.registerNumber.localeCompare(b.registerNumber))
+    .forEach(seat => {
+      const key = `${seat.branch}-${seat.section} (Year ${seat.year})`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(seat.registerNumber);
+    });
+
+  [...groups.keys()].sort().forEach(key => {
+    const numbers = groups.get(key);
+    doc.font('Helvetica-Bold').fontSize(numberFont);
+    const columnWidth = Math.max(...numbers.map(n => doc.widthOfString(n))) + 24 * scale;
+    const perLine = Math.max(1, Math.floor(usableWidth(doc) / columnWidth));
+    const lineHeight = numberFont * 1.4;
+
+    ensureSpace(doc, 20 * scale + lineHeight * 2);
+    doc.font('Helvetica-Bold').fontSize(20 * scale).fillColor('black')
+      .text(`${key}: ${numbers.length}`, PAGE_MARGIN, doc.y, { underline: true });
+    doc.moveDown(0.3);
+
+    for (let start = 0; start < numbers.length; start += perLine) {
+      if (doc.y + lineHeight > pageBottom(doc)) {
+        doc.addPage();
+        doc.font('Helvetica-Bold').fontSize(20 * scale).text(`${room.roomName} - ${key} (continued)`, PAGE_MARGIN, doc.page.margins.top);
+        doc.moveDown(0.3);
+      }
+      const top = doc.y;
+      doc.font('Helvetica-Bold').fontSize(numberFont);
+      numbers.slice(start, start + perLine).forEach((number, idx) => {
+        doc.text(number, PAGE_MARGIN + idx * columnWidth, top, { lineBreak: false });
+      });
+      doc.x = PAGE_MARGIN;
+      doc.y = top + lineHeight;
+    }
+    doc.moveDown(0.5);
+  });
+};
+
+const drawCoverSheet = (doc, { seating, room, seats, multiSession }) => {
+  drawHeader(doc, 'Room Packet - Cover Sheet', examLines(seating));
+
+  const classCounts = countBy(seats, seat => `${seat.branch} ${seat.section} - Year ${seat.year}`);
+  const paperCounts = countBy(seats.filter(seat => seat.paperCode), seat => seat.paperCode);
+  const registerNumbers = seats.map(seat => seat.registerNumber).sort();
+
+  drawTable(doc, [
+    { header: 'Room', width: 150 },
+    { header: roomLabel(room, multiSession), width: usableWidth(doc) - 150 }
+  ], [
+    ['Students seated', String(seats.length)],
+    ['Classes', formatCounts(classCounts) || '-'],
+    ['Papers', formatCounts(paperCounts) || '-'],
+    ['Register numbers', registerNumbers.length ? `${registerNumbers[0]} to ${registerNumbers[registerNumbers.length - 1]}` : '-'],
+    ['Special arrangements', String(seats.filter(seat => seat.accommodations && seat.accommodations.length).length)]
+  ], { fontSize: 10, minRowHeight: 22 });
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(12).text('Invigilators', PAGE_MARGIN);
+  doc.moveDown(0.3);
+  drawInvigilatorSignatures(doc, room);
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(12).text('Packet', PAGE_MARGIN);
+  doc.moveDown(0.3);
+  drawTable(doc, [
+    { header: 'Item', width: 250 },
+    { header: 'Count', width: 100, align: 'center' },
+    { header: 'Checked', width: usableWidth(doc) - 350 }
+  ], [
+    ['Attendance sheet entries', String(seats.length), ''],
+    ['Question papers received', '', ''],
+    ['Answer scripts returned', '', ''],
+    ['Unused question papers returned', '', '']
+  ], { fontSize: 10, minRowHeight: 24 });
+};
+
+const drawAttendanceSheet = (doc, { seating, room, seats, multiSession }) => {
+  drawHeader(doc, 'Attendance Sheet', [...examLines(seating), roomLabel(room, multiSession)]);
+
+  const columns = [
+    { header: 'S.No', width: 30, align: 'center' },
+    { header: 'Seat', width: 45 },
+    { header: 'Register Number', width: 90 },
+    { header: 'Name', width: 140 },
+    { header: 'Class', width: 65 },
+    { header: 'Paper', width: 55 }
+  ];
+  columns.push({ header: 'Signature', width: usableWidth(doc) - columns.reduce((sum, col) => sum + col.width, 0) });
+
+  drawTable(doc, columns, seats.map((seat, idx) => [
+    String(idx + 1),
+    seat.position,
+    seat.registerNumber,
+    seat.accommodations && seat.accommodations.length
+      ? `${seat.name}\n(${seat.accommodations.map(a => a.replace(/_/g, ' ')).join(', ')})`
+      : seat.name,
+    `${seat.branch} ${seat.section} - ${seat.year}`,
+    seat.paperCode || '-',
+    ''
+  ]), { minRowHeight: 22 });
+
+  ensureSpace(doc, 60);
+  doc.moveDown();
+  doc.font('Helvetica').fontSize(10).text(
+    `Students allotted: ${seats.length}      Present: ________      Absent: ________`,
+    PAGE_MARGIN
+  );
+  doc.moveDown(2);
+  doc.text('Invigilator signature(s): ______________________________________________', PAGE_MARGIN);
+};
+
+const drawAbsenteeSummary = (doc, { seating, room, seats, multiSession }) => {
+  drawHeader(doc, 'Absentee Summary', [...examLines(seating), roomLabel(room, multiSession)]);
+
+  doc.font('Helvetica').fontSize(10).text(
+    `Students allotted: ${seats.length}      Present: ________      Absent: ________`,
+    PAGE_MARGIN
+  );
+  doc.moveDown();
+
+  const columns = [
+    { header: 'S.No', width: 30, align: 'center' },
+    { header: 'Register Number', width: 110 },
+    { header: 'Name', width: 160 },
+    { header: 'Paper', width: 70 }
+  ];
+  columns.push({ header: 'Remarks', width: usableWidth(doc) - columns.reduce((sum, col) => sum + col.width, 0) });
+
+  const blankRows = Array.from({ length: ABSENTEE_ROWS }, (_, idx) => [String(idx + 1), '', '', '', '']);
+  drawTable(doc, columns, blankRows, { minRowHeight: 22 });
+
+  ensureSpace(doc, 80);
+  doc.moveDown();
+  doc.font('Helvetica').fontSize(10).text('Malpractice / other remarks:', PAGE_MARGIN);
+  doc.moveDown(2.5);
+
+  drawInvigilatorSignatures(doc, room);
+};
+
+const drawInvigilatorSignatures = (doc, room) => {
+  const invigilators = room.invigilators || [];
+  if (invigilators.length === 0) {
+    doc.font('Helvetica-Oblique').fontSize(10).text('No invigilators assigned.', PAGE_MARGIN);
+    return;
+  }
+
+  drawTable(doc, [
+    { header: 'Name', width: 170 },
+    { header: 'Employee ID', width: 90 },
+    { header: 'Department', width: 80 },
+    { header: 'Signature', width: usableWidth(doc) - 340 }
+  ], invigilators.map(duty => [duty.name, duty.employeeId, duty.department, '']), { fontSize: 10, minRowHeight: 28 });
+};
+
+/**
+ * Seated students of a room entry in seat order
+ */
+const listSeats = (room) => {
+  const seats = [];
+  room.layout.forEach((seatRow, rowIdx) => {
+    seatRow.forEach((seat, colIdx) => {
+      if (seat) seats.push({ ...seat, position: `R${rowIdx + 1} C${colIdx + 1}` });
+    });
+  });
+  return seats;
+};
+
+const createDocument = (options) => new PDFDocument({
+  margin: PAGE_MARGIN,
+  bufferPages: true,
+  ...options
+});
+
+const usableWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+const pageBottom = (doc) => doc.page.height - doc.page.margins.bottom;
+
+// Start a new page unless `height` points are left on this one
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > pageBottom(doc)) doc.addPage();
+};
+
+const drawHeader = (doc, title, lines = []) => {
+  doc.font('Helvetica-Bold').fontSize(14).text(institutionName(), PAGE_MARGIN, doc.page.margins.top, {
+    width: usableWidth(doc),
+    align: 'center'
+  });
+  doc.fontSize(12).text(title, { width: usableWidth(doc), align: 'center' });
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(10);
+  lines.forEach(line => doc.text(line, { width: usableWidth(doc), align: 'center' }));
+  doc.moveDown();
+};
+
+/**
+ * Draw a bordered table; the header row is repeated on every page
+ *
+ * @param columns - [{ header, width, align? }] (widths in points)
+ * @param rows - Arrays of cell text
+ * @param options - { fontSize, minRowHeight }
+ */
+const drawTable = (doc, columns, rows, options = {}) => {
+  const { fontSize = 9, minRowHeight = 18 } = options;
+  const padding = 4;
+  const left = PAGE_MARGIN;
+  const tableWidth = columns.reduce((sum, col) => sum + col.width, 0);
+
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(fontSize);
+    return Math.max(minRowHeight, ...cells.map((cell, idx) =>
+      doc.heightOfString(String(cell), { width: columns[idx].width - 2 * padding }) + 2 * padding
+    ));
+  };
+
+  const drawRow = (cells, font, height, shade) => {
+    const top = doc.y;
+    if (shade) doc.rect(left, top, tableWidth, height).fill('#e8e8e8');
+    doc.fillColor('black').strokeColor('black').lineWidth(0.5).font(font).fontSize(fontSize);
+
+    let x = left;
+    columns.forEach((col, idx) => {
+      doc.rect(x, top, col.width, height).stroke();
+      doc.text(String(cells[idx]), x + padding, top + padding, {
+        width: col.width - 2 * padding,
+        align: col.align || 'left'
+      });
+      x += col.width;
+    });
+
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  const headers = columns.map(col => col.header);
+  const headerHeight = rowHeight(headers, 'Helvetica-Bold');
+
+  ensureSpace(doc, headerHeight + minRowHeight);
+  drawRow(headers, 'Helvetica-Bold', headerHeight, true);
+
+  rows.forEach(cells => {
+    const height = rowHeight(cells, 'Helvetica');
+    if (doc.y + height > pageBottom(doc)) {
+      doc.addPage();
+      drawRow(headers, 'Helvetica-Bold', headerHeight, true);
+    }
+    drawRow(cells, 'Helvetica', height);
+  });
+
+  doc.moveDown(0.5);
+};
+
+// "Page n of m" in the bottom margin of every page
+const addPageNumbers = (doc) => {
+  const range = doc.bufferedPageRange();
+  for (let idx = range.start; idx < range.start + range.count; idx++) {
+    doc.switchToPage(idx);
+    const bottomMargin = doc.page.margins.bottom;
+    // Writing inside the bottom margin would otherwise start a new page
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#555555').text(
+      `Page ${idx - range.start + 1} of ${range.count}`,
+      PAGE_MARGIN,
+      doc.page.height - bottomMargin / 2 - 4,
+      { width: usableWidth(doc), align: 'center' }
+    );
+    doc.page.margins.bottom = bottomMargin;
+  }
+  doc.fillColor('black');
+};
+
+const examLines = (seating) => {
+  const when = [formatDate(seating.examDate)];
+  if (seating.slot) when.push(`${seating.slot} ${seating.startTime}-${seating.endTime}`);
+  return [seating.examName, when.join('  |  ')];
+};
+
+const roomLabel = (room, multiSession) => (
+  multiSession ? `${room.roomName} (Session ${room.sessionNumber || 1})` : room.roomName
+);
+
+const slotLabel = (slot) => {
+  const date = new Date(slot.date);
+  return `${String(date.getUTCDate()).padStart(2, '0')} ${MONTHS[date.getUTCMonth()]}\n${slot.slot || slot.startTime || ''}`;
+};
+
+const formatDate = (value) => {
+  const date = new Date(value);
+  return `${String(date.getUTCDate()).padStart(2, '0')} ${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+};
+
+const countBy = (items, keyOf) => {
+  const counts = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+};
+
+const formatCounts = (counts) => [...counts.entries()]
+  .sort(([a], [b]) => a.localeCompare(b))
+  .map(([key, count]) => `${key} (${count})`)
+  .join(', ');
+
+module.exports = {
+  PACKET_SECTIONS,
+  PAGE_SIZES,
+  PLAN_VARIANTS,
+  buildRoomPackets,
+  buildSeatingPlan,
+  buildDutyChart,
+  listSeats
+};
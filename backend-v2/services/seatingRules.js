@@ -0,0 +1,291 @@
+/**
+ * Seating Rule Engine - declarative rule sets
+ *
+ * A rule set describes HOW the generator mixes students, so a new semester's
+ * department mix only needs a new profile, not a code change.
+ *
+ * RULE SET SHAPE:
+ * ---------------
+ * {
+ *   lockAttribute: 'year' | 'subject' | 'none',
+ *       Each room only holds students sharing this value (old Rule A: year lock).
+ *       'subject' is the paper code the student writes in this exam
+ *   alternate: {
+ *     attribute: 'branch' | 'section' | 'year' | 'subject' | 'none',
+ *     focusValues: ['CSE']
+ *   },
+ *       Consecutive seats rotate through the values of this attribute.
+ *       With focusValues, students are split into "focus" vs "other" and the
+ *       generator alternates between the two (old Rule B: CSE / non-CSE)
+ *   neighbourConstraints: [
+ *     { attribute: 'branch', directions: ['left', 'front', 'front-left', 'front-right'] }
+ *   ]
+ *       Avoid seating a student next to an already placed neighbour with the
+ *       same value (old Rule C). Directions are relative to the seat being filled;
+ *       seats are filled row by row, so checking the front seat also covers the
+ *       seat behind (and front diagonals cover back diagonals).
+ * }
+ *
+ * The default rule set keeps the original year lock and CSE alternation.
+ */
+
+const LOCK_ATTRIBUTES = ['year', 'subject', 'none'];
+const ALTERNATE_ATTRIBUTES = ['branch', 'section', 'year', 'subject', 'none'];
+const NEIGHBOUR_ATTRIBUTES = ['branch', 'section', 'year', 'subject'];
+
+// Row/column offsets of already filled neighbours (seats are filled row by row)
+const NEIGHBOUR_OFFSETS = {
+  left: [0, -1],
+  front: [-1, 0],
+  'front-left': [-1, -1],
+  'front-right': [-1, 1]
+};
+const NEIGHBOUR_DIRECTIONS = Object.keys(NEIGHBOUR_OFFSETS);
+
+const DEFAULT_RULES = {
+  lockAttribute: 'year',
+  alternate: {
+    attribute: 'branch',
+    focusValues: ['CSE']
+  },
+  neighbourConstraints: [
+    { attribute: 'branch', directions: NEIGHBOUR_DIRECTIONS },
+    { attribute: 'subject', directions: NEIGHBOUR_DIRECTIONS }
+  ]
+};
+
+/**
+ * Merge a (partial) rule set over the defaults
+ */
+const normalizeRules = (rules) => {
+  if (!rules) {
+    return JSON.parse(JSON.stringify(DEFAULT_RULES));
+  }
+
+  // focusValues are only inherited together with the default attribute
+  const alternate = rules.alternate || DEFAULT_RULES.alternate;
+
+  return {
+    lockAttribute: rules.lockAttribute || DEFAULT_RULES.lockAttribute,
+    alternate: {
+      attribute: alternate.attribute || DEFAULT_RULES.alternate.attribute,
+      focusValues: alternate.focusValues || []
+    },
+    neighbourConstraints: (rules.neighbourConstraints || DEFAULT_RULES.neighbourConstraints)
+      .map(c => ({
+        attribute: c.attribute,
+        directions: c.directions && c.directions.length ? c.directions : ['left']
+      }))
+  };
+};
+
+/**
+ * Validate a rule set
+ * @returns Array of error messages (empty if valid)
+ */
+const validateRules = (rules) => {
+  const errors = [];
+
+  if (!rules || typeof rules !== 'object') {
+    return ['rules must be an object'];
+  }
+
+  if (rules.lockAttribute !== undefined && !LOCK_ATTRIBUTES.includes(rules.lockAttribute)) {
+    errors.push(`lockAttribute must be one of: ${LOCK_ATTRIBUTES.join(', ')}`);
+  }
+
+  if (rules.alternate !== undefined) {
+    const { attribute, focusValues } = rules.alternate || {};
+    if (attribute !== undefined && !ALTERNATE_ATTRIBUTES.includes(attribute)) {
+      errors.push(`alternate.attribute must be one of: ${ALTERNATE_ATTRIBUTES.join(', ')}`);
+    }
+    if (focusValues !== undefined && !Array.isArray(focusValues)) {
+      errors.push('alternate.focusValues must be an array');
+    }
+  }
+
+  if (rules.neighbourConstraints !== undefined) {
+    if (!Array.isArray(rules.neighbourConstraints)) {
+      errors.push('neighbourConstraints must be an array');
+    } else {
+      rules.neighbourConstraints.forEach((c, idx) => {
+        if (!c || !NEIGHBOUR_ATTRIBUTES.includes(c.attribute)) {
+          errors.push(`neighbourConstraints[${idx}].attribute must be one of: ${NEIGHBOUR_ATTRIBUTES.join(', ')}`);
+        }
+        const invalid = ((c && c.directions) || []).filter(d => !NEIGHBOUR_DIRECTIONS.includes(d));
+        if (invalid.length) {
+          errors.push(`neighbourConstraints[${idx}].directions must be from: ${NEIGHBOUR_DIRECTIONS.join(', ')}`);
+        }
+      });
+    }
+  }
+
+  return errors;
+};
+
+// Rule attributes stored under a different field on students/seats
+const ATTRIBUTE_FIELDS = {
+  subject: 'paperCode'
+};
+
+/**
+ * Read a rule attribute from a student (or a seat object in a layout)
+ */
+const getStudentAttribute = (student, attribute) => {
+  if (!student || attribute === 'none') {
+    return null;
+  }
+  const field = ATTRIBUTE_FIELDS[attribute] || attribute;
+  return student[field] !== undefined ? student[field] : null;
+};
+
+/**
+ * Group key a student belongs to for alternation
+ */
+const getAlternationGroup = (student, rules) => {
+  const { attribute, focusValues } = rules.alternate;
+
+  if (attribute === 'none') {
+    return 'all';
+  }
+
+  const value = getStudentAttribute(student, attribute);
+
+  if (focusValues && focusValues.length > 0) {
+    return focusValues.includes(value) ? 'focus' : 'other';
+  }
+
+  return String(value);
+};
+
+/**
+ * Collect the already placed neighbours of a seat for every constraint direction
+ * @returns Array of { attribute, seat }
+ */
+const getConstrainedNeighbours = (layout, row, col, rules) => {
+  const neighbours = [];
+
+  rules.neighbourConstraints.forEach(({ attribute, directions }) => {
+    directions.forEach(direction => {
+      const [dRow, dCol] = NEIGHBOUR_OFFSETS[direction];
+      const seat = layout[row + dRow] && layout[row + dRow][col + dCol];
+      if (seat) {
+        neighbours.push({ attribute, seat });
+      }
+    });
+  });
+
+  return neighbours;
+};
+
+/**
+ * True if placing the student next to the given neighbours breaks a constraint
+ */
+const conflictsWithNeighbours = (student, neighbours) => {
+  return neighbours.some(({ attribute, seat }) => {
+    const value = getStudentAttribute(student, attribute);
+    return value !== null && value === getStudentAttribute(seat, attribute);
+  });
+};
+
+/**
+ * Find neighbour constraint violations in a finished layout
+ * Every pair of seats is reported once (from the seat filled later)
+ *
+ * @returns Array of { attribute, value, seat: { row, col }, neighbour: { row, col } }
+ */
+const findNeighbourConflicts = (layout, rules) => {
+  const conflicts = [];
+
+  layout.forEach((seatRow, row) => {
+    seatRow.forEach((seat, col) => {
+      if (!seat) return;
+
+      rules.neighbourConstraints.forEach(({ attribute, directions }) => {
+        const value = getStudentAttribute(seat, attribute);
+        if (value === null) return;
+
+        directions.forEach(direction => {
+          const [dRow, dCol] = NEIGHBOUR_OFFSETS[direction];
+          const neighbour = layout[row + dRow] && layout[row + dRow][col + dCol];
+          if (neighbour && getStudentAttribute(neighbour, attribute) === value) {
+            conflicts.push({
+              attribute,
+              value,
+              seat: { row, col },
+              neighbour: { row: row + dRow, col: col + dCol }
+            });
+          }
+        });
+      });
+    });
+  });
+
+  return conflicts;
+};
+
+/**
+ * Number of neighbour constraint violations a single seat takes part in
+ * Checks both sides of every constrained direction (left and right, front and
+ * back, ...) so it can be used to score a seat after the layout is complete.
+ */
+const countSeatConflicts = (layout, row, col, rules) => {
+  const seat = layout[row][col];
+  if (!seat) return 0;
+
+  let count = 0;
+  rules.neighbourConstraints.forEach(({ attribute, directions }) => {
+    const value = getStudentAttribute(seat, attribute);
+    if (value === null) return;
+
+    directions.forEach(direction => {
+      const [dRow, dCol] = NEIGHBOUR_OFFSETS[direction];
+      [[dRow, dCol], [-dRow, -dCol]].forEach(([r, c]) => {
+        const neighbour = layout[row + r] && layout[row + r][col + c];
+        if (neighbour && getStudentAttribute(neighbour, attribute) === value) {
+          count++;
+        }
+      });
+    });
+  });
+
+  return count;
+};
+
+/**
+ * Distinct lock values seated in a layout (a locked room should have at most one)
+ *
+ * @returns Array of lock values, empty when the lock attribute is 'none'
+ */
+const findLockValues = (layout, rules) => {
+  if (rules.lockAttribute === 'none') {
+    return [];
+  }
+
+  const values = new Set();
+  layout.forEach(seatRow => {
+    seatRow.forEach(seat => {
+      const value = getStudentAttribute(seat, rules.lockAttribute);
+      if (value !== null) values.add(value);
+    });
+  });
+
+  return [...values];
+};
+
+module.exports = {
+  LOCK_ATTRIBUTES,
+  ALTERNATE_ATTRIBUTES,
+  NEIGHBOUR_ATTRIBUTES,
+  NEIGHBOUR_DIRECTIONS,
+  DEFAULT_RULES,
+  normalizeRules,
+  validateRules,
+  getStudentAttribute,
+  getAlternationGroup,
+  getConstrainedNeighbours,
+  conflictsWithNeighbours,
+  findNeighbourConflicts,
+  countSeatConflicts,
+  findLockValues
+};
@@ -0,0 +1,46 @@
+/**
+ * Seating Plan Status
+ *
+ * draft     - work in progress (test runs, regenerations); admins only
+ * published - the plan students and invigilators use; visible to viewers and
+ *             read-only until an admin unlocks it
+ * archived  - kept for the record; admins only, read-only
+ *
+ * At most one version of an exam event is published (see examEvents.js).
+ */
+
+const SEATING_STATUSES = ['draft', 'published', 'archived'];
+
+const isAdmin = (user) => Boolean(user && user.role === 'admin');
+
+/**
+ * Query filter for the seatings a user may see
+ */
+const visibilityFilter = (user) => (isAdmin(user) ? {} : { status: 'published' });
+
+/**
+ * True if the user may see this seating
+ */
+const isVisibleTo = (seating, user) => isAdmin(user) || seating.status === 'published';
+
+/**
+ * Why the seats of a plan cannot be edited right now
+ *
+ * @returns Error message, or null when edits are allowed
+ */
+const getEditBlock = (seating) => {
+  if (seating.status === 'archived') {
+    return 'Archived seatings are read-only. Unpublish it to make it a draft again.';
+  }
+  if (seating.status === 'published' && !seating.unlocked) {
+    return 'Published seatings are read-only. Unlock it to make changes.';
+  }
+  return null;
+};
+
+module.exports = {
+  SEATING_STATUSES,
+  visibilityFilter,
+  isVisibleTo,
+  getEditBlock
+};
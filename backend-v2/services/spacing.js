@@ -0,0 +1,53 @@
+/**
+ * Seat Spacing Patterns
+ *
+ * Exam rules often require a fixed seating pattern rather than evenly spread gaps:
+ *
+ * even          - any usable seat; empty seats are spread evenly (default)
+ * one_per_bench - only the first seat of every bench (uses the room's seatsPerBench)
+ * checkerboard  - alternate seats in every row, shifted by one on the next row
+ * skip_column   - every other column stays empty
+ *
+ * The mode comes from the generate request, or else from the room's own default.
+ */
+
+const SPACING_MODES = ['even', 'one_per_bench', 'checkerboard', 'skip_column'];
+
+/**
+ * True if the pattern lets a student sit at (row, col)
+ */
+const isSeatAllowed = (mode, row, col, seatsPerBench = 1) => {
+  switch (mode) {
+    case 'one_per_bench':
+      return col % seatsPerBench === 0;
+    case 'checkerboard':
+      return (row + col) % 2 === 0;
+    case 'skip_column':
+      return col % 2 === 0;
+    default:
+      return true;
+  }
+};
+
+/**
+ * Seats of a rows × cols grid the pattern leaves empty
+ *
+ * @returns Array of { row, col }
+ */
+const getSpacedOutSeats = (mode, rows, cols, seatsPerBench = 1) => {
+  const seats = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (!isSeatAllowed(mode, row, col, seatsPerBench)) {
+        seats.push({ row, col });
+      }
+    }
+  }
+  return seats;
+};
+
+module.exports = {
+  SPACING_MODES,
+  isSeatAllowed,
+  getSpacedOutSeats
+};
@@ -0,0 +1,206 @@
+/**
+ * Student Roster Import Service
+ *
+ * Imports real student rosters from CSV or Excel (XLSX) uploads.
+ *
+ * FLOW:
+ * -----
+ * 1. Parse the first sheet into rows (header row required)
+ * 2. Map header names to Student fields (case/space insensitive aliases)
+ * 3. Validate every row against the department configuration and link the ClassGroup
+ * 4. Dry run: report only. Commit: upsert valid rows on registerNumber
+ *
+ * Invalid rows are never written - they come back in the per-row error report.
+ */
+
+const XLSX = require('xlsx');
+const Student = require('../models/Student');
+const ClassGroup = require('../models/ClassGroup');
+const { getDepartmentConfig } = require('./departmentConfig');
+
+// Accepted header names per field (compared lowercase without spaces/underscores)
+const HEADER_ALIASES = {
+  registerNumber: ['registernumber', 'registerno', 'regno', 'regnumber', 'rollno', 'rollnumber'],
+  name: ['name', 'studentname', 'fullname'],
+  branch: ['branch', 'department', 'dept'],
+  section: ['section', 'sec'],
+  year: ['year', 'yr']
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[\s_.-]/g, '');
+
+/**
+ * Parse an uploaded CSV/XLSX buffer into plain row objects keyed by Student field
+ */
+const parseRosterFile = (buffer) => {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+
+  if (!sheet) {
+    throw new Error('The uploaded file has no sheets.');
+  }
+
+  const rawRows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false });
+
+  return rawRows.map(raw => {
+    const row = {};
+    Object.keys(raw).forEach(header => {
+      const key = normalizeHeader(header);
+      const field = Object.keys(HEADER_ALIASES).find(f => HEADER_ALIASES[f].includes(key));
+      if (field) {
+        row[field] = String(raw[header]).trim();
+      }
+    });
+    return row;
+  });
+};
+
+/**
+ * Validate rows and build the upsert plan
+ *
+ * @returns { rows: [{ rowNumber, registerNumber, action, errors, data }], summary }
+ */
+const validateRoster = async (rows) => {
+  const departments = await getDepartmentConfig();
+  const branchCodes = Object.keys(departments).sort();
+
+  const classGroups = await ClassGroup.find().lean();
+  const classGroupMap = {};
+  classGroups.forEach(cg => {
+    classGroupMap[`${cg.branch}-${cg.section}-${cg.year}`] = cg._id;
+  });
+
+  const registerNumbers = rows.map(r => r.registerNumber).filter(Boolean);
+  const existing = await Student.find({ registerNumber: { $in: registerNumbers } })
+    .select('registerNumber')
+    .lean();
+  const existingSet = new Set(existing.map(s => s.registerNumber));
+
+  const seenInFile = new Set();
+
+  const results = rows.map((row, idx) => {
+    const errors = [];
+    // Spreadsheet row number (row 1 is the header)
+    const rowNumber = idx + 2;
+
+    const registerNumber = (row.registerNumber || '').toUpperCase();
+    const branch = (row.branch || '').toUpperCase();
+    const section = (row.section || '').toUpperCase();
+    const year = Number(row.year);
+
+    if (!registerNumber) errors.push('registerNumber is required');
+    if (!row.name) errors.push('name is required');
+
+    const department = departments[branch];
+
+    if (!branch) {
+      errors.push('branch is required');
+    } else if (!department) {
+      errors.push(`branch "${row.branch}" must be one of: ${branchCodes.join(', ')}`);
+    }
+
+    if (!section) {
+      errors.push('section is required');
+    } else if (department && !department.sections.includes(section)) {
+      errors.push(`section "${row.section}" must be one of: ${department.sections.join(', ')}`);
+    }
+
+    if (!Number.isInteger(year) || year < 1) {
+      errors.push(`year "${row.year || ''}" must be a positive whole number`);
+    } else if (department && !department.years.includes(year)) {
+      errors.push(`year ${year} must be one of: ${department.years.join(', ')}`);
+    }
+
+    if (registerNumber) {
+      if (seenInFile.has(registerNumber)) {
+        errors.push(`registerNumber ${registerNumber} appears more than once in the file`);
+      }
+      seenInFile.add(registerNumber);
+    }
+
+    const classGroup = classGroupMap[`${branch}-${section}-${year}`];
+    if (!errors.length && !classGroup) {
+      errors.push(`No class group exists for ${branch} ${section} year ${year}`);
+    }
+
+    return {
+      rowNumber,
+      registerNumber,
+      action: errors.length ? 'skip' : (existingSet.has(registerNumber) ? 'update' : 'create'),
+      errors,
+      data: errors.length ? null : {
+        registerNumber,
+        name: row.name,
+        branch,
+        section,
+        year,
+        classGroup
+      }
+    };
+  });
+
+  const summary = {
+    totalRows: results.length,
+    valid: results.filter(r => !r.errors.length).length,
+    invalid: results.filter(r => r.errors.length).length,
+    toCreate: results.filter(r => r.action === 'create').length,
+    toUpdate: results.filter(r => r.action === 'update').length
+  };
+
+  return { rows: results, summary };
+};
+
+/**
+ * Import a roster file
+ *
+ * @param buffer - Uploaded file contents
+ * @param dryRun - true to only validate and preview
+ * @returns { dryRun, summary, errors, preview }
+ */
+const importStudentRoster = async (buffer, dryRun) => {
+  const parsed = parseRosterFile(buffer);
+
+  if (!parsed.length) {
+    throw new Error('The uploaded file has no data rows.');
+  }
+
+  const { rows, summary } = await validateRoster(parsed);
+  const validRows = rows.filter(r => !r.errors.length);
+
+  if (!dryRun && validRows.length) {
+    await Student.bulkWrite(validRows.map(r => ({
+      updateOne: {
+        filter: { registerNumber: r.registerNumber },
+        update: { $set: r.data },
+        upsert: true
+      }
+    })));
+  }
+
+  return {
+    dryRun,
+    summary: {
+      ...summary,
+      created: dryRun ? 0 : summary.toCreate,
+      updated: dryRun ? 0 : summary.toUpdate
+    },
+    errors: rows
+      .filter(r => r.errors.length)
+      .map(({ rowNumber, registerNumber, errors }) => ({ rowNumber, registerNumber, errors })),
+    preview: rows.map(({ rowNumber, registerNumber, action, data }) => ({
+      rowNumber,
+      registerNumber,
+      action,
+      name: data ? data.name : undefined,
+      branch: data ? data.branch : undefined,
+      section: data ? data.section : undefined,
+      year: data ? data.year : undefined
+    }))
+  };
+};
+
+module.exports = {
+  importStudentRoster,
+  parseRosterFile,
+  validateRoster
+};
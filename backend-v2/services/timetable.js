@@ -0,0 +1,224 @@
+/**
+ * Exam Timetable
+ *
+ * Exams are scheduled on a date in the forenoon (FN) or afternoon (AN) slot,
+ * with their own start and end time. Two exams overlap when they are on the
+ * same date and their times intersect (e.g. a long FN exam running into AN).
+ *
+ * DOUBLE-BOOKING CHECKS:
+ * ----------------------
+ * - timetable: a class group writing two overlapping exams (warning on save)
+ * - rooms: a room used by the plan of an overlapping exam
+ *   (generation refuses unless allowed; without a room selection such rooms are skipped)
+ * - students: a student seated in the plan of an overlapping exam (warning)
+ *
+ * The plan of an exam is its published seating, or else its newest
+ * non-archived one. Plans generated without an exam have no times and are
+ * not checked.
+ */
+
+const Exam = require('../models/Exam');
+const Seating = require('../models/Seating');
+
+const EXAM_SLOTS = ['FN', 'AN'];
+
+// Default times when only a slot is given
+const SLOT_TIMES = {
+  FN: { startTime: '09:30', endTime: '12:30' },
+  AN: { startTime: '14:00', endTime: '17:00' }
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Exam dates are stored as UTC midnight so same-day exams compare equal
+ */
+const toExamDate = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+/**
+ * Validate an exam payload and fill in the slot's default times
+ *
+ * @param data - { name, date, slot, startTime?, endTime?, classIds?, paperIds?, notes? }
+ * @param existing - Exam being updated (missing fields are taken from it)
+ * @returns { exam, errors }
+ */
+const normalizeExam = (data, existing = {}) => {
+  const errors = [];
+  const merged = { ...existing, ...data };
+
+  if (!merged.name || !String(merged.name).trim()) {
+    errors.push('name is required');
+  }
+
+  const date = merged.date ? toExamDate(merged.date) : null;
+  if (!date) {
+    errors.push('date must be a valid date');
+  }
+
+  if (!EXAM_SLOTS.includes(merged.slot)) {
+    errors.push(`slot must be one of: ${EXAM_SLOTS.join(', ')}`);
+  }
+
+  // A new slot without explicit times takes that slot's default times
+  const slotChanged = data.slot !== undefined && data.slot !== existing.slot;
+  const defaults = SLOT_TIMES[merged.slot] || {};
+  const startTime = data.startTime || (slotChanged || !existing.startTime ? defaults.startTime : existing.startTime);
+  const endTime = data.endTime || (slotChanged || !existing.endTime ? defaults.endTime : existing.endTime);
+
+  if (!TIME_PATTERN.test(startTime || '') || !TIME_PATTERN.test(endTime || '')) {
+    errors.push('startTime and endTime must be 24-hour HH:MM times');
+  } else if (endTime <= startTime) {
+    errors.push('endTime must be after startTime');
+  }
+
+  return {
+    errors,
+    exam: {
+      name: merged.name && String(merged.name).trim(),
+      date,
+      slot: merged.slot,
+      startTime,
+      endTime,
+      classIds: merged.classIds || [],
+      paperIds: merged.paperIds || [],
+      notes: merged.notes || ''
+    }
+  };
+};
+
+/**
+ * Other exams on the same date whose times intersect this one
+ */
+const findOverlappingExams = (exam) => {
+  return Exam.find({
+    _id: { $ne: exam._id },
+    date: exam.date,
+    startTime: { $lt: exam.endTime },
+    endTime: { $gt: exam.startTime }
+  });
+};
+
+/**
+ * Class groups that also write an overlapping exam
+ *
+ * @returns Warning strings
+ */
+const findClassClashes = async (exam) => {
+  const classIds = (exam.classIds || []).map(String);
+  if (!classIds.length) return [];
+
+  const overlapping = await findOverlappingExams(exam).populate('classIds', 'displayName');
+
+  const warnings = [];
+  overlapping.forEach(other => {
+    const shared = other.classIds.filter(cls => classIds.includes(String(cls._id)));
+    if (shared.length) {
+      warnings.push(
+        `${shared.map(cls => cls.displayName).join(', ')} also write${shared.length === 1 ? 's' : ''} ` +
+        `${other.name} (${other.slot} ${other.startTime}-${other.endTime})`
+      );
+    }
+  });
+
+  return warnings;
+};
+
+/**
+ * Current plan of each exam: published, else the newest non-archived version
+ *
+ * @param fields - Seating fields to load (exam, status and createdAt are always loaded)
+ */
+const getActivePlans = async (examIds, fields = 'examName rooms.roomId rooms.roomName rooms.layout') => {
+  const seatings = await Seating.find({ exam: { $in: examIds }, status: { $ne: 'archived' } })
+    .select(`exam status createdAt ${fields}`)
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const plans = new Map();
+  seatings.forEach(seating => {
+    const key = String(seating.exam);
+    const current = plans.get(key);
+    if (!current || (seating.status === 'published' && current.status !== 'published')) {
+      plans.set(key, seating);
+    }
+  });
+
+  return [...plans.values()];
+};
+
+/**
+ * Rooms and students already taken by the plans of overlapping exams
+ *
+ * @returns { rooms: Map roomId -> booking, students: Map studentId -> booking }
+ *          where booking = { examName, seatingId, roomName }
+ */
+const findBookings = async (exam) => {
+  const overlapping = await findOverlappingExams(exam).select('_id');
+  const plans = await getActivePlans(overlapping.map(other => other._id));
+
+  const rooms = new Map();
+  const students = new Map();
+
+  plans.forEach(plan => {
+    plan.rooms.forEach(room => {
+      const booking = { examName: plan.examName, seatingId: plan._id, roomName: room.roomName };
+      rooms.set(String(room.roomId), booking);
+
+      room.layout.forEach(seatRow => {
+        seatRow.forEach(seat => {
+          if (seat) students.set(String(seat.studentId), booking);
+        });
+      });
+    });
+  });
+
+  return { rooms, students };
+};
+
+/**
+ * Booking conflicts for the rooms and students of a plan
+ *
+ * @returns [{ type: 'room' | 'student', roomName?, registerNumber?, name?, otherExam, otherSeating }]
+ */
+const findBookingConflicts = (rooms, students, bookings) => {
+  const conflicts = [];
+
+  rooms.forEach(room => {
+    const booking = bookings.rooms.get(String(room._id));
+    if (booking) {
+      conflicts.push({ type: 'room', roomName: room.name, otherExam: booking.examName, otherSeating: booking.seatingId });
+    }
+  });
+
+  students.forEach(student => {
+    const booking = bookings.students.get(String(student._id));
+    if (booking) {
+      conflicts.push({
+        type: 'student',
+        registerNumber: student.registerNumber,
+        name: student.name,
+        otherExam: booking.examName,
+        otherSeating: booking.seatingId
+      });
+    }
+  });
+
+  return conflicts;
+};
+
+module.exports = {
+  EXAM_SLOTS,
+  SLOT_TIMES,
+  toExamDate,
+  normalizeExam,
+  findOverlappingExams,
+  findClassClashes,
+  getActivePlans,
+  findBookings,
+  findBookingConflicts
+};
@@ -10,6 +10,14 @@ import ClassesPage from './pages/ClassesPage';
 import NewSeatingPage from './pages/NewSeatingPage';
 import SeatingListPage from './pages/SeatingListPage';
 import SeatingDetailPage from './pages/SeatingDetailPage';
+import ExamEventPage from './pages/ExamEventPage';
+import TimetablePage from './pages/TimetablePage';
+import BulkGenerationPage from './pages/BulkGenerationPage';
+import RoomsPage from './pages/RoomsPage';
+import RoomLayoutPage from './pages/RoomLayoutPage';
+import StudentsPage from './pages/StudentsPage';
+import StudentImportPage from './pages/StudentImportPage';
+import InvigilatorsPage from './pages/InvigilatorsPage';
 
 // Styles
 import './App.css';
@@ -44,6 +52,69 @@ function App() {
             }
           />
           
+          <Route
+            path="/rooms"
+            element={
+              <ProtectedRoute>
+                <RoomsPage />
+              </ProtectedRoute>
+            }
+          />
+          
+          <Route
+            path="/rooms/:id/layout"
+            element={
+              <ProtectedRoute requireAdmin={true}>
+                <RoomLayoutPage />
+              </ProtectedRoute>
+            }
+          />
+          
+          <Route
+            path="/students"
+            element={
+              <ProtectedRoute>
+                <StudentsPage />
+              </ProtectedRoute>
+            }
+          />
+          
+          <Route
+            path="/students/import"
+            element={
+              <ProtectedRoute requireAdmin={true}>
+                <StudentImportPage />
+              </ProtectedRoute>
+            }
+          />
+          
+          <Route
+            path="/invigilators"
+            element={
+              <ProtectedRoute>
+                <InvigilatorsPage />
+              </ProtectedRoute>
+            }
+          />
+          
+          <Route
+            path="/timetable"
+            element={
+              <ProtectedRoute>
+                <TimetablePage />
+              </ProtectedRoute>
+            }
+          />
+          
+          <Route
+            path="/timetable/generate"
+            element={
+              <ProtectedRoute requireAdmin={true}>
+                <BulkGenerationPage />
+              </ProtectedRoute>
+            }
+          />
+          
           <Route
             path="/seating"
             element={
@@ -71,6 +142,15 @@ function App() {
             }
           />
           
+          <Route
+            path="/exam-events/:id"
+            element={
+              <ProtectedRoute>
+                <ExamEventPage />
+              </ProtectedRoute>
+            }
+          />
+          
           {/* 404 Route */}
           <Route path="*" element={<Navigate to="/dashboard" replace />} />
         </Routes>
@@ -48,8 +48,37 @@ export const seedStudents = async () => {
   return response.data;
 };
 
-export const getStudents = async () => {
-  const response = await api.get('/students');
+// params: { search, branch, section, year, includeInactive, page, limit }
+export const getStudents = async (params = {}) => {
+  const response = await api.get('/students', { params });
+  return response.data;
+};
+
+export const createStudent = async (student) => {
+  const response = await api.post('/students', student);
+  return response.data;
+};
+
+export const updateStudent = async (id, student) => {
+  const response = await api.put(`/students/${id}`, student);
+  return response.data;
+};
+
+// Deactivates by default; permanent=true removes the student entirely
+export const deleteStudent = async (id, permanent = false) => {
+  const response = await api.delete(`/students/${id}`, {
+    params: permanent ? { permanent: true } : {}
+  });
+  return response.data;
+};
+
+// Upload a CSV/XLSX roster; dryRun=true only validates and previews
+export const importStudents = async (file, dryRun) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  const response = await api.post('/students/import', formData, {
+    params: { dryRun }
+  });
   return response.data;
 };
 
@@ -59,8 +88,37 @@ export const seedRooms = async () => {
   return response.data;
 };
 
-export const getRooms = async () => {
-  const response = await api.get('/rooms');
+export const getRooms = async (includeRetired = false) => {
+  const response = await api.get('/rooms', {
+    params: includeRetired ? { includeRetired: true } : {}
+  });
+  return response.data;
+};
+
+// room: { name, capacity, type, building, floor }
+export const createRoom = async (room) => {
+  const response = await api.post('/rooms', room);
+  return response.data;
+};
+
+export const updateRoom = async (id, room) => {
+  const response = await api.put(`/rooms/${id}`, room);
+  return response.data;
+};
+
+export const deleteRoom = async (id) => {
+  const response = await api.delete(`/rooms/${id}`);
+  return response.data;
+};
+
+export const getRoomById = async (id) => {
+  const response = await api.get(`/rooms/${id}`);
+  return response.data;
+};
+
+// layout: { rows, columns, seatsPerBench, blockedSeats: [{ row, col }] }
+export const updateRoomLayout = async (id, layout) => {
+  const response = await api.put(`/rooms/${id}/layout`, layout);
   return response.data;
 };
 
@@ -75,17 +133,80 @@ export const getClasses = async () => {
   return response.data;
 };
 
-// Seating APIs
-export const generateSeating = async (examName, examDate, classIds, roomIds) => {
-  const response = await api.post('/seating/generate', {
-    examName,
-    examDate,
-    classIds,
-    roomIds
+// Department APIs
+export const getDepartments = async (includeInactive = false) => {
+  const response = await api.get('/departments', {
+    params: includeInactive ? { includeInactive: true } : {}
   });
   return response.data;
 };
 
+export const createDepartment = async (department) => {
+  const response = await api.post('/departments', department);
+  return response.data;
+};
+
+export const updateDepartment = async (id, department) => {
+  const response = await api.put(`/departments/${id}`, department);
+  return response.data;
+};
+
+export const deleteDepartment = async (id) => {
+  const response = await api.delete(`/departments/${id}`);
+  return response.data;
+};
+
+// Exclusion list APIs
+export const getExclusionLists = async () => {
+  const response = await api.get('/exclusion-lists');
+  return response.data;
+};
+
+export const createExclusionList = async (list) => {
+  const response = await api.post('/exclusion-lists', list);
+  return response.data;
+};
+
+export const deleteExclusionList = async (id) => {
+  const response = await api.delete(`/exclusion-lists/${id}`);
+  return response.data;
+};
+
+// Paper APIs
+export const getPapers = async () => {
+  const response = await api.get('/papers');
+  return response.data;
+};
+
+// Seating rule profile APIs
+export const getRuleProfiles = async () => {
+  const response = await api.get('/rule-profiles');
+  return response.data;
+};
+
+export const createRuleProfile = async (profile) => {
+  const response = await api.post('/rule-profiles', profile);
+  return response.data;
+};
+
+export const updateRuleProfile = async (id, profile) => {
+  const response = await api.put(`/rule-profiles/${id}`, profile);
+  return response.data;
+};
+
+export const deleteRuleProfile = async (id) => {
+  const response = await api.delete(`/rule-profiles/${id}`);
+  return response.data;
+};
+
+// Seating APIs
+// payload: { examName, examDate, classIds, roomIds, mode, expandOptions, ruleProfileId, rules, paperIds, exclusions, exclusionListIds, seed,
+//            examEventId, versionNote, examId, allowDoubleBooking }
+export const generateSeating = async (payload) => {
+  const response = await api.post('/seating/generate', payload);
+  return response.data;
+};
+
 export const getLatestSeating = async () => {
   const response = await api.get('/seating/latest');
   return response.data;
@@ -96,9 +217,200 @@ export const getSeatingById = async (id) => {
   return response.data;
 };
 
+export const getSeatingSession = async (id, sessionNumber) => {
+  const response = await api.get(`/seating/${id}/session/${sessionNumber}`);
+  return response.data;
+};
+
+// Move a student into an empty seat or swap two students
+// from/to: { roomEntryId, row, col } - response includes rule warnings
+export const moveSeat = async (id, from, to) => {
+  const response = await api.patch(`/seating/${id}/seats`, { from, to });
+  return response.data;
+};
+
 export const getAllSeatings = async () => {
   const response = await api.get('/seating');
   return response.data;
 };
 
+// Seating status: draft -> published (read-only until unlocked) -> archived
+export const publishSeating = async (id) => {
+  const response = await api.post(`/seating/${id}/publish`);
+  return response.data;
+};
+
+export const unpublishSeating = async (id) => {
+  const response = await api.post(`/seating/${id}/unpublish`);
+  return response.data;
+};
+
+export const archiveSeating = async (id) => {
+  const response = await api.post(`/seating/${id}/archive`);
+  return response.data;
+};
+
+export const unlockSeating = async (id) => {
+  const response = await api.post(`/seating/${id}/unlock`);
+  return response.data;
+};
+
+export const lockSeating = async (id) => {
+  const response = await api.post(`/seating/${id}/lock`);
+  return response.data;
+};
+
+// Replaces the plan's invigilator duties
+// settings: { studentsPerInvigilator, minPerRoom, maxPerRoom, cycleDays } (all optional)
+export const assignInvigilators = async (id, settings = {}) => {
+  const response = await api.post(`/seating/${id}/invigilators`, settings);
+  return response.data;
+};
+
+// Printable PDF reports; resolves to a Blob
+// report: 'packets' | 'cover' | 'attendance' | 'absentees' | 'duty-chart'
+// params: { roomEntryId, session } for room reports, { from, to } for the duty chart
+export const downloadSeatingReport = async (id, report, params = {}) => {
+  const response = await api.get(`/seating/${id}/reports/${report}`, {
+    params,
+    responseType: 'blob'
+  });
+  return response.data;
+};
+
+// Seating plan PDF (same layout in every browser); resolves to a Blob
+// params: { size: 'A4' | 'A3', variant: 'grid' | 'notice', roomEntryId, session }
+export const downloadSeatingPdf = async (id, params = {}) => {
+  const response = await api.get(`/seating/${id}/pdf`, {
+    params,
+    responseType: 'blob'
+  });
+  return response.data;
+};
+
+// Exam timetable APIs
+// params: { from, to } dates (optional)
+export const getExams = async (params = {}) => {
+  const response = await api.get('/exams', { params });
+  return response.data;
+};
+
+export const getExam = async (id) => {
+  const response = await api.get(`/exams/${id}`);
+  return response.data;
+};
+
+// Rooms used by overlapping exams' plans and class groups writing overlapping exams
+export const getExamBookings = async (id) => {
+  const response = await api.get(`/exams/${id}/bookings`);
+  return response.data;
+};
+
+// exam: { name, date, slot: 'FN' | 'AN', startTime, endTime, classIds, paperIds, notes }
+export const createExam = async (exam) => {
+  const response = await api.post('/exams', exam);
+  return response.data;
+};
+
+export const updateExam = async (id, exam) => {
+  const response = await api.put(`/exams/${id}`, exam);
+  return response.data;
+};
+
+export const deleteExam = async (id) => {
+  const response = await api.delete(`/exams/${id}`);
+  return response.data;
+};
+
+// Invigilator APIs
+// params: { department, search, includeInactive }
+export const getInvigilators = async (params = {}) => {
+  const response = await api.get('/invigilators', { params });
+  return response.data;
+};
+
+// Includes the invigilator's duties
+export const getInvigilator = async (id) => {
+  const response = await api.get(`/invigilators/${id}`);
+  return response.data;
+};
+
+// invigilator: { name, employeeId, department, designation, email, phone, unavailability: [{ date, slot, reason }] }
+export const createInvigilator = async (invigilator) => {
+  const response = await api.post('/invigilators', invigilator);
+  return response.data;
+};
+
+export const updateInvigilator = async (id, invigilator) => {
+  const response = await api.put(`/invigilators/${id}`, invigilator);
+  return response.data;
+};
+
+// Deactivates by default; permanent=true removes the invigilator entirely
+export const deleteInvigilator = async (id, permanent = false) => {
+  const response = await api.delete(`/invigilators/${id}`, {
+    params: permanent ? { permanent: true } : {}
+  });
+  return response.data;
+};
+
+// Bulk generation APIs (seat many timetable exams in one background job)
+// payload: { examIds } or { from, to }, plus roomIds, mode, allocationStrategy, spacingMode, ruleProfileId
+export const startGenerationJob = async (payload) => {
+  const response = await api.post('/generation-jobs', payload);
+  return response.data;
+};
+
+// Timetable CSV/XLSX: creates the exams, then starts a job (dryRun only previews)
+export const uploadTimetable = async (file, options, dryRun) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') {
+      formData.append(key, Array.isArray(value) ? JSON.stringify(value) : value);
+    }
+  });
+  const response = await api.post('/generation-jobs/upload', formData, {
+    params: { dryRun }
+  });
+  return response.data;
+};
+
+export const getGenerationJobs = async () => {
+  const response = await api.get('/generation-jobs');
+  return response.data;
+};
+
+export const getGenerationJob = async (id) => {
+  const response = await api.get(`/generation-jobs/${id}`);
+  return response.data;
+};
+
+// Exam event APIs (seating plan versions)
+export const getExamEvents = async () => {
+  const response = await api.get('/exam-events');
+  return response.data;
+};
+
+export const getExamEvent = async (id) => {
+  const response = await api.get(`/exam-events/${id}`);
+  return response.data;
+};
+
+export const diffVersions = async (id, from, to) => {
+  const response = await api.get(`/exam-events/${id}/diff`, { params: { from, to } });
+  return response.data;
+};
+
+export const publishVersion = async (id, version) => {
+  const response = await api.post(`/exam-events/${id}/publish`, { version });
+  return response.data;
+};
+
+// Copies an earlier version into a new version (publish: true publishes the copy)
+export const rollbackVersion = async (id, version, options = {}) => {
+  const response = await api.post(`/exam-events/${id}/rollback`, { version, ...options });
+  return response.data;
+};
+
 export default api;
@@ -22,6 +22,10 @@ const Navbar = () => {
         <div className="navbar-links">
           <Link to="/dashboard">Dashboard</Link>
           <Link to="/classes">Classes</Link>
+          <Link to="/students">Students</Link>
+          <Link to="/rooms">Rooms</Link>
+          <Link to="/timetable">Timetable</Link>
+          <Link to="/invigilators">Invigilators</Link>
           <Link to="/seating">Seatings</Link>
           <Link to="/seating/new">New Seating</Link>
         </div>
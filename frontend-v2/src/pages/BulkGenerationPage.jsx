@@ -0,0 +1,396 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Navbar from '../components/Navbar';
+import {
+  getRooms,
+  getRuleProfiles,
+  startGenerationJob,
+  uploadTimetable,
+  getGenerationJobs,
+  getGenerationJob
+} from '../api';
+import './BulkGenerationPage.css';
+
+// How often a running job is polled
+const POLL_INTERVAL_MS = 2000;
+
+const ALLOCATION_STRATEGIES = [
+  { value: 'proportional', label: 'Proportional to capacity' },
+  { value: 'fill_fewest', label: 'Fill fewest rooms' },
+  { value: 'balanced', label: 'Balanced headcount' }
+];
+
+const BulkGenerationPage = () => {
+  const [source, setSource] = useState('timetable');
+  const [from, setFrom] = useState(new Date().toISOString().slice(0, 10));
+  const [to, setTo] = useState('');
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [rooms, setRooms] = useState([]);
+  const [selectedRooms, setSelectedRooms] = useState([]);
+  const [ruleProfiles, setRuleProfiles] = useState([]);
+  const [ruleProfileId, setRuleProfileId] = useState('');
+  const [mode, setMode] = useState('multi');
+  const [allocationStrategy, setAllocationStrategy] = useState('proportional');
+  const [jobs, setJobs] = useState([]);
+  const [job, setJob] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  // Poll the selected job until it has finished
+  const jobRunning = job && ['queued', 'running'].includes(job.status);
+  useEffect(() => {
+    if (!jobRunning) return undefined;
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await getGenerationJob(job._id);
+        setJob(response.data);
+        if (!['queued', 'running'].includes(response.data.status)) {
+          setMessage({ type: response.data.status === 'failed' ? 'error' : 'success', text: response.message });
+          fetchJobs();
+        }
+      } catch (err) {
+        console.error('Error polling generation job:', err);
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [jobRunning, job?._id]);
+
+  const fetchData = async () => {
+    try {
+      const [roomsRes, profilesRes] = await Promise.all([getRooms(), getRuleProfiles()]);
+      setRooms(roomsRes.data);
+      setSelectedRooms(roomsRes.data.map(r => r._id));
+      setRuleProfiles(profilesRes.data);
+      await fetchJobs();
+    } catch (err) {
+      console.error('Error fetching data:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error loading data' });
+    }
+  };
+
+  const fetchJobs = async () => {
+    const response = await getGenerationJobs();
+    setJobs(response.data);
+  };
+
+  const handleRoomToggle = (roomId) => {
+    setSelectedRooms(prev =>
+      prev.includes(roomId)
+        ? prev.filter(id => id !== roomId)
+        : [...prev, roomId]
+    );
+  };
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setPreview(null);
+  };
+
+  const options = {
+    roomIds: selectedRooms.length === rooms.length ? [] : selectedRooms,
+    mode,
+    allocationStrategy,
+    ruleProfileId: ruleProfileId || undefined
+  };
+
+  const handlePreview = async () => {
+    setLoading(true);
+    setMessage({ type: '', text: '' });
+
+    try {
+      const response = await uploadTimetable(file, options, true);
+      setPreview(response.data);
+      setMessage({ type: 'info', text: response.message });
+    } catch (err) {
+      console.error('Error previewing timetable:', err);
+      setMessage({ type: 'error', text: err.response?.data?.error || err.response?.data?.message || 'Error reading timetable' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStart = async () => {
+    if (selectedRooms.length === 0) {
+      setMessage({ type: 'error', text: 'Please select at least one room' });
+      return;
+    }
+
+    setLoading(true);
+    setMessage({ type: '', text: '' });
+
+    try {
+      const response = source === 'upload'
+        ? await uploadTimetable(file, options, false)
+        : await startGenerationJob({ ...options, from, to: to || undefined });
+      setJob(response.data);
+      setPreview(null);
+      setMessage({ type: 'info', text: response.message });
+      fetchJobs();
+    } catch (err) {
+      console.error('Error starting generation job:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error starting generation job' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleViewJob = async (id) => {
+    try {
+      const response = await getGenerationJob(id);
+      setJob(response.data);
+    } catch (err) {
+      console.error('Error fetching generation job:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error fetching generation job' });
+    }
+  };
+
+  const canStart = source === 'upload' ? preview && preview.summary.valid > 0 : Boolean(from);
+  const progress = job && job.total ? Math.round((job.processed / job.total) * 100) : 0;
+
+  return (
+    <div className="bulk-generation-page">
+      <Navbar />
+
+      <div className="container">
+        <div className="page-header">
+          <h1>Generate Timetable Seating</h1>
+          <p>Seat every exam of a timetable in one run - rooms are shared out per slot</p>
+        </div>
+
+        {message.text && (
+          <div className={`alert alert-${message.type}`}>
+            {message.text}
+          </div>
+        )}
+
+        <div className="card">
+          <h2>Exams</h2>
+          <div className="source-options">
+            <label className="checkbox-label">
+              <input type="radio" name="source" checked={source === 'timetable'} onChange={() => setSource('timetable')} />
+              <span className="checkbox-text">Exams in the <Link to="/timetable">timetable</Link></span>
+            </label>
+            <label className="checkbox-label">
+              <input type="radio" name="source" checked={source === 'upload'} onChange={() => setSource('upload')} />
+              <span className="checkbox-text">Upload a timetable file</span>
+            </label>
+          </div>
+
+          {source === 'timetable' ? (
+            <div className="bulk-form-grid">
+              <div className="form-group">
+                <label htmlFor="from">From *</label>
+                <input type="date" id="from" value={from} onChange={(e) => setFrom(e.target.value)} required />
+              </div>
+              <div className="form-group">
+                <label htmlFor="to">To</label>
+                <input type="date" id="to" value={to} onChange={(e) => setTo(e.target.value)} />
+              </div>
+            </div>
+          ) : (
+            <>
+              <p className="bulk-hint">
+                CSV or Excel with the columns <code>name</code>, <code>date</code> (yyyy-mm-dd), <code>slot</code> (FN/AN),{' '}
+                <code>startTime</code>, <code>endTime</code>, <code>classes</code> and <code>papers</code>. Separate several
+                classes or paper codes with <code>;</code>. Times default to the slot's times. The exams are added to the
+                timetable; an exam with the same name, date and slot is reused.
+              </p>
+              <div className="upload-controls">
+                <input type="file" accept=".csv,.xlsx,.xls" onChange={handleFileChange} />
+                <button type="button" className="btn btn-secondary" onClick={handlePreview} disabled={loading || !file}>
+                  Preview
+                </button>
+              </div>
+            </>
+          )}
+
+          {preview && (
+            <div className="job-table-wrapper">
+              <table className="job-table">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Exam</th>
+                    <th>Date</th>
+                    <th>Slot</th>
+                    <th>Classes</th>
+                    <th>Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.preview.map(row => {
+                    const rowErrors = preview.errors.find(e => e.rowNumber === row.rowNumber);
+                    return (
+                      <tr key={row.rowNumber} className={rowErrors ? 'row-failed' : ''}>
+                        <td>{row.rowNumber}</td>
+                        <td>{row.name || '-'}</td>
+                        <td>{row.date ? row.date.slice(0, 10) : '-'}</td>
+                        <td>{row.slot} {row.startTime && `${row.startTime}-${row.endTime}`}</td>
+                        <td>{row.classes.join(', ')}</td>
+                        <td>{rowErrors ? rowErrors.errors.join('; ') : row.action}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div className="card">
+          <h2>Options</h2>
+          <p className="bulk-hint">
+            Applied to every exam. Exams that share a slot get separate rooms; rooms already used in that slot are left out.
+          </p>
+          <div className="bulk-form-grid">
+            <div className="form-group">
+              <label htmlFor="mode">When seats run out</label>
+              <select id="mode" value={mode} onChange={(e) => setMode(e.target.value)}>
+                <option value="multi">Add sessions (shifts)</option>
+                <option value="single">Leave students unassigned</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="allocationStrategy">Room allocation</label>
+              <select id="allocationStrategy" value={allocationStrategy} onChange={(e) => setAllocationStrategy(e.target.value)}>
+                {ALLOCATION_STRATEGIES.map(strategy => (
+                  <option key={strategy.value} value={strategy.value}>{strategy.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="ruleProfileId">Rule profile</label>
+              <select id="ruleProfileId" value={ruleProfileId} onChange={(e) => setRuleProfileId(e.target.value)}>
+                <option value="">Default rules</option>
+                {ruleProfiles.map(profile => (
+                  <option key={profile._id} value={profile._id}>{profile.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <h3 className="rooms-heading">Rooms</h3>
+          <div className="room-checkboxes">
+            {rooms.map(room => (
+              <label key={room._id} className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={selectedRooms.includes(room._id)}
+                  onChange={() => handleRoomToggle(room._id)}
+                />
+                <span className="checkbox-text">{room.name} ({room.capacity})</span>
+              </label>
+            ))}
+          </div>
+
+          <div className="form-actions">
+            <button type="button" className="btn btn-primary" onClick={handleStart} disabled={loading || jobRunning || !canStart}>
+              {loading ? 'Starting...' : 'Generate All'}
+            </button>
+          </div>
+        </div>
+
+        {job && (
+          <div className="card">
+            <h2>Job {new Date(job.createdAt).toLocaleString()} - {job.status}</h2>
+            <div className="job-progress">
+              <div className="job-progress-bar" style={{ width: `${progress}%` }}></div>
+            </div>
+            <p className="job-progress-text">
+              {job.processed} of {job.total} exams processed
+              {job.summary && job.summary.generated !== undefined && (
+                <> - {job.summary.generated} generated, {job.summary.skipped} skipped, {job.summary.failed} failed,{' '}
+                  {job.summary.unassignedCount} students unassigned</>
+              )}
+            </p>
+            {job.error && <div className="alert alert-error">{job.error}</div>}
+
+            <div className="job-table-wrapper">
+              <table className="job-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Slot</th>
+                    <th>Exam</th>
+                    <th>Status</th>
+                    <th>Students</th>
+                    <th>Rooms</th>
+                    <th>Unassigned</th>
+                    <th>Warnings</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {job.items.map(item => (
+                    <tr key={item.exam} className={`row-${item.status}`}>
+                      <td>{item.date.slice(0, 10)}</td>
+                      <td>{item.slot} {item.startTime}-{item.endTime}</td>
+                      <td>
+                        {item.seating ? <Link to={`/seating/${item.seating}`}>{item.examName}</Link> : item.examName}
+                      </td>
+                      <td>{item.status}</td>
+                      <td>{item.totalStudents ?? '-'}</td>
+                      <td>{item.roomCount ?? '-'}</td>
+                      <td>{item.unassignedCount ?? '-'}</td>
+                      <td>
+                        {item.error || (item.warnings && item.warnings.length > 0 && (
+                          <ul className="warning-list">
+                            {item.warnings.map((warning, idx) => <li key={idx}>{warning}</li>)}
+                          </ul>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {jobs.length > 0 && (
+          <div className="card">
+            <h2>Recent Jobs</h2>
+            <div className="job-table-wrapper">
+              <table className="job-table">
+                <thead>
+                  <tr>
+                    <th>Started</th>
+                    <th>Source</th>
+                    <th>Status</th>
+                    <th>Exams</th>
+                    <th>By</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {jobs.map(recent => (
+                    <tr key={recent._id}>
+                      <td>{new Date(recent.createdAt).toLocaleString()}</td>
+                      <td>{recent.source}</td>
+                      <td>{recent.status}</td>
+                      <td>{recent.processed}/{recent.total}</td>
+                      <td>{recent.createdBy?.name || '-'}</td>
+                      <td>
+                        <button type="button" className="btn btn-outline" onClick={() => handleViewJob(recent._id)}>
+                          View
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BulkGenerationPage;
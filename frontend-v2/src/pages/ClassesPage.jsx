@@ -1,17 +1,108 @@
 import React, { useState, useEffect } from 'react';
 import Navbar from '../components/Navbar';
-import { getClasses } from '../api';
+import {
+  getClasses,
+  getDepartments,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment
+} from '../api';
+import { useAuth } from '../context/AuthContext';
 import './ClassesPage.css';
 
+const emptyDepartmentForm = { code: '', name: '', sections: 'A', years: '1, 2' };
+
+// "A, B" -> ['A', 'B']
+const parseList = (value) => value.split(',').map(v => v.trim()).filter(Boolean);
+
 const ClassesPage = () => {
   const [classes, setClasses] = useState([]);
+  const [departments, setDepartments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [departmentForm, setDepartmentForm] = useState(emptyDepartmentForm);
+  const [editingDepartmentId, setEditingDepartmentId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const { isAdmin } = useAuth();
 
   useEffect(() => {
     fetchClasses();
+    fetchDepartments();
   }, []);
 
+  const fetchDepartments = async () => {
+    try {
+      const response = await getDepartments();
+      setDepartments(response.data);
+    } catch (err) {
+      console.error('Error fetching departments:', err);
+    }
+  };
+
+  const handleDepartmentChange = (e) => {
+    setDepartmentForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleEditDepartment = (department) => {
+    setEditingDepartmentId(department._id);
+    setDepartmentForm({
+      code: department.code,
+      name: department.name,
+      sections: department.sections.join(', '),
+      years: department.years.join(', ')
+    });
+  };
+
+  const handleCancelDepartment = () => {
+    setEditingDepartmentId(null);
+    setDepartmentForm(emptyDepartmentForm);
+  };
+
+  const handleSaveDepartment = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage({ type: '', text: '' });
+
+    const payload = {
+      name: departmentForm.name,
+      sections: parseList(departmentForm.sections),
+      years: parseList(departmentForm.years).map(Number)
+    };
+
+    try {
+      const response = editingDepartmentId
+        ? await updateDepartment(editingDepartmentId, payload)
+        : await createDepartment({ ...payload, code: departmentForm.code });
+      setMessage({ type: 'success', text: response.message });
+      handleCancelDepartment();
+      fetchDepartments();
+      fetchClasses();
+    } catch (err) {
+      console.error('Error saving department:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error saving department' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteDepartment = async (department) => {
+    if (!window.confirm(`Delete department ${department.code}? Departments with students will be deactivated instead.`)) {
+      return;
+    }
+
+    try {
+      const response = await deleteDepartment(department._id);
+      setMessage({ type: 'success', text: response.message });
+      fetchDepartments();
+      fetchClasses();
+    } catch (err) {
+      console.error('Error deleting department:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error deleting department' });
+    }
+  };
+
   const fetchClasses = async () => {
     try {
       setLoading(true);
@@ -65,6 +156,116 @@ const ClassesPage = () => {
 
         {error && <div className="alert alert-error">{error}</div>}
 
+        {message.text && (
+          <div className={`alert alert-${message.type}`}>
+            {message.text}
+          </div>
+        )}
+
+        {isAdmin && (
+          <div className="card">
+            <h2>Departments</h2>
+            <p className="department-hint">
+              Class groups are generated from each department's sections and years.
+              Removing a section or year keeps class groups that still have students.
+            </p>
+
+            {departments.length > 0 && (
+              <table className="department-table">
+                <thead>
+                  <tr>
+                    <th>Code</th>
+                    <th>Name</th>
+                    <th>Sections</th>
+                    <th>Years</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {departments.map(department => (
+                    <tr key={department._id}>
+                      <td>{department.code}</td>
+                      <td>{department.name}</td>
+                      <td>{department.sections.join(', ')}</td>
+                      <td>{department.years.join(', ')}</td>
+                      <td className="department-actions">
+                        <button className="btn btn-sm btn-outline" onClick={() => handleEditDepartment(department)}>
+                          Edit
+                        </button>
+                        <button className="btn btn-sm btn-danger" onClick={() => handleDeleteDepartment(department)}>
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            <form onSubmit={handleSaveDepartment} className="department-form">
+              <div className="form-group">
+                <label htmlFor="code">Code *</label>
+                <input
+                  type="text"
+                  id="code"
+                  name="code"
+                  value={departmentForm.code}
+                  onChange={handleDepartmentChange}
+                  placeholder="e.g., AIDS"
+                  disabled={!!editingDepartmentId}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="name">Name *</label>
+                <input
+                  type="text"
+                  id="name"
+                  name="name"
+                  value={departmentForm.name}
+                  onChange={handleDepartmentChange}
+                  placeholder="e.g., AI and Data Science"
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="sections">Sections</label>
+                <input
+                  type="text"
+                  id="sections"
+                  name="sections"
+                  value={departmentForm.sections}
+                  onChange={handleDepartmentChange}
+                  placeholder="A, B, C"
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="years">Years</label>
+                <input
+                  type="text"
+                  id="years"
+                  name="years"
+                  value={departmentForm.years}
+                  onChange={handleDepartmentChange}
+                  placeholder="1, 2, 3, 4"
+                  required
+                />
+              </div>
+              <div className="form-actions">
+                {editingDepartmentId && (
+                  <button type="button" className="btn btn-secondary" onClick={handleCancelDepartment}>
+                    Cancel
+                  </button>
+                )}
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : editingDepartmentId ? 'Save Department' : 'Add Department'}
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
         {classes.length === 0 ? (
           <div className="card">
             <p className="no-data">No classes found. Please initialize system data from the dashboard.</p>
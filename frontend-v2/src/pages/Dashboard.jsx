@@ -73,6 +73,13 @@ const Dashboard = () => {
             >
               {loading ? 'Initializing...' : 'Initialize System Data'}
             </button>
+            {' '}
+            <button
+              className="btn btn-outline"
+              onClick={() => navigate('/students/import')}
+            >
+              Import Student Roster
+            </button>
           </div>
         )}
 
@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import Navbar from '../components/Navbar';
+import { getExamEvent, diffVersions, publishVersion, rollbackVersion } from '../api';
+import { useAuth } from '../context/AuthContext';
+import './ExamEventPage.css';
+
+const DIFF_SECTIONS = [
+  { key: 'changedRoom', title: 'Moved to Another Room' },
+  { key: 'changedSeat', title: 'Moved Seat (Same Room)' },
+  { key: 'added', title: 'Only in Newer Version' },
+  { key: 'removed', title: 'Only in Older Version' }
+];
+
+const ExamEventPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { isAdmin } = useAuth();
+
+  const [event, setEvent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [fromVersion, setFromVersion] = useState('');
+  const [toVersion, setToVersion] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetchEvent();
+  }, [id]);
+
+  const fetchEvent = async () => {
+    try {
+      setLoading(true);
+      const response = await getExamEvent(id);
+      const { versions } = response.data;
+      setEvent(response.data);
+
+      // Compare the two newest versions by default
+      if (versions.length > 1) {
+        setFromVersion(String(versions[1].version));
+        setToVersion(String(versions[0].version));
+      }
+    } catch (err) {
+      console.error('Error fetching exam event:', err);
+      setError(err.response?.data?.message || 'Error loading exam event');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCompare = async () => {
+    try {
+      setComparing(true);
+      const response = await diffVersions(id, fromVersion, toVersion);
+      setDiff(response.data);
+    } catch (err) {
+      console.error('Error comparing versions:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error comparing versions' });
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const handlePublish = async (version) => {
+    try {
+      setBusy(true);
+      const response = await publishVersion(id, version);
+      setMessage({ type: 'success', text: response.message });
+      await fetchEvent();
+    } catch (err) {
+      console.error('Error publishing version:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error publishing version' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRollback = async (version, published) => {
+    if (!window.confirm(`Restore version ${version}? It is copied into a new version; no version is deleted.`)) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      // Restoring the live plan keeps it live
+      const response = await rollbackVersion(id, version, { publish: published });
+      setMessage({ type: 'success', text: response.message });
+      setDiff(null);
+      await fetchEvent();
+    } catch (err) {
+      console.error('Error restoring version:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error restoring version' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div>
+        <Navbar />
+        <div className="container">
+          <div className="loading">
+            <div className="spinner"></div>
+            <p>Loading versions...</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!event) {
+    return (
+      <div>
+        <Navbar />
+        <div className="container">
+          <div className="alert alert-error">{error || 'Exam event not found'}</div>
+        </div>
+      </div>
+    );
+  }
+
+  const { versions } = event;
+  const hasPublished = versions.some(v => v.status === 'published');
+
+  return (
+    <div className="exam-event-page">
+      <Navbar />
+
+      <div className="container">
+        <div className="page-header">
+          <div>
+            <h1>{event.name}</h1>
+            <p>{new Date(event.examDate).toLocaleDateString()} · {versions.length} version{versions.length === 1 ? '' : 's'}</p>
+          </div>
+          <div className="header-actions">
+            <button className="btn btn-secondary" onClick={() => navigate('/seating')}>
+              Back to List
+            </button>
+            {isAdmin && (
+              <button className="btn btn-primary" onClick={() => navigate(`/seating/new?examEvent=${id}`)}>
+                🔄 Regenerate
+              </button>
+            )}
+          </div>
+        </div>
+
+        {message.text && (
+          <div className={`alert alert-${message.type}`}>
+            {message.text}
+          </div>
+        )}
+
+        {!hasPublished && (
+          <div className="alert alert-info">No version is published yet - every version is a draft.</div>
+        )}
+
+        <div className="card">
+          <h2>Versions</h2>
+          <div className="versions-table-wrapper">
+            <table className="versions-table">
+              <thead>
+                <tr>
+                  <th>Version</th>
+                  <th>Status</th>
+                  <th>Note</th>
+                  <th>Students</th>
+                  <th>Conflicts</th>
+                  <th>Quality</th>
+                  <th>Created</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {versions.map((version, idx) => (
+                  <tr key={version._id} className={version.status === 'published' ? 'published-row' : ''}>
+                    <td>v{version.version}</td>
+                    <td>
+                      <span className={`status-badge status-${version.status}`}>{version.status}</span>
+                    </td>
+                    <td>{version.versionNote || '-'}</td>
+                    <td>
+                      {version.totalStudents}
+                      {version.unassignedCount > 0 && ` (${version.unassignedCount} unassigned)`}
+                    </td>
+                    <td>{version.conflictCount}</td>
+                    <td>{version.quality?.score !== undefined ? `${version.quality.score}/100` : '-'}</td>
+                    <td>
+                      {new Date(version.createdAt).toLocaleString()}
+                      <span className="created-by">{version.createdBy?.name || 'Unknown'}</span>
+                    </td>
+                    <td className="version-actions">
+                      <Link to={`/seating/${version._id}`} className="btn btn-secondary">
+                        View
+                      </Link>
+                      {isAdmin && version.status !== 'published' && (
+                        <button
+                          className="btn btn-success"
+                          onClick={() => handlePublish(version.version)}
+                          disabled={busy}
+                        >
+                          Publish
+                        </button>
+                      )}
+                      {isAdmin && idx > 0 && (
+                        <button
+                          className="btn btn-outline"
+                          onClick={() => handleRollback(version.version, hasPublished)}
+                          disabled={busy}
+                        >
+                          Restore
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {versions.length > 1 && (
+          <div className="card">
+            <h2>Compare Versions</h2>
+            <div className="compare-controls">
+              <div className="form-group">
+                <label htmlFor="fromVersion">Older</label>
+                <select id="fromVersion" value={fromVersion} onChange={(e) => setFromVersion(e.target.value)}>
+                  {versions.map(v => (
+                    <option key={v._id} value={v.version}>Version {v.version}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="toVersion">Newer</label>
+                <select id="toVersion" value={toVersion} onChange={(e) => setToVersion(e.target.value)}>
+                  {versions.map(v => (
+                    <option key={v._id} value={v.version}>Version {v.version}</option>
+                  ))}
+                </select>
+              </div>
+              <button
+                className="btn btn-primary"
+                onClick={handleCompare}
+                disabled={comparing || fromVersion === toVersion}
+              >
+                {comparing ? 'Comparing...' : 'Compare'}
+              </button>
+            </div>
+
+            {diff && (
+              <div className="diff-result">
+                <p className="diff-summary">
+                  Version {diff.from.version} → {diff.to.version}: {diff.summary.changedRoom} changed room,{' '}
+                  {diff.summary.changedSeat} changed seat, {diff.summary.added} added, {diff.summary.removed} removed,{' '}
+                  {diff.summary.unchanged} unchanged
+                </p>
+
+                {DIFF_SECTIONS.filter(section => diff[section.key].length > 0).map(section => (
+                  <div key={section.key} className="diff-section">
+                    <h3>{section.title} ({diff[section.key].length})</h3>
+                    <table className="versions-table">
+                      <thead>
+                        <tr>
+                          <th>Register Number</th>
+                          <th>Name</th>
+                          <th>Class</th>
+                          <th>Version {diff.from.version}</th>
+                          <th>Version {diff.to.version}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {diff[section.key].map(entry => (
+                          <tr key={entry.registerNumber}>
+                            <td>{entry.registerNumber}</td>
+                            <td>{entry.name}</td>
+                            <td>{entry.branch} {entry.section} - Year {entry.year}</td>
+                            <td>{formatPosition(entry.from)}</td>
+                            <td>{formatPosition(entry.to)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Helper: { sessionNumber, roomName, row, col } -> "R1, row 2 seat 3 (session 1)"
+const formatPosition = (position) => {
+  if (!position) return '-';
+  return `${position.roomName}, row ${position.row + 1} seat ${position.col + 1} (session ${position.sessionNumber})`;
+};
+
+export default ExamEventPage;
@@ -0,0 +1,475 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Navbar from '../components/Navbar';
+import {
+  getInvigilators,
+  getInvigilator,
+  createInvigilator,
+  updateInvigilator,
+  deleteInvigilator,
+  getDepartments
+} from '../api';
+import { useAuth } from '../context/AuthContext';
+import './InvigilatorsPage.css';
+
+const emptyForm = {
+  name: '',
+  employeeId: '',
+  department: '',
+  designation: '',
+  email: '',
+  phone: '',
+  unavailability: []
+};
+
+const emptyUnavailability = { date: '', slot: '', reason: '' };
+
+const SLOT_LABELS = { FN: 'Forenoon', AN: 'Afternoon' };
+
+const InvigilatorsPage = () => {
+  const [invigilators, setInvigilators] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [departmentFilter, setDepartmentFilter] = useState('');
+  const [showInactive, setShowInactive] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [errorList, setErrorList] = useState([]);
+
+  const { isAdmin } = useAuth();
+
+  useEffect(() => {
+    fetchDepartments();
+  }, []);
+
+  useEffect(() => {
+    fetchInvigilators();
+  }, [search, departmentFilter, showInactive]);
+
+  const fetchDepartments = async () => {
+    try {
+      const response = await getDepartments();
+      setDepartments(response.data);
+    } catch (err) {
+      console.error('Error fetching departments:', err);
+    }
+  };
+
+  const fetchInvigilators = async () => {
+    try {
+      setLoading(true);
+      const response = await getInvigilators({
+        search: search || undefined,
+        department: departmentFilter || undefined,
+        includeInactive: showInactive || undefined
+      });
+      setInvigilators(response.data);
+    } catch (err) {
+      console.error('Error fetching invigilators:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error fetching invigilators' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSearch(searchInput.trim());
+  };
+
+  const handleChange = (e) => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleUnavailabilityChange = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      unavailability: prev.unavailability.map((entry, i) =>
+        i === index ? { ...entry, [field]: value } : entry
+      )
+    }));
+  };
+
+  const handleAddUnavailability = () => {
+    setForm(prev => ({ ...prev, unavailability: [...prev.unavailability, { ...emptyUnavailability }] }));
+  };
+
+  const handleRemoveUnavailability = (index) => {
+    setForm(prev => ({
+      ...prev,
+      unavailability: prev.unavailability.filter((_, i) => i !== index)
+    }));
+  };
+
+  const handleEdit = (person) => {
+    setEditingId(person._id);
+    setErrorList([]);
+    setForm({
+      name: person.name,
+      employeeId: person.employeeId,
+      department: person.department,
+      designation: person.designation || '',
+      email: person.email || '',
+      phone: person.phone || '',
+      unavailability: (person.unavailability || []).map(entry => ({
+        date: entry.date.slice(0, 10),
+        slot: entry.slot || '',
+        reason: entry.reason || ''
+      }))
+    });
+  };
+
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage({ type: '', text: '' });
+    setErrorList([]);
+
+    const payload = {
+      ...form,
+      unavailability: form.unavailability.filter(entry => entry.date)
+    };
+
+    try {
+      const response = editingId
+        ? await updateInvigilator(editingId, payload)
+        : await createInvigilator(payload);
+      setMessage({ type: 'success', text: response.message });
+      handleCancelEdit();
+      fetchInvigilators();
+    } catch (err) {
+      console.error('Error saving invigilator:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error saving invigilator' });
+      setErrorList(err.response?.data?.errors || []);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleShowDuties = async (person) => {
+    if (selected && selected._id === person._id) {
+      setSelected(null);
+      return;
+    }
+
+    try {
+      const response = await getInvigilator(person._id);
+      setSelected(response.data);
+    } catch (err) {
+      console.error('Error fetching duties:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error fetching duties' });
+    }
+  };
+
+  const handleDeactivate = async (person) => {
+    if (!window.confirm(`Deactivate ${person.name}? Existing duties are kept but no new duties will be assigned.`)) {
+      return;
+    }
+
+    try {
+      const response = await deleteInvigilator(person._id);
+      setMessage({ type: 'success', text: response.message });
+      fetchInvigilators();
+    } catch (err) {
+      console.error('Error deactivating invigilator:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error deactivating invigilator' });
+    }
+  };
+
+  const handleReactivate = async (person) => {
+    try {
+      await updateInvigilator(person._id, { isActive: true });
+      setMessage({ type: 'success', text: `Invigilator ${person.employeeId} reactivated` });
+      fetchInvigilators();
+    } catch (err) {
+      console.error('Error reactivating invigilator:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error reactivating invigilator' });
+    }
+  };
+
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+
+  return (
+    <div className="invigilators-page">
+      <Navbar />
+
+      <div className="container">
+        <div className="page-header">
+          <h1>Invigilators</h1>
+          <p>Staff who supervise exam rooms, their unavailability and duty load</p>
+        </div>
+
+        {message.text && (
+          <div className={`alert alert-${message.type}`}>
+            {message.text}
+            {errorList.length > 0 && (
+              <ul className="error-list">
+                {errorList.map((error, idx) => <li key={idx}>{error}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {isAdmin && (
+          <div className="card">
+            <h2>{editingId ? 'Edit Invigilator' : 'Add Invigilator'}</h2>
+            <form onSubmit={handleSubmit}>
+              <div className="invigilator-form-grid">
+                <div className="form-group">
+                  <label htmlFor="name">Name *</label>
+                  <input type="text" id="name" name="name" value={form.name} onChange={handleChange} required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="employeeId">Employee ID *</label>
+                  <input
+                    type="text"
+                    id="employeeId"
+                    name="employeeId"
+                    value={form.employeeId}
+                    onChange={handleChange}
+                    placeholder="e.g., FAC102"
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="department">Department *</label>
+                  <input
+                    type="text"
+                    id="department"
+                    name="department"
+                    list="department-codes"
+                    value={form.department}
+                    onChange={handleChange}
+                    placeholder="e.g., CSE"
+                    required
+                  />
+                  <datalist id="department-codes">
+                    {departments.map(dept => (
+                      <option key={dept._id} value={dept.code}>{dept.name}</option>
+                    ))}
+                  </datalist>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="designation">Designation</label>
+                  <input
+                    type="text"
+                    id="designation"
+                    name="designation"
+                    value={form.designation}
+                    onChange={handleChange}
+                    placeholder="e.g., Assistant Professor"
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="email">Email</label>
+                  <input type="email" id="email" name="email" value={form.email} onChange={handleChange} />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="phone">Phone</label>
+                  <input type="text" id="phone" name="phone" value={form.phone} onChange={handleChange} />
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label>Unavailability</label>
+                {form.unavailability.length === 0 && (
+                  <p className="invigilator-hint">Available on all exam days.</p>
+                )}
+                {form.unavailability.map((entry, index) => (
+                  <div key={index} className="unavailability-row">
+                    <input
+                      type="date"
+                      value={entry.date}
+                      onChange={(e) => handleUnavailabilityChange(index, 'date', e.target.value)}
+                      required
+                    />
+                    <select
+                      value={entry.slot}
+                      onChange={(e) => handleUnavailabilityChange(index, 'slot', e.target.value)}
+                    >
+                      <option value="">Whole day</option>
+                      <option value="FN">FN (Forenoon)</option>
+                      <option value="AN">AN (Afternoon)</option>
+                    </select>
+                    <input
+                      type="text"
+                      value={entry.reason}
+                      onChange={(e) => handleUnavailabilityChange(index, 'reason', e.target.value)}
+                      placeholder="Reason (optional)"
+                    />
+                    <button type="button" className="btn btn-outline" onClick={() => handleRemoveUnavailability(index)}>
+                      Remove
+                    </button>
+                  </div>
+                ))}
+                <button type="button" className="btn btn-secondary" onClick={handleAddUnavailability}>
+                  + Add Unavailable Day
+                </button>
+              </div>
+
+              <div className="form-actions">
+                {editingId && (
+                  <button type="button" className="btn btn-secondary" onClick={handleCancelEdit}>
+                    Cancel
+                  </button>
+                )}
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : editingId ? 'Save Invigilator' : 'Add Invigilator'}
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        <div className="card">
+          <form className="invigilator-filters" onSubmit={handleSearch}>
+            <input
+              type="text"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Search by name or employee ID"
+            />
+            <select value={departmentFilter} onChange={(e) => setDepartmentFilter(e.target.value)}>
+              <option value="">All departments</option>
+              {departments.map(dept => (
+                <option key={dept._id} value={dept.code}>{dept.code}</option>
+              ))}
+            </select>
+            <button type="submit" className="btn btn-secondary">Search</button>
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={showInactive}
+                onChange={(e) => setShowInactive(e.target.checked)}
+              />
+              <span className="checkbox-text">Show deactivated</span>
+            </label>
+          </form>
+
+          {loading ? (
+            <div className="loading">
+              <div className="spinner"></div>
+              <p>Loading invigilators...</p>
+            </div>
+          ) : invigilators.length === 0 ? (
+            <p className="no-data">No invigilators found.</p>
+          ) : (
+            <div className="data-table-wrapper">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Employee ID</th>
+                    <th>Name</th>
+                    <th>Department</th>
+                    <th>Designation</th>
+                    <th>Unavailable</th>
+                    <th>Duties</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {invigilators.map(person => (
+                    <tr key={person._id} className={person.isActive === false ? 'inactive-row' : ''}>
+                      <td>{person.employeeId}</td>
+                      <td>{person.name}</td>
+                      <td>{person.department}</td>
+                      <td>{person.designation || '-'}</td>
+                      <td>
+                        {(person.unavailability || []).length === 0
+                          ? '-'
+                          : person.unavailability.map(entry =>
+                            `${formatDate(entry.date)}${entry.slot ? ` ${entry.slot}` : ''}`
+                          ).join(', ')}
+                      </td>
+                      <td>{person.dutyCount}</td>
+                      <td>{person.isActive === false ? 'Deactivated' : 'Active'}</td>
+                      <td className="row-actions">
+                        <button className="btn btn-outline" onClick={() => handleShowDuties(person)}>
+                          {selected && selected._id === person._id ? 'Hide Duties' : 'Duties'}
+                        </button>
+                        {isAdmin && (person.isActive === false ? (
+                          <button className="btn btn-outline" onClick={() => handleReactivate(person)}>
+                            Reactivate
+                          </button>
+                        ) : (
+                          <>
+                            <button className="btn btn-outline" onClick={() => handleEdit(person)}>
+                              Edit
+                            </button>
+                            <button className="btn btn-danger" onClick={() => handleDeactivate(person)}>
+                              Deactivate
+                            </button>
+                          </>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {selected && (
+          <div className="card">
+            <h2>Duties - {selected.name} ({selected.employeeId})</h2>
+            {selected.duties.length === 0 ? (
+              <p className="no-data">No duties assigned yet.</p>
+            ) : (
+              <div className="data-table-wrapper">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Slot</th>
+                      <th>Exam</th>
+                      <th>Room</th>
+                      <th>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selected.duties.map((duty, idx) => (
+                      <tr key={idx}>
+                        <td>{formatDate(duty.examDate)}</td>
+                        <td>
+                          {duty.slot ? SLOT_LABELS[duty.slot] : '-'}
+                          {duty.startTime && ` (${duty.startTime} - ${duty.endTime})`}
+                        </td>
+                        <td>
+                          <Link to={`/seating/${duty.seatingId}`}>{duty.examName}</Link>
+                        </td>
+                        <td>
+                          {duty.roomName}
+                          {duty.sessionNumber > 1 && ` (session ${duty.sessionNumber})`}
+                        </td>
+                        <td>{duty.status}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default InvigilatorsPage;
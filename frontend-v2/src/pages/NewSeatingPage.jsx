@@ -1,10 +1,40 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import Navbar from '../components/Navbar';
-import { getClasses, getRooms, generateSeating } from '../api';
+import {
+  getClasses,
+  getRooms,
+  getRuleProfiles,
+  getPapers,
+  getExclusionLists,
+  createExclusionList,
+  generateSeating,
+  getExamEvent,
+  getSeatingById,
+  getExams,
+  getExamBookings
+} from '../api';
 import { useAuth } from '../context/AuthContext';
 import './NewSeatingPage.css';
 
+const ALLOCATION_STRATEGIES = [
+  {
+    value: 'proportional',
+    label: 'Proportional to capacity (recommended)',
+    description: 'Every room is filled to the same share of its seats, so larger rooms take more students.'
+  },
+  {
+    value: 'fill_fewest',
+    label: 'Fill fewest rooms',
+    description: 'Fill the largest rooms completely and leave the rest free (fewer rooms and invigilators).'
+  },
+  {
+    value: 'balanced',
+    label: 'Balanced headcount',
+    description: 'The same number of students in every room, as far as room sizes allow.'
+  }
+];
+
 const NewSeatingPage = () => {
   const [examName, setExamName] = useState('');
   const [examDate, setExamDate] = useState('');
@@ -12,12 +42,40 @@ const NewSeatingPage = () => {
   const [rooms, setRooms] = useState([]);
   const [selectedClasses, setSelectedClasses] = useState([]);
   const [selectedRooms, setSelectedRooms] = useState([]);
+  const [mode, setMode] = useState('multi');
+  const [addSeatsPerRoom, setAddSeatsPerRoom] = useState(10);
+  const [ruleProfiles, setRuleProfiles] = useState([]);
+  const [defaultRules, setDefaultRules] = useState(null);
+  const [ruleProfileId, setRuleProfileId] = useState('');
+  const [papers, setPapers] = useState([]);
+  const [selectedPapers, setSelectedPapers] = useState([]);
+  const [exclusionLists, setExclusionLists] = useState([]);
+  const [exclusionReasons, setExclusionReasons] = useState([]);
+  const [selectedExclusionLists, setSelectedExclusionLists] = useState([]);
+  const [exclusionText, setExclusionText] = useState('');
+  const [exclusionReason, setExclusionReason] = useState('detained');
+  const [exclusionListName, setExclusionListName] = useState('');
+  const [seed, setSeed] = useState('');
+  const [optimize, setOptimize] = useState(false);
+  const [allocationStrategy, setAllocationStrategy] = useState('proportional');
+  const [spacingMode, setSpacingMode] = useState('');
+  const [optimizeSeconds, setOptimizeSeconds] = useState(2);
+  const [examEvent, setExamEvent] = useState(null);
+  const [versionNote, setVersionNote] = useState('');
+  const [exams, setExams] = useState([]);
+  const [examId, setExamId] = useState('');
+  const [bookings, setBookings] = useState(null);
+  const [allowDoubleBooking, setAllowDoubleBooking] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [message, setMessage] = useState({ type: '', text: '' });
+  const [errorList, setErrorList] = useState([]);
 
   const { isAdmin } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const examEventId = searchParams.get('examEvent');
+  const examParam = searchParams.get('exam');
 
   useEffect(() => {
     fetchData();
@@ -25,22 +83,100 @@ const NewSeatingPage = () => {
 
   const fetchData = async () => {
     try {
-      const [classesRes, roomsRes] = await Promise.all([
+      const [classesRes, roomsRes, profilesRes, papersRes, exclusionsRes, examsRes] = await Promise.all([
         getClasses(),
-        getRooms()
+        getRooms(),
+        getRuleProfiles(),
+        getPapers(),
+        getExclusionLists(),
+        getExams()
       ]);
       
       setClasses(classesRes.data);
       setRooms(roomsRes.data);
+      setRuleProfiles(profilesRes.data);
+      setDefaultRules(profilesRes.defaults);
+      setPapers(papersRes.data);
+      setExclusionLists(exclusionsRes.data);
+      setExclusionReasons(exclusionsRes.reasons);
+      setExams(examsRes.data);
       
       // Select all rooms by default
       setSelectedRooms(roomsRes.data.map(r => r._id));
+      
+      // Regenerating: start from the exam event's latest version
+      if (examEventId) {
+        await loadExamEvent(examEventId);
+      } else if (examParam) {
+        // Coming from the timetable
+        const exam = examsRes.data.find(e => e._id === examParam);
+        if (exam) await selectExam(exam);
+      }
     } catch (err) {
       console.error('Error fetching data:', err);
       setError(err.response?.data?.message || 'Error loading data');
     }
   };
 
+  const loadExamEvent = async (eventId) => {
+    const eventRes = await getExamEvent(eventId);
+    const event = eventRes.data;
+    setExamEvent(event);
+    setExamName(event.name);
+    setExamDate(event.examDate.slice(0, 10));
+
+    if (!event.versions.length) return;
+
+    const { data: latest } = await getSeatingById(event.versions[0]._id);
+    setSelectedClasses(latest.includedClasses.map(c => c.classId?._id || c.classId).filter(Boolean));
+    setSelectedRooms(latest.usedRooms.map(r => r._id || r));
+    setSelectedPapers(latest.papers.map(p => p.paperId));
+    setSelectedExclusionLists(latest.exclusionLists.map(l => l.listId));
+    setMode(latest.mode);
+    setAllocationStrategy(latest.allocationStrategy || 'proportional');
+    setSpacingMode(latest.spacingMode || '');
+    setRuleProfileId(latest.ruleProfile || '');
+
+    if (latest.exam) {
+      setExamId(latest.exam);
+      await loadBookings(latest.exam);
+    }
+  };
+
+  // Prefill from a timetable exam and leave out rooms an overlapping exam uses
+  const selectExam = async (exam) => {
+    setExamId(exam ? exam._id : '');
+    setAllowDoubleBooking(false);
+
+    if (!exam) {
+      setBookings(null);
+      return;
+    }
+
+    setExamName(exam.name);
+    setExamDate(exam.date.slice(0, 10));
+    if (exam.classIds.length) setSelectedClasses(exam.classIds.map(c => c._id));
+    if (exam.paperIds.length) setSelectedPapers(exam.paperIds.map(p => p._id));
+
+    const booked = await loadBookings(exam._id);
+    setSelectedRooms(prev => prev.filter(id => !booked.some(b => b.roomId === id)));
+  };
+
+  const loadBookings = async (id) => {
+    const response = await getExamBookings(id);
+    setBookings(response.data);
+    return response.data.rooms;
+  };
+
+  const handleExamChange = async (e) => {
+    try {
+      await selectExam(exams.find(exam => exam._id === e.target.value));
+    } catch (err) {
+      console.error('Error loading exam bookings:', err);
+      setError(err.response?.data?.message || 'Error loading exam bookings');
+    }
+  };
+
   const handleClassToggle = (classId) => {
     setSelectedClasses(prev =>
       prev.includes(classId)
@@ -57,6 +193,22 @@ const NewSeatingPage = () => {
     );
   };
 
+  const handlePaperToggle = (paperId) => {
+    setSelectedPapers(prev =>
+      prev.includes(paperId)
+        ? prev.filter(id => id !== paperId)
+        : [...prev, paperId]
+    );
+  };
+
+  const handleExclusionListToggle = (listId) => {
+    setSelectedExclusionLists(prev =>
+      prev.includes(listId)
+        ? prev.filter(id => id !== listId)
+        : [...prev, listId]
+    );
+  };
+
   const handleSelectAllClasses = () => {
     if (selectedClasses.length === classes.length) {
       setSelectedClasses([]);
@@ -93,14 +245,42 @@ const NewSeatingPage = () => {
 
     setLoading(true);
     setMessage({ type: '', text: '' });
+    setErrorList([]);
 
     try {
-      const response = await generateSeating(
+      // One register number per line, optionally followed by ", note"
+      let exclusions = parseExclusions(exclusionText, exclusionReason);
+      let exclusionListIds = selectedExclusionLists;
+
+      // Save the pasted students as a reusable list when a name is given
+      if (exclusions.length && exclusionListName.trim()) {
+        const saved = await createExclusionList({ name: exclusionListName.trim(), entries: exclusions });
+        exclusionListIds = [...exclusionListIds, saved.data._id];
+        exclusions = [];
+      }
+
+      const payload = {
         examName,
         examDate,
-        selectedClasses,
-        selectedRooms
-      );
+        classIds: selectedClasses,
+        roomIds: selectedRooms,
+        mode,
+        expandOptions: mode === 'expand_rooms' ? { addSeatsPerRoom } : undefined,
+        ruleProfileId: ruleProfileId || undefined,
+        paperIds: selectedPapers,
+        exclusions,
+        exclusionListIds,
+        seed: seed.trim() || undefined,
+        optimize: optimize ? { timeBudgetMs: optimizeSeconds * 1000 } : undefined,
+        allocationStrategy,
+        spacingMode: spacingMode || undefined,
+        examEventId: examEvent ? examEvent._id : undefined,
+        versionNote: versionNote.trim() || undefined,
+        examId: examId || undefined,
+        allowDoubleBooking: allowDoubleBooking || undefined
+      };
+      
+      const response = await generateSeating(payload);
       
       const { data } = response;
       
@@ -116,6 +296,7 @@ const NewSeatingPage = () => {
         type: 'error',
         text: err.response?.data?.message || 'Error generating seating'
       });
+      setErrorList(err.response?.data?.errors || []);
     } finally {
       setLoading(false);
     }
@@ -144,6 +325,18 @@ const NewSeatingPage = () => {
     .filter(r => selectedRooms.includes(r._id))
     .reduce((sum, r) => sum + r.capacity, 0);
 
+  const selectedProfile = ruleProfiles.find(p => p._id === ruleProfileId);
+  const activeRules = selectedProfile ? selectedProfile.rules : defaultRules;
+
+  const sessionsEstimate = totalSeats > 0 ? Math.ceil(selectedStudentCount / totalSeats) : 0;
+
+  // Room id -> plan of an overlapping exam using it
+  const bookedRooms = (bookings ? bookings.rooms : []).reduce((acc, booking) => {
+    acc[booking.roomId] = booking;
+    return acc;
+  }, {});
+  const selectedBookedCount = selectedRooms.filter(id => bookedRooms[id]).length;
+
   return (
     <div className="new-seating-page">
       <Navbar />
@@ -163,14 +356,60 @@ const NewSeatingPage = () => {
         {message.text && (
           <div className={`alert alert-${message.type}`}>
             {message.text}
+            {errorList.length > 0 && (
+              <ul className="error-list">
+                {errorList.map((item, idx) => (
+                  <li key={idx}>{item}</li>
+                ))}
+              </ul>
+            )}
           </div>
         )}
 
         {error && <div className="alert alert-error">{error}</div>}
 
+        {examEvent && (
+          <div className="alert alert-info">
+            Regenerating <strong>{examEvent.name}</strong>: the new plan is saved as version{' '}
+            {examEvent.latestVersion + 1} (draft). The settings of the latest version are preselected.
+          </div>
+        )}
+
         <form onSubmit={handleSubmit}>
           <div className="card">
             <h2>Exam Details</h2>
+            {exams.length > 0 && (
+              <div className="form-group">
+                <label htmlFor="examId">Timetable Exam</label>
+                <select id="examId" value={examId} onChange={handleExamChange}>
+                  <option value="">None (ad-hoc seating)</option>
+                  {exams.map(exam => (
+                    <option key={exam._id} value={exam._id}>
+                      {exam.date.slice(0, 10)} {exam.slot} ({exam.startTime}-{exam.endTime}) - {exam.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {bookings && bookings.classClashes.length > 0 && (
+              <div className="alert alert-warning">
+                Class clash in the timetable:
+                <ul className="error-list">
+                  {bookings.classClashes.map((clash, idx) => (
+                    <li key={idx}>{clash}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {bookings && bookings.bookedStudents > 0 && (
+              <p className="card-description">
+                {bookings.bookedStudents} students are already seated for an overlapping exam.
+                Any of them in this plan are reported as double-booked.
+              </p>
+            )}
+
             <div className="form-row">
               <div className="form-group">
                 <label htmlFor="examName">Exam Name *</label>
@@ -195,6 +434,19 @@ const NewSeatingPage = () => {
                 />
               </div>
             </div>
+
+            {examEvent && (
+              <div className="form-group">
+                <label htmlFor="versionNote">Reason for New Version</label>
+                <input
+                  type="text"
+                  id="versionNote"
+                  value={versionNote}
+                  onChange={(e) => setVersionNote(e.target.value)}
+                  placeholder="e.g., Roster fix: 3 late registrations added"
+                />
+              </div>
+            )}
           </div>
 
           <div className="card">
@@ -261,11 +513,262 @@ const NewSeatingPage = () => {
                     />
                     <span className="checkbox-text">
                       {room.name} ({room.capacity} seats)
+                      {bookedRooms[room._id] && (
+                        <span className="room-booked"> - in use: {bookedRooms[room._id].examName}</span>
+                      )}
                     </span>
                   </label>
                 ))}
               </div>
             )}
+
+            {selectedBookedCount > 0 && (
+              <label className="checkbox-label double-booking">
+                <input
+                  type="checkbox"
+                  checked={allowDoubleBooking}
+                  onChange={(e) => setAllowDoubleBooking(e.target.checked)}
+                />
+                <span className="checkbox-text">
+                  Generate anyway: {selectedBookedCount} selected room(s) are used by an overlapping exam
+                </span>
+              </label>
+            )}
+          </div>
+
+          {papers.length > 0 && (
+            <div className="card">
+              <h2>Papers</h2>
+              <p className="card-description">
+                Papers written in this exam. Students writing the same paper are not seated next to each other.
+                Electives enrolled per student for this exam are applied automatically.
+              </p>
+              <div className="checkbox-grid">
+                {papers.map(paper => (
+                  <label key={paper._id} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={selectedPapers.includes(paper._id)}
+                      onChange={() => handlePaperToggle(paper._id)}
+                    />
+                    <span className="checkbox-text">
+                      {paper.code} - {paper.name}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="card">
+            <h2>Excluded Students</h2>
+            <p className="card-description">
+              Students barred from this exam (detained, debarred, fee dues) are left off the hall plan.
+              The seating records who was excluded and why.
+            </p>
+            {exclusionLists.length > 0 && (
+              <div className="checkbox-grid">
+                {exclusionLists.map(list => (
+                  <label key={list._id} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={selectedExclusionLists.includes(list._id)}
+                      onChange={() => handleExclusionListToggle(list._id)}
+                    />
+                    <span className="checkbox-text">
+                      {list.name} ({list.entries.length})
+                    </span>
+                  </label>
+                ))}
+              </div>
+            )}
+            <div className="form-row" style={{ marginTop: '15px' }}>
+              <div className="form-group">
+                <label htmlFor="exclusionText">Register numbers (one per line, optional ", note")</label>
+                <textarea
+                  id="exclusionText"
+                  rows="4"
+                  value={exclusionText}
+                  onChange={(e) => setExclusionText(e.target.value)}
+                  placeholder={'2CSEA014, attendance 61%\n1ITA032'}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="exclusionReason">Reason</label>
+                <select
+                  id="exclusionReason"
+                  value={exclusionReason}
+                  onChange={(e) => setExclusionReason(e.target.value)}
+                >
+                  {exclusionReasons.map(reason => (
+                    <option key={reason} value={reason}>{reason.replace('_', ' ')}</option>
+                  ))}
+                </select>
+                <label htmlFor="exclusionListName" style={{ marginTop: '10px' }}>Save as list (optional)</label>
+                <input
+                  type="text"
+                  id="exclusionListName"
+                  value={exclusionListName}
+                  onChange={(e) => setExclusionListName(e.target.value)}
+                  placeholder="e.g., Detained - Nov 2025"
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="card">
+            <h2>Room Allocation</h2>
+            <p className="card-description">
+              How students are shared out between the selected rooms
+            </p>
+            <div className="mode-selector">
+              {ALLOCATION_STRATEGIES.map(strategy => (
+                <label key={strategy.value} className="mode-option">
+                  <input
+                    type="radio"
+                    name="allocationStrategy"
+                    value={strategy.value}
+                    checked={allocationStrategy === strategy.value}
+                    onChange={(e) => setAllocationStrategy(e.target.value)}
+                  />
+                  <div className="mode-content">
+                    <strong>{strategy.label}</strong>
+                    <p>{strategy.description}</p>
+                  </div>
+                </label>
+              ))}
+            </div>
+            <div className="form-group" style={{ marginTop: '15px' }}>
+              <label htmlFor="spacingMode">Seat Spacing</label>
+              <select
+                id="spacingMode"
+                value={spacingMode}
+                onChange={(e) => setSpacingMode(e.target.value)}
+              >
+                <option value="">Each room's default</option>
+                <option value="even">Even gaps</option>
+                <option value="one_per_bench">One student per bench</option>
+                <option value="checkerboard">Checkerboard</option>
+                <option value="skip_column">Skip every other column</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="card">
+            <h2>Overflow Handling</h2>
+            <p className="card-description">
+              What to do when selected students exceed the seats in selected rooms
+            </p>
+            <div className="mode-selector">
+              <label className="mode-option">
+                <input
+                  type="radio"
+                  name="mode"
+                  value="multi"
+                  checked={mode === 'multi'}
+                  onChange={(e) => setMode(e.target.value)}
+                />
+                <div className="mode-content">
+                  <strong>Multi-session (recommended)</strong>
+                  <p>Split students into sessions (shifts) that reuse the same rooms. Every student gets a seat.</p>
+                </div>
+              </label>
+              <label className="mode-option">
+                <input
+                  type="radio"
+                  name="mode"
+                  value="single"
+                  checked={mode === 'single'}
+                  onChange={(e) => setMode(e.target.value)}
+                />
+                <div className="mode-content">
+                  <strong>Single session</strong>
+                  <p>Fill available seats only. Overflow students are listed as unassigned.</p>
+                </div>
+              </label>
+              <label className="mode-option">
+                <input
+                  type="radio"
+                  name="mode"
+                  value="expand_rooms"
+                  checked={mode === 'expand_rooms'}
+                  onChange={(e) => setMode(e.target.value)}
+                />
+                <div className="mode-content">
+                  <strong>Expand rooms</strong>
+                  <p>Add extra seats to each room (max 50% of capacity). Falls back to multi-session if still insufficient.</p>
+                </div>
+              </label>
+            </div>
+
+            {mode === 'expand_rooms' && (
+              <div className="form-group" style={{ marginTop: '15px' }}>
+                <label htmlFor="addSeatsPerRoom">Seats to add per room</label>
+                <input
+                  type="number"
+                  id="addSeatsPerRoom"
+                  min="1"
+                  value={addSeatsPerRoom}
+                  onChange={(e) => setAddSeatsPerRoom(parseInt(e.target.value) || 1)}
+                />
+              </div>
+            )}
+          </div>
+
+          <div className="card">
+            <h2>Seating Rules</h2>
+            <p className="card-description">
+              Choose how students are mixed in each room
+            </p>
+            <div className="form-group">
+              <label htmlFor="ruleProfile">Rule Profile</label>
+              <select
+                id="ruleProfile"
+                value={ruleProfileId}
+                onChange={(e) => setRuleProfileId(e.target.value)}
+              >
+                <option value="">Default rules</option>
+                {ruleProfiles.map(profile => (
+                  <option key={profile._id} value={profile._id}>
+                    {profile.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {activeRules && <RulesSummary rules={activeRules} />}
+            <label className="checkbox-label" style={{ marginTop: '15px' }}>
+              <input
+                type="checkbox"
+                checked={optimize}
+                onChange={(e) => setOptimize(e.target.checked)}
+              />
+              <span className="checkbox-text">Optimize seating (swap students to remove same-branch neighbours)</span>
+            </label>
+            {optimize && (
+              <div className="form-group" style={{ marginTop: '10px' }}>
+                <label htmlFor="optimizeSeconds">Time budget (seconds)</label>
+                <input
+                  type="number"
+                  id="optimizeSeconds"
+                  min="1"
+                  max="30"
+                  value={optimizeSeconds}
+                  onChange={(e) => setOptimizeSeconds(Math.min(Math.max(parseInt(e.target.value) || 1, 1), 30))}
+                />
+              </div>
+            )}
+            <div className="form-group" style={{ marginTop: '15px' }}>
+              <label htmlFor="seed">Random Seed (optional)</label>
+              <input
+                type="number"
+                id="seed"
+                min="0"
+                value={seed}
+                onChange={(e) => setSeed(e.target.value)}
+                placeholder="Leave empty for a new random plan"
+              />
+              <p className="seed-hint">Enter the seed shown on an earlier seating to reproduce it exactly (same classes, rooms and rules)</p>
+            </div>
           </div>
 
           <div className="card summary-card">
@@ -289,12 +792,19 @@ const NewSeatingPage = () => {
               </div>
             </div>
             
-            {selectedStudentCount > totalSeats && (
+            {selectedStudentCount > totalSeats && mode === 'single' && (
               <div className="alert alert-warning">
                 ⚠️ Warning: Students ({selectedStudentCount}) exceed available seats ({totalSeats}). 
                 Some students may not be assigned.
               </div>
             )}
+
+            {selectedStudentCount > totalSeats && mode !== 'single' && (
+              <div className="alert alert-info">
+                ℹ️ Students ({selectedStudentCount}) exceed available seats ({totalSeats}). 
+                About {sessionsEstimate} sessions will be created{mode === 'expand_rooms' ? ' unless expanded rooms are enough' : ''}.
+              </div>
+            )}
           </div>
 
           <div className="form-actions">
@@ -319,4 +829,41 @@ const NewSeatingPage = () => {
   );
 };
 
+// Helper: textarea lines -> [{ registerNumber, reason, note }]
+const parseExclusions = (text, reason) => {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [registerNumber, ...noteParts] = line.split(',');
+      return { registerNumber: registerNumber.trim(), reason, note: noteParts.join(',').trim() };
+    });
+};
+
+// Helper component describing a rule set in plain words
+const RulesSummary = ({ rules }) => {
+  const { lockAttribute, alternate, neighbourConstraints } = rules;
+
+  return (
+    <ul className="rules-summary">
+      <li>
+        Room lock: {lockAttribute === 'none' ? 'none (any mix per room)' : `one ${lockAttribute} per room`}
+      </li>
+      <li>
+        Alternate: {alternate.attribute === 'none'
+          ? 'none'
+          : alternate.focusValues && alternate.focusValues.length > 0
+            ? `${alternate.focusValues.join('/')} with other ${alternate.attribute} values`
+            : `rotate ${alternate.attribute}`}
+      </li>
+      <li>
+        Avoid same: {neighbourConstraints.length === 0
+          ? 'no neighbour checks'
+          : neighbourConstraints.map(c => `${c.attribute} (${c.directions.join(', ')})`).join('; ')}
+      </li>
+    </ul>
+  );
+};
+
 export default NewSeatingPage;
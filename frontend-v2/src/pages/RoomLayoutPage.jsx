@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import Navbar from '../components/Navbar';
+import { getRoomById, updateRoomLayout } from '../api';
+import './RoomsPage.css';
+
+const RoomLayoutPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [room, setRoom] = useState(null);
+  const [rows, setRows] = useState(6);
+  const [columns, setColumns] = useState(10);
+  const [seatsPerBench, setSeatsPerBench] = useState(1);
+  const [blocked, setBlocked] = useState(new Set());
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    fetchRoom();
+  }, [id]);
+
+  const fetchRoom = async () => {
+    try {
+      setLoading(true);
+      const response = await getRoomById(id);
+      const data = response.data;
+      setRoom(data);
+
+      // Start from saved geometry, or the grid the generator would infer
+      const { rows: initialRows, columns: initialColumns } = inferDimensions(data);
+      setRows(initialRows);
+      setColumns(initialColumns);
+      setSeatsPerBench(data.seatsPerBench || 1);
+      setBlocked(new Set((data.blockedSeats || []).map(seat => `${seat.row}-${seat.col}`)));
+    } catch (err) {
+      console.error('Error fetching room:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error fetching room' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleSeat = (row, col) => {
+    const key = `${row}-${col}`;
+    setBlocked(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  // Blocked seats outside the current grid are dropped
+  const blockedInGrid = [...blocked]
+    .map(key => key.split('-').map(Number))
+    .filter(([row, col]) => row < rows && col < columns)
+    .map(([row, col]) => ({ row, col }));
+
+  const usableSeats = rows * columns - blockedInGrid.length;
+
+  const handleSave = async () => {
+    if (columns % seatsPerBench !== 0) {
+      setMessage({ type: 'error', text: 'Columns must be a multiple of seats per bench' });
+      return;
+    }
+
+    setSaving(true);
+    setMessage({ type: '', text: '' });
+
+    try {
+      const response = await updateRoomLayout(id, {
+        rows,
+        columns,
+        seatsPerBench,
+        blockedSeats: blockedInGrid
+      });
+      setRoom(response.data);
+      setMessage({ type: 'success', text: response.message });
+    } catch (err) {
+      console.error('Error saving room layout:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error saving room layout' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div>
+        <Navbar />
+        <div className="container">
+          <div className="loading">
+            <div className="spinner"></div>
+            <p>Loading room...</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="rooms-page">
+      <Navbar />
+
+      <div className="container">
+        <div className="page-header">
+          <h1>Room Layout{room ? `: ${room.name}` : ''}</h1>
+          <p>Set the seat grid and click seats to mark them unusable (pillars, broken benches)</p>
+        </div>
+
+        {message.text && (
+          <div className={`alert alert-${message.type}`}>
+            {message.text}
+          </div>
+        )}
+
+        {room && (
+          <div className="card">
+            <div className="layout-controls">
+              <div className="form-group">
+                <label htmlFor="rows">Rows</label>
+                <input
+                  type="number"
+                  id="rows"
+                  min="1"
+                  value={rows}
+                  onChange={(e) => setRows(Math.max(parseInt(e.target.value) || 1, 1))}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="columns">Columns (seats per row)</label>
+                <input
+                  type="number"
+                  id="columns"
+                  min="1"
+                  value={columns}
+                  onChange={(e) => setColumns(Math.max(parseInt(e.target.value) || 1, 1))}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="seatsPerBench">Seats per bench</label>
+                <input
+                  type="number"
+                  id="seatsPerBench"
+                  min="1"
+                  value={seatsPerBench}
+                  onChange={(e) => setSeatsPerBench(Math.max(parseInt(e.target.value) || 1, 1))}
+                />
+              </div>
+            </div>
+
+            <p className="layout-hint">Green = usable seat, grey = blocked. Benches are separated by a wider gap.</p>
+
+            <div className="layout-grid-wrapper">
+              <div className="layout-board">FRONT / BOARD</div>
+              {Array.from({ length: rows }, (_, row) => (
+                <div key={row} className="layout-row">
+                  {Array.from({ length: columns }, (_, col) => {
+                    const isBlocked = blocked.has(`${row}-${col}`);
+                    const isBenchEnd = (col + 1) % seatsPerBench === 0 && col < columns - 1;
+                    return (
+                      <button
+                        key={col}
+                        type="button"
+                        className={`layout-seat${isBlocked ? ' blocked' : ''}${isBenchEnd ? ' bench-end' : ''}`}
+                        onClick={() => toggleSeat(row, col)}
+                        title={`R${row + 1} C${col + 1}`}
+                      >
+                        {isBlocked ? '✕' : `${row + 1}-${col + 1}`}
+                      </button>
+                    );
+                  })}
+                </div>
+              ))}
+            </div>
+
+            <p className="layout-summary">
+              Usable seats: {usableSeats} (of {rows * columns})
+            </p>
+
+            <div className="form-actions">
+              <button type="button" className="btn btn-secondary" onClick={() => navigate('/rooms')}>
+                Back to Rooms
+              </button>
+              <button type="button" className="btn btn-primary" onClick={handleSave} disabled={saving}>
+                {saving ? 'Saving...' : 'Save Layout'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Helper: grid the generator uses for rooms without explicit geometry
+const inferDimensions = (room) => {
+  if (room.rows && room.columns) {
+    return { rows: room.rows, columns: room.columns };
+  }
+  if (room.type === '60' || room.capacity === 60) {
+    return { rows: 6, columns: 10 };
+  }
+  if (room.type === '45' || room.capacity === 45) {
+    return { rows: 5, columns: 9 };
+  }
+  return { rows: Math.ceil(room.capacity / 10), columns: 10 };
+};
+
+export default RoomLayoutPage;
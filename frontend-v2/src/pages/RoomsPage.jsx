@@ -0,0 +1,338 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Navbar from '../components/Navbar';
+import { getRooms, createRoom, updateRoom, deleteRoom } from '../api';
+import { useAuth } from '../context/AuthContext';
+import './RoomsPage.css';
+
+const emptyForm = {
+  name: '',
+  building: '',
+  floor: '',
+  capacity: '',
+  accessible: false,
+  reservedForAccommodations: false,
+  doorPosition: 'front-left',
+  spacingMode: 'even'
+};
+
+const SPACING_OPTIONS = [
+  { value: 'even', label: 'Even gaps' },
+  { value: 'one_per_bench', label: 'One per bench' },
+  { value: 'checkerboard', label: 'Checkerboard' },
+  { value: 'skip_column', label: 'Skip a column' }
+];
+
+const RoomsPage = () => {
+  const [rooms, setRooms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showRetired, setShowRetired] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  const { isAdmin } = useAuth();
+
+  useEffect(() => {
+    fetchRooms();
+  }, [showRetired]);
+
+  const fetchRooms = async () => {
+    try {
+      setLoading(true);
+      const response = await getRooms(showRetired);
+      setRooms(response.data);
+    } catch (err) {
+      console.error('Error fetching rooms:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error fetching rooms' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, type, value, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleEdit = (room) => {
+    setEditingId(room._id);
+    setForm({
+      name: room.name,
+      building: room.building || '',
+      floor: room.floor ?? '',
+      capacity: room.capacity,
+      accessible: room.accessible || false,
+      reservedForAccommodations: room.reservedForAccommodations || false,
+      doorPosition: room.doorPosition || 'front-left',
+      spacingMode: room.spacingMode || 'even'
+    });
+  };
+
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage({ type: '', text: '' });
+
+    const payload = {
+      name: form.name,
+      building: form.building,
+      floor: form.floor === '' ? undefined : parseInt(form.floor),
+      capacity: parseInt(form.capacity),
+      accessible: form.accessible,
+      reservedForAccommodations: form.reservedForAccommodations,
+      doorPosition: form.doorPosition,
+      spacingMode: form.spacingMode
+    };
+
+    try {
+      const response = editingId
+        ? await updateRoom(editingId, payload)
+        : await createRoom(payload);
+      setMessage({ type: 'success', text: response.message });
+      handleCancelEdit();
+      fetchRooms();
+    } catch (err) {
+      console.error('Error saving room:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error saving room' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (room) => {
+    if (!window.confirm(`Delete room ${room.name}? Rooms used by existing seatings will be retired instead.`)) {
+      return;
+    }
+
+    try {
+      const response = await deleteRoom(room._id);
+      setMessage({ type: 'success', text: response.message });
+      fetchRooms();
+    } catch (err) {
+      console.error('Error deleting room:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error deleting room' });
+    }
+  };
+
+  const handleRestore = async (room) => {
+    try {
+      const response = await updateRoom(room._id, { isActive: true });
+      setMessage({ type: 'success', text: `Room ${response.data.name} restored` });
+      fetchRooms();
+    } catch (err) {
+      console.error('Error restoring room:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error restoring room' });
+    }
+  };
+
+  const editingRoom = rooms.find(r => r._id === editingId);
+  const capacityFromLayout = editingRoom && editingRoom.rows && editingRoom.columns;
+
+  return (
+    <div className="rooms-page">
+      <Navbar />
+
+      <div className="container">
+        <div className="page-header">
+          <h1>Room Management</h1>
+          <p>Exam halls, their seat grids and capacities</p>
+        </div>
+
+        {message.text && (
+          <div className={`alert alert-${message.type}`}>
+            {message.text}
+          </div>
+        )}
+
+        {isAdmin && (
+          <div className="card">
+            <h2>{editingId ? 'Edit Room' : 'Add Room'}</h2>
+            <form onSubmit={handleSubmit}>
+              <div className="layout-controls">
+                <div className="form-group">
+                  <label htmlFor="name">Name *</label>
+                  <input
+                    type="text"
+                    id="name"
+                    name="name"
+                    value={form.name}
+                    onChange={handleChange}
+                    placeholder="e.g., R21 or Main Hall"
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="building">Building</label>
+                  <input
+                    type="text"
+                    id="building"
+                    name="building"
+                    value={form.building}
+                    onChange={handleChange}
+                    placeholder="e.g., Block A"
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="floor">Floor</label>
+                  <input
+                    type="number"
+                    id="floor"
+                    name="floor"
+                    value={form.floor}
+                    onChange={handleChange}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="capacity">Capacity *</label>
+                  <input
+                    type="number"
+                    id="capacity"
+                    name="capacity"
+                    min="1"
+                    value={form.capacity}
+                    onChange={handleChange}
+                    disabled={capacityFromLayout}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="doorPosition">Door</label>
+                  <select id="doorPosition" name="doorPosition" value={form.doorPosition} onChange={handleChange}>
+                    <option value="front-left">Front left</option>
+                    <option value="front-right">Front right</option>
+                    <option value="back-left">Back left</option>
+                    <option value="back-right">Back right</option>
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="spacingMode">Default Spacing</label>
+                  <select id="spacingMode" name="spacingMode" value={form.spacingMode} onChange={handleChange}>
+                    {SPACING_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="room-flags">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    name="accessible"
+                    checked={form.accessible}
+                    onChange={handleChange}
+                  />
+                  <span className="checkbox-text">Step-free / accessible (floor 0 counts automatically)</span>
+                </label>
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    name="reservedForAccommodations"
+                    checked={form.reservedForAccommodations}
+                    onChange={handleChange}
+                  />
+                  <span className="checkbox-text">Reserved for students needing a separate room, scribe or extra time</span>
+                </label>
+              </div>
+              {capacityFromLayout && (
+                <p className="layout-hint">Capacity comes from the drawn layout. Use Draw Layout to change it.</p>
+              )}
+              <div className="form-actions">
+                {editingId && (
+                  <button type="button" className="btn btn-secondary" onClick={handleCancelEdit}>
+                    Cancel
+                  </button>
+                )}
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : editingId ? 'Save Room' : 'Add Room'}
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        <label className="checkbox-label retired-toggle">
+          <input
+            type="checkbox"
+            checked={showRetired}
+            onChange={(e) => setShowRetired(e.target.checked)}
+          />
+          <span className="checkbox-text">Show retired rooms</span>
+        </label>
+
+        {loading ? (
+          <div className="loading">
+            <div className="spinner"></div>
+            <p>Loading rooms...</p>
+          </div>
+        ) : rooms.length === 0 ? (
+          <div className="card">
+            <p className="no-data">No rooms found. Add a room or initialize system data from the dashboard.</p>
+          </div>
+        ) : (
+          <div className="rooms-grid">
+            {rooms.map(room => (
+              <div key={room._id} className={`room-card${room.isActive === false ? ' retired' : ''}`}>
+                <div className="room-card-header">
+                  <h2>{room.name}</h2>
+                  <span className="room-card-capacity">
+                    {room.isActive === false ? 'Retired' : `${room.capacity} seats`}
+                  </span>
+                </div>
+                <div className="room-card-details">
+                  {(room.building || room.floor !== undefined) && (
+                    <p>
+                      {room.building || 'Building -'}
+                      {room.floor !== undefined && room.floor !== null && `, Floor ${room.floor}`}
+                    </p>
+                  )}
+                  <p>
+                    Grid: {room.rows && room.columns
+                      ? `${room.rows} × ${room.columns}`
+                      : `inferred from type ${room.type}`}
+                  </p>
+                  <p>Seats per bench: {room.seatsPerBench || 1}</p>
+                  <p>Blocked seats: {room.blockedSeats?.length || 0}</p>
+                  {room.spacingMode && room.spacingMode !== 'even' && (
+                    <p>Spacing: {SPACING_OPTIONS.find(o => o.value === room.spacingMode)?.label}</p>
+                  )}
+                  {(room.accessible || room.floor === 0) && <p>♿ Accessible</p>}
+                  {room.reservedForAccommodations && <p>Reserved for special arrangements</p>}
+                </div>
+                {isAdmin && (
+                  <div className="room-card-actions">
+                    {room.isActive === false ? (
+                      <button className="btn btn-sm btn-outline" onClick={() => handleRestore(room)}>
+                        Restore
+                      </button>
+                    ) : (
+                      <>
+                        <button className="btn btn-sm btn-outline" onClick={() => handleEdit(room)}>
+                          Edit
+                        </button>
+                        <Link to={`/rooms/${room._id}/layout`} className="btn btn-sm btn-outline">
+                          Draw Layout
+                        </Link>
+                        <button className="btn btn-sm btn-danger" onClick={() => handleDelete(room)}>
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RoomsPage;
@@ -1,9 +1,30 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import Navbar from '../components/Navbar';
-import { getSeatingById } from '../api';
+import {
+  getSeatingById,
+  moveSeat,
+  publishSeating,
+  unpublishSeating,
+  archiveSeating,
+  unlockSeating,
+  lockSeating,
+  assignInvigilators,
+  downloadSeatingReport,
+  downloadSeatingPdf
+} from '../api';
+import { useAuth } from '../context/AuthContext';
 import './SeatingDetailPage.css';
 
+// Admin status actions: API call and confirmation text
+const STATUS_ACTIONS = {
+  publish: { request: publishSeating, confirm: 'Publish this seating? Viewers will see it and it becomes read-only.' },
+  unpublish: { request: unpublishSeating, confirm: 'Move this seating back to draft? Viewers will no longer see it.' },
+  archive: { request: archiveSeating, confirm: 'Archive this seating? It is hidden from viewers and read-only.' },
+  unlock: { request: unlockSeating, confirm: 'Unlock this published seating? Seat changes are visible to viewers immediately.' },
+  lock: { request: lockSeating }
+};
+
 const SeatingDetailPage = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -11,6 +32,17 @@ const SeatingDetailPage = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [selectedRoom, setSelectedRoom] = useState(0);
+  const [selectedSession, setSelectedSession] = useState(1);
+  const [editMode, setEditMode] = useState(false);
+  const [pickedSeat, setPickedSeat] = useState(null);
+  const [editResult, setEditResult] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [statusResult, setStatusResult] = useState(null);
+  const [invigilation, setInvigilation] = useState({ studentsPerInvigilator: 30, maxPerRoom: 3 });
+  const [invigilationResult, setInvigilationResult] = useState(null);
+  const [downloading, setDownloading] = useState('');
+
+  const { isAdmin } = useAuth();
 
   useEffect(() => {
     fetchSeating();
@@ -21,6 +53,12 @@ const SeatingDetailPage = () => {
       setLoading(true);
       const response = await getSeatingById(id);
       setSeating(response.data);
+      if (response.data.invigilation?.studentsPerInvigilator) {
+        setInvigilation({
+          studentsPerInvigilator: response.data.invigilation.studentsPerInvigilator,
+          maxPerRoom: response.data.invigilation.maxPerRoom
+        });
+      }
     } catch (err) {
       console.error('Error fetching seating:', err);
       setError(err.response?.data?.message || 'Error fetching seating');
@@ -33,6 +71,138 @@ const SeatingDetailPage = () => {
     window.print();
   };
 
+  const handleStatusAction = async (action) => {
+    const { request, confirm } = STATUS_ACTIONS[action];
+    if (confirm && !window.confirm(confirm)) return;
+
+    try {
+      setSaving(true);
+      const response = await request(id);
+      setSeating(prev => ({ ...prev, ...response.data }));
+      setStatusResult({ type: 'success', text: response.message });
+      // Locked or archived plans cannot be edited
+      if (action !== 'unlock' && action !== 'unpublish') {
+        setEditMode(false);
+        setPickedSeat(null);
+      }
+    } catch (err) {
+      console.error('Error changing seating status:', err);
+      setStatusResult({ type: 'error', text: err.response?.data?.message || 'Error changing seating status' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAssignInvigilators = async () => {
+    const hasDuties = seating.rooms.some(room => room.invigilators?.length > 0);
+    if (hasDuties && !window.confirm('Replace the current invigilator duties of this seating?')) return;
+
+    try {
+      setSaving(true);
+      const response = await assignInvigilators(id, invigilation);
+      setSeating(response.data);
+      setInvigilationResult({ type: response.warnings.length ? 'warning' : 'success', text: response.message });
+    } catch (err) {
+      console.error('Error assigning invigilators:', err);
+      const errors = err.response?.data?.errors;
+      setInvigilationResult({
+        type: 'error',
+        text: errors ? errors.join('. ') : err.response?.data?.message || 'Error assigning invigilators'
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // key marks the button that is busy; request resolves to the PDF Blob
+  const downloadPdf = async (key, request, filename) => {
+    try {
+      setDownloading(key);
+      const blob = await request();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading PDF:', err);
+      // Error bodies arrive as a Blob because of responseType: 'blob'
+      const body = err.response?.data instanceof Blob
+        ? JSON.parse(await err.response.data.text())
+        : err.response?.data;
+      setStatusResult({ type: 'error', text: body?.message || 'Error downloading PDF' });
+    } finally {
+      setDownloading('');
+    }
+  };
+
+  const handleDownloadReport = (report, params = {}) => {
+    const room = params.roomEntryId && seating.rooms.find(r => r._id === params.roomEntryId);
+    return downloadPdf(
+      report,
+      () => downloadSeatingReport(id, report, params),
+      `${seating.examName}-${report}${room ? `-${room.roomName}` : ''}.pdf`
+    );
+  };
+
+  const handleDownloadPlan = (size, variant = 'grid') => {
+    return downloadPdf(
+      `plan-${variant}-${size}`,
+      () => downloadSeatingPdf(id, { size, variant }),
+      `${seating.examName}-${variant === 'notice' ? 'notice-board' : 'seating'}-${size}.pdf`
+    );
+  };
+
+  const handleToggleEdit = () => {
+    setEditMode(prev => !prev);
+    setPickedSeat(null);
+    setEditResult(null);
+  };
+
+  // Move/swap the picked (or dragged) seat into the target seat
+  const submitMove = async (from, to) => {
+    setPickedSeat(null);
+    if (from.roomEntryId === to.roomEntryId && from.row === to.row && from.col === to.col) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await moveSeat(id, from, to);
+      setSeating(response.data);
+      setEditResult({ type: response.warnings.length ? 'warning' : 'success', text: response.message, warnings: response.warnings });
+    } catch (err) {
+      console.error('Error moving seat:', err);
+      setEditResult({ type: 'error', text: err.response?.data?.message || 'Error moving seat', warnings: [] });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSeatClick = (room, seat, row, col) => {
+    if (!editMode || saving || isBlockedSeat(room, row, col)) return;
+
+    const target = { roomEntryId: room._id, row, col };
+    if (pickedSeat) {
+      submitMove(pickedSeat, target);
+    } else if (seat) {
+      setPickedSeat(target);
+    }
+  };
+
+  const handleSeatDragStart = (e, room, row, col) => {
+    e.dataTransfer.setData('text/plain', JSON.stringify({ roomEntryId: room._id, row, col }));
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleSeatDrop = (e, room, row, col) => {
+    e.preventDefault();
+    if (isBlockedSeat(room, row, col)) return;
+    const from = JSON.parse(e.dataTransfer.getData('text/plain'));
+    submitMove(from, { roomEntryId: room._id, row, col });
+  };
+
   if (loading) {
     return (
       <div>
@@ -61,7 +231,32 @@ const SeatingDetailPage = () => {
     );
   }
 
-  const currentRoom = seating.rooms ? seating.rooms[selectedRoom] : null;
+  // Legacy seatings have no sessions[] - treat them as a single session
+  const sessions = seating.sessions && seating.sessions.length > 0
+    ? seating.sessions
+    : [{ sessionNumber: 1, studentCount: seating.totalStudents }];
+  const isMultiSession = sessions.length > 1;
+  const canEdit = seating.status === 'draft' || (seating.status === 'published' && seating.unlocked);
+  const sessionRooms = (seating.rooms || []).filter(
+    room => (room.sessionNumber || 1) === selectedSession
+  );
+  const currentRoom = sessionRooms[selectedRoom] || null;
+
+  // Seats involved in unavoidable neighbour conflicts in the current room
+  const conflictSeats = new Set();
+  (seating.neighbourConflicts || [])
+    .filter(c => currentRoom
+      && String(c.roomId) === String(currentRoom.roomId)
+      && (c.sessionNumber || 1) === selectedSession)
+    .forEach(c => {
+      conflictSeats.add(`${c.seat.row}-${c.seat.col}`);
+      conflictSeats.add(`${c.neighbour.row}-${c.neighbour.col}`);
+    });
+
+  const handleSessionChange = (sessionNumber) => {
+    setSelectedSession(sessionNumber);
+    setSelectedRoom(0);
+  };
 
   return (
     <div className="seating-detail-page">
@@ -70,20 +265,123 @@ const SeatingDetailPage = () => {
       <div className="container">
         <div className="page-header no-print">
           <div>
-            <h1>{seating.examName}</h1>
+            <h1>
+              {seating.examName}{' '}
+              <span className={`status-badge status-${seating.status}`}>{seating.status}</span>
+              {seating.status === 'published' && seating.unlocked && (
+                <span className="status-badge status-unlocked">unlocked</span>
+              )}
+            </h1>
             <p className="exam-date">
               Date: {new Date(seating.examDate).toLocaleDateString()}
+              {seating.slot && ` (${seating.slot} ${seating.startTime}-${seating.endTime})`}
             </p>
+            {isAdmin && seating.status === 'published' && seating.unlocked && (
+              <div className="alert alert-warning" style={{ marginTop: '10px' }}>
+                This published seating is unlocked: seat changes are visible to viewers immediately. Lock it when you are done.
+              </div>
+            )}
             {seating.unassignedCount > 0 && (
               <div className="alert alert-warning" style={{ marginTop: '10px' }}>
                 Warning: {seating.unassignedCount} students could not be assigned due to insufficient capacity
               </div>
             )}
+            {seating.conflictCount > 0 && (
+              <div className="alert alert-warning" style={{ marginTop: '10px' }}>
+                {seating.conflictCount} unavoidable neighbour conflicts (same branch/subject seated adjacent) - highlighted in the grid
+              </div>
+            )}
+            {seating.bookingConflicts?.length > 0 && (
+              <div className="alert alert-warning" style={{ marginTop: '10px' }}>
+                Double-booked with an overlapping exam:{' '}
+                {seating.bookingConflicts
+                  .map(c => c.type === 'room'
+                    ? `room ${c.roomName} (${c.otherExam})`
+                    : `${c.registerNumber} ${c.name} (${c.otherExam})`)
+                  .join('; ')}
+              </div>
+            )}
+            {seating.spacingWarnings?.length > 0 && (
+              <div className="alert alert-warning" style={{ marginTop: '10px' }}>
+                {seating.spacingWarnings.join('. ')}
+              </div>
+            )}
+            {seating.optimization?.enabled && (
+              <div className="alert alert-info" style={{ marginTop: '10px' }}>
+                Optimizer reduced neighbour conflicts from {seating.optimization.greedyConflicts} to{' '}
+                {seating.optimization.optimizedConflicts} ({seating.optimization.improvementPercent}% fewer) in{' '}
+                {seating.optimization.iterations.toLocaleString()} swaps
+                {seating.optimization.timedOut && ' - stopped at the time budget'}
+              </div>
+            )}
+            {seating.quality?.lockViolations.length > 0 && (
+              <div className="alert alert-warning" style={{ marginTop: '10px' }}>
+                Room lock ({seating.quality.lockAttribute}) broken in:{' '}
+                {seating.quality.lockViolations
+                  .map(v => `${v.roomName}${isMultiSession ? ` (session ${v.sessionNumber})` : ''}: ${v.values.join(', ')}`)
+                  .join('; ')}
+              </div>
+            )}
+            {isMultiSession && (
+              <div className="alert alert-info" style={{ marginTop: '10px' }}>
+                <strong>{sessions.length} sessions created.</strong> Total: {seating.totalStudents} students, {seating.totalSeats} seats per session
+              </div>
+            )}
+            {seating.expandApplied && (
+              <div className="alert alert-info" style={{ marginTop: '10px' }}>
+                Room capacities expanded by {seating.expandOptions?.addSeatsPerRoom} seats. Total seats: {seating.totalSeats}
+              </div>
+            )}
           </div>
           <div className="header-actions">
             <button className="btn btn-secondary" onClick={() => navigate('/seating')}>
               Back to List
             </button>
+            {isAdmin && seating.examEvent && (
+              <button
+                className="btn btn-outline"
+                onClick={() => navigate(`/seating/new?examEvent=${seating.examEvent}`)}
+              >
+                🔄 Regenerate
+              </button>
+            )}
+            {isAdmin && seating.status === 'draft' && (
+              <button className="btn btn-success" onClick={() => handleStatusAction('publish')} disabled={saving}>
+                Publish
+              </button>
+            )}
+            {isAdmin && seating.status === 'published' && (
+              <button
+                className="btn btn-outline"
+                onClick={() => handleStatusAction(seating.unlocked ? 'lock' : 'unlock')}
+                disabled={saving}
+              >
+                {seating.unlocked ? '🔒 Lock' : '🔓 Unlock'}
+              </button>
+            )}
+            {isAdmin && seating.status !== 'draft' && (
+              <button className="btn btn-outline" onClick={() => handleStatusAction('unpublish')} disabled={saving}>
+                {seating.status === 'archived' ? 'Restore to Draft' : 'Unpublish'}
+              </button>
+            )}
+            {isAdmin && seating.status !== 'archived' && (
+              <button className="btn btn-outline" onClick={() => handleStatusAction('archive')} disabled={saving}>
+                Archive
+              </button>
+            )}
+            {isAdmin && (
+              <button
+                className="btn btn-outline"
+                onClick={handleToggleEdit}
+                disabled={!canEdit}
+                title={canEdit ? undefined : 'Published seatings are read-only until unlocked; archived seatings are read-only'}
+              >
+                {editMode ? 'Done Editing' : '✏️ Edit Seats'}
+              </button>
+            )}
+            <button className="btn btn-outline" onClick={() => handleDownloadPlan('A4')} disabled={Boolean(downloading)}>
+              {downloading === 'plan-grid-A4' ? 'Preparing...' : '📄 PDF'}
+            </button>
             <button className="btn btn-primary" onClick={handlePrint}>
               🖨️ Print
             </button>
@@ -101,16 +399,77 @@ const SeatingDetailPage = () => {
               <span className="info-label">Exam Date:</span>
               <span className="info-value">{new Date(seating.examDate).toLocaleDateString()}</span>
             </div>
+            {seating.slot && (
+              <div className="info-item">
+                <span className="info-label">Slot:</span>
+                <span className="info-value">
+                  {seating.slot} {seating.startTime}-{seating.endTime} <Link to="/timetable">Timetable</Link>
+                </span>
+              </div>
+            )}
+            {seating.examEvent && (
+              <div className="info-item">
+                <span className="info-label">Version:</span>
+                <span className="info-value">
+                  {seating.version} ({seating.status}
+                  {seating.rolledBackFrom ? `, restored from version ${seating.rolledBackFrom}` : ''}){' '}
+                  <Link to={`/exam-events/${seating.examEvent}`}>History</Link>
+                </span>
+              </div>
+            )}
             <div className="info-item">
               <span className="info-label">Total Rooms:</span>
-              <span className="info-value">{seating.rooms?.length || 0}</span>
+              <span className="info-value">{sessionRooms.length}</span>
+            </div>
+            <div className="info-item">
+              <span className="info-label">Sessions:</span>
+              <span className="info-value">{sessions.length}</span>
             </div>
+            {seating.rules && (
+              <div className="info-item">
+                <span className="info-label">Room Lock:</span>
+                <span className="info-value">{seating.rules.lockAttribute}</span>
+              </div>
+            )}
+            {seating.allocationStrategy && (
+              <div className="info-item">
+                <span className="info-label">Room Allocation:</span>
+                <span className="info-value">{ALLOCATION_LABELS[seating.allocationStrategy] || seating.allocationStrategy}</span>
+              </div>
+            )}
+            {seating.quality && (
+              <div className="info-item">
+                <span className="info-label">Quality Score:</span>
+                <span className="info-value">
+                  {seating.quality.score}/100 ({seating.quality.sameBranchAdjacencies.total} same-branch neighbours, {seating.quality.utilisation}% seats used)
+                </span>
+              </div>
+            )}
+            {seating.seed !== undefined && (
+              <div className="info-item">
+                <span className="info-label">Seed:</span>
+                <span className="info-value">{seating.seed}</span>
+              </div>
+            )}
             <div className="info-item">
               <span className="info-label">Created By:</span>
               <span className="info-value">{seating.createdBy?.name || 'Unknown'}</span>
             </div>
           </div>
 
+          {seating.papers && seating.papers.length > 0 && (
+            <div className="included-classes">
+              <h3>Papers:</h3>
+              <div className="class-badges">
+                {seating.papers.map((paper, idx) => (
+                  <span key={idx} className="class-badge">
+                    {paper.code} - {paper.name}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
           {seating.includedClasses && seating.includedClasses.length > 0 && (
             <div className="included-classes">
               <h3>Included Classes:</h3>
@@ -125,12 +484,221 @@ const SeatingDetailPage = () => {
           )}
         </div>
 
+        {(seating.excludedCount > 0 || seating.unmatchedExclusions?.length > 0) && (
+          <div className="card no-print">
+            <h2>Excluded Students ({seating.excludedCount || 0})</h2>
+            {seating.exclusionLists?.length > 0 && (
+              <p className="excluded-lists">
+                Lists applied: {seating.exclusionLists.map(l => l.name).join(', ')}
+              </p>
+            )}
+            {seating.excludedStudents?.length > 0 && (
+              <table className="excluded-table">
+                <thead>
+                  <tr>
+                    <th>Register Number</th>
+                    <th>Name</th>
+                    <th>Class</th>
+                    <th>Reason</th>
+                    <th>Note</th>
+                    <th>Source</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {seating.excludedStudents.map(entry => (
+                    <tr key={entry.registerNumber}>
+                      <td>{entry.registerNumber}</td>
+                      <td>{entry.name}</td>
+                      <td>{entry.branch} {entry.section} - Year {entry.year}</td>
+                      <td>{entry.reason.replace('_', ' ')}</td>
+                      <td>{entry.note || '-'}</td>
+                      <td>{entry.source}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {seating.unmatchedExclusions?.length > 0 && (
+              <div className="alert alert-warning" style={{ marginTop: '10px' }}>
+                Not among the selected students (ignored): {seating.unmatchedExclusions.join(', ')}
+              </div>
+            )}
+          </div>
+        )}
+
+        {(isAdmin || seating.invigilation?.assignedAt) && (
+          <div className="card no-print">
+            <h2>Invigilation</h2>
+            {isAdmin && (
+              <div className="invigilation-controls">
+                <label>
+                  Students per invigilator
+                  <input
+                    type="number"
+                    min="1"
+                    value={invigilation.studentsPerInvigilator}
+                    onChange={(e) => setInvigilation(prev => ({ ...prev, studentsPerInvigilator: e.target.value }))}
+                  />
+                </label>
+                <label>
+                  Max per room
+                  <input
+                    type="number"
+                    min="1"
+                    value={invigilation.maxPerRoom}
+                    onChange={(e) => setInvigilation(prev => ({ ...prev, maxPerRoom: e.target.value }))}
+                  />
+                </label>
+                <button
+                  className="btn btn-primary"
+                  onClick={handleAssignInvigilators}
+                  disabled={!canEdit || saving}
+                  title={canEdit ? undefined : 'Published seatings are read-only until unlocked; archived seatings are read-only'}
+                >
+                  {seating.invigilation?.assignedAt ? 'Reassign Invigilators' : 'Assign Invigilators'}
+                </button>
+                <Link to="/invigilators">Manage staff</Link>
+              </div>
+            )}
+            {invigilationResult && (
+              <div className={`alert alert-${invigilationResult.type}`}>
+                {invigilationResult.text}
+              </div>
+            )}
+            {seating.invigilation?.warnings?.length > 0 && (
+              <ul className="invigilation-warnings">
+                {seating.invigilation.warnings.map((warning, idx) => (
+                  <li key={idx}>{warning}</li>
+                ))}
+              </ul>
+            )}
+            {seating.invigilation?.assignedAt ? (
+              <table className="invigilation-table">
+                <thead>
+                  <tr>
+                    <th>Room</th>
+                    {isMultiSession && <th>Session</th>}
+                    <th>Students</th>
+                    <th>Invigilators</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {seating.rooms.map(room => (
+                    <tr key={room._id}>
+                      <td>{room.roomName}</td>
+                      {isMultiSession && <td>{room.sessionNumber || 1}</td>}
+                      <td>{countOccupiedSeats(room.layout)}</td>
+                      <td>
+                        {room.invigilators?.length > 0
+                          ? room.invigilators.map(duty => `${duty.name} (${duty.department})`).join(', ')
+                          : '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p className="invigilation-note">No invigilators assigned yet.</p>
+            )}
+          </div>
+        )}
+
+        <div className="card no-print">
+          <h2>Reports</h2>
+          <p className="invigilation-note">
+            Printable PDFs. The seating plan has one page per room; notice boards list each room's register numbers in large type.
+            A room packet is a cover sheet with the invigilators, an attendance sheet and a blank absentee summary.
+          </p>
+          <div className="report-actions">
+            <button className="btn btn-outline" onClick={() => handleDownloadPlan('A4')} disabled={Boolean(downloading)}>
+              {downloading === 'plan-grid-A4' ? 'Preparing...' : 'Seating Plan (A4)'}
+            </button>
+            <button className="btn btn-outline" onClick={() => handleDownloadPlan('A3')} disabled={Boolean(downloading)}>
+              {downloading === 'plan-grid-A3' ? 'Preparing...' : 'Seating Plan (A3)'}
+            </button>
+            <button
+              className="btn btn-outline"
+              onClick={() => handleDownloadPlan('A4', 'notice')}
+              disabled={Boolean(downloading)}
+            >
+              {downloading === 'plan-notice-A4' ? 'Preparing...' : 'Notice Boards'}
+            </button>
+            <button
+              className="btn btn-outline"
+              onClick={() => handleDownloadReport('packets')}
+              disabled={Boolean(downloading)}
+            >
+              {downloading === 'packets' ? 'Preparing...' : 'Room Packets (all rooms)'}
+            </button>
+            <button
+              className="btn btn-outline"
+              onClick={() => handleDownloadReport('attendance')}
+              disabled={Boolean(downloading)}
+            >
+              {downloading === 'attendance' ? 'Preparing...' : 'Attendance Sheets'}
+            </button>
+            <button
+              className="btn btn-outline"
+              onClick={() => handleDownloadReport('duty-chart')}
+              disabled={Boolean(downloading)}
+            >
+              {downloading === 'duty-chart' ? 'Preparing...' : 'Duty Chart'}
+            </button>
+          </div>
+        </div>
+
+        {isMultiSession && (
+          <div className="card no-print">
+            <h2>Sessions</h2>
+            <div className="session-selector">
+              {sessions.map(session => (
+                <button
+                  key={session.sessionNumber}
+                  className={`session-btn ${selectedSession === session.sessionNumber ? 'active' : ''}`}
+                  onClick={() => handleSessionChange(session.sessionNumber)}
+                >
+                  <div className="session-number">Session {session.sessionNumber}</div>
+                  <div className="session-info">{session.studentCount} students</div>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {statusResult && (
+          <div className={`alert alert-${statusResult.type} no-print`}>
+            {statusResult.text}
+          </div>
+        )}
+
+        {editMode && (
+          <div className="alert alert-info edit-hint no-print">
+            Drag a student onto another seat, or click a student and then the target seat.
+            Occupied targets are swapped. To move between rooms, pick a student and switch room
+            (or drag over the room tab).
+          </div>
+        )}
+
+        {editResult && (
+          <div className={`alert alert-${editResult.type} no-print`}>
+            {editResult.text}
+            {editResult.warnings.length > 0 && (
+              <ul className="edit-warnings">
+                {editResult.warnings.map((warning, idx) => (
+                  <li key={idx}>{warning}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
         <div className="room-tabs no-print">
-          {seating.rooms && seating.rooms.map((room, idx) => (
+          {sessionRooms.map((room, idx) => (
             <button
               key={idx}
               className={`room-tab ${selectedRoom === idx ? 'active' : ''}`}
               onClick={() => setSelectedRoom(idx)}
+              onDragEnter={editMode ? () => setSelectedRoom(idx) : undefined}
             >
               {room.roomName}
             </button>
@@ -140,14 +708,33 @@ const SeatingDetailPage = () => {
         {currentRoom && (
           <div className="room-display">
             <div className="room-header">
-              <h2>Room: {currentRoom.roomName}</h2>
+              <h2>
+                Room: {currentRoom.roomName}
+                {isMultiSession && ` (Session ${selectedSession})`}
+              </h2>
               <p className="room-capacity">
                 Occupied: {countOccupiedSeats(currentRoom.layout)} seats
+                {currentRoom.spacingMode && currentRoom.spacingMode !== 'even' &&
+                  ` · ${SPACING_LABELS[currentRoom.spacingMode]} spacing`}
+                {currentRoom.metrics?.lockValues.length === 1 && seating.quality?.lockAttribute !== 'none' &&
+                  ` · ${seating.quality.lockAttribute === 'year' ? 'Year' : 'Paper'} ${currentRoom.metrics.lockValues[0]}`}
               </p>
+              <button
+                className="btn btn-outline no-print"
+                onClick={() => handleDownloadReport('packets', { roomEntryId: currentRoom._id })}
+                disabled={Boolean(downloading)}
+              >
+                {downloading === 'packets' ? 'Preparing...' : 'Room Packet (PDF)'}
+              </button>
+              {currentRoom.invigilators?.length > 0 && (
+                <p className="room-invigilators">
+                  Invigilators: {currentRoom.invigilators.map(duty => `${duty.name} (${duty.employeeId})`).join(', ')}
+                </p>
+              )}
             </div>
 
             <div className="seating-grid-wrapper">
-              <table className="seating-grid">
+              <table className={`seating-grid${editMode ? ' editing' : ''}`}>
                 <thead>
                   <tr>
                     <th className="row-header">Row/Col</th>
@@ -163,15 +750,26 @@ const SeatingDetailPage = () => {
                       {row.map((seat, colIdx) => (
                         <td
                           key={colIdx}
-                          className={seat ? `seat-filled branch-${seat.branch}` : 'seat-empty'}
+                          className={`${getSeatClass(currentRoom, seat, rowIdx, colIdx)}${conflictSeats.has(`${rowIdx}-${colIdx}`) ? ' seat-conflict' : ''}${isPicked(pickedSeat, currentRoom, rowIdx, colIdx) ? ' seat-picked' : ''}`}
+                          onClick={() => handleSeatClick(currentRoom, seat, rowIdx, colIdx)}
+                          draggable={editMode && !!seat}
+                          onDragStart={editMode ? (e) => handleSeatDragStart(e, currentRoom, rowIdx, colIdx) : undefined}
+                          onDragOver={editMode ? (e) => e.preventDefault() : undefined}
+                          onDrop={editMode ? (e) => handleSeatDrop(e, currentRoom, rowIdx, colIdx) : undefined}
                         >
                           {seat ? (
                             <div className="seat-info">
                               <div className="seat-reg">{seat.registerNumber}</div>
                               <div className="seat-branch">{seat.branch}-{seat.section}</div>
+                              {seat.paperCode && <div className="seat-paper">{seat.paperCode}</div>}
+                              <SeatAccommodation seat={seat} />
                             </div>
                           ) : (
-                            <div className="empty-label">Empty</div>
+                            <div className="empty-label">
+                              {isBlockedSeat(currentRoom, rowIdx, colIdx)
+                                ? 'Blocked'
+                                : isSpacedSeat(currentRoom, rowIdx, colIdx) ? 'Spacing' : 'Empty'}
+                            </div>
                           )}
                         </td>
                       ))}
@@ -181,9 +779,24 @@ const SeatingDetailPage = () => {
               </table>
             </div>
 
+            <AccommodationList layout={currentRoom.layout} />
+
             <div className="room-stats">
-              <h3>Branch Distribution</h3>
-              <BranchDistribution layout={currentRoom.layout} />
+              <div className="room-stats-grid">
+                <div>
+                  <h3>Branch Distribution</h3>
+                  <BranchDistribution layout={currentRoom.layout} />
+                </div>
+                {currentRoom.metrics && (
+                  <div>
+                    <h3>Room Quality</h3>
+                    <RoomQuality
+                      metrics={currentRoom.metrics}
+                      lockAttribute={seating.quality?.lockAttribute || seating.rules?.lockAttribute}
+                    />
+                  </div>
+                )}
+              </div>
             </div>
           </div>
         )}
@@ -195,7 +808,10 @@ const SeatingDetailPage = () => {
               <div className="print-header">
                 <h1>{seating.examName}</h1>
                 <p>Date: {new Date(seating.examDate).toLocaleDateString()}</p>
-                <h2>Room: {room.roomName}</h2>
+                <h2>
+                  Room: {room.roomName}
+                  {isMultiSession && ` - Session ${room.sessionNumber || 1}`}
+                </h2>
               </div>
 
               <table className="seating-grid">
@@ -214,15 +830,19 @@ const SeatingDetailPage = () => {
                       {row.map((seat, colIdx) => (
                         <td
                           key={colIdx}
-                          className={seat ? `seat-filled branch-${seat.branch}` : 'seat-empty'}
+                          className={getSeatClass(room, seat, rowIdx, colIdx)}
                         >
                           {seat ? (
                             <div className="seat-info">
                               <div className="seat-reg">{seat.registerNumber}</div>
                               <div className="seat-branch">{seat.branch}-{seat.section}</div>
+                              {seat.paperCode && <div className="seat-paper">{seat.paperCode}</div>}
+                              <SeatAccommodation seat={seat} />
                             </div>
                           ) : (
-                            <div className="empty-label">-</div>
+                            <div className="empty-label">
+                              {isBlockedSeat(room, rowIdx, colIdx) ? '✕' : '-'}
+                            </div>
                           )}
                         </td>
                       ))}
@@ -230,6 +850,8 @@ const SeatingDetailPage = () => {
                   ))}
                 </tbody>
               </table>
+
+              <AccommodationList layout={room.layout} />
               
               <div className="page-break"></div>
             </div>
@@ -240,6 +862,68 @@ const SeatingDetailPage = () => {
   );
 };
 
+const SPACING_LABELS = {
+  one_per_bench: 'One per bench',
+  checkerboard: 'Checkerboard',
+  skip_column: 'Skip column'
+};
+
+const ALLOCATION_LABELS = {
+  proportional: 'Proportional to capacity',
+  fill_fewest: 'Fill fewest rooms',
+  balanced: 'Balanced headcount'
+};
+
+const ACCOMMODATION_LABELS = {
+  ground_floor: { short: 'GF', label: 'Ground floor' },
+  near_door: { short: 'ND', label: 'Near door' },
+  separate_room: { short: 'SR', label: 'Separate room' },
+  scribe: { short: 'SC', label: 'Scribe' },
+  extra_time: { short: 'ET', label: 'Extra time' }
+};
+
+// Helper component marking a seat reserved for a student with accommodations
+const SeatAccommodation = ({ seat }) => {
+  if (!seat.accommodations?.length) return null;
+
+  return (
+    <div
+      className="seat-accommodation"
+      title={seat.accommodations.map(a => ACCOMMODATION_LABELS[a]?.label || a).join(', ')}
+    >
+      ♿ {seat.accommodations.map(a => ACCOMMODATION_LABELS[a]?.short || a).join(' ')}
+    </div>
+  );
+};
+
+// Helper component listing a room's students with accommodations (screen and printout)
+const AccommodationList = ({ layout }) => {
+  const entries = [];
+  layout.forEach((row, rowIdx) => {
+    row.forEach((seat, colIdx) => {
+      if (seat && seat.accommodations?.length) {
+        entries.push({ seat, position: `R${rowIdx + 1} C${colIdx + 1}` });
+      }
+    });
+  });
+
+  if (!entries.length) return null;
+
+  return (
+    <div className="accommodation-list">
+      <h3>Special Arrangements</h3>
+      <ul>
+        {entries.map(({ seat, position }) => (
+          <li key={seat.registerNumber}>
+            <strong>{seat.registerNumber}</strong> ({position}) -{' '}
+            {seat.accommodations.map(a => ACCOMMODATION_LABELS[a]?.label || a).join(', ')}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
 // Helper component for branch distribution
 const BranchDistribution = ({ layout }) => {
   const branchCounts = {};
@@ -264,7 +948,81 @@ const BranchDistribution = ({ layout }) => {
   );
 };
 
-// Helper function
+// Helper component for a room's quality metrics (from services/seatingQuality.js)
+const RoomQuality = ({ metrics, lockAttribute }) => {
+  const { sameBranch, gaps } = metrics;
+
+  return (
+    <div className="quality-stats">
+      <div className="quality-stat">
+        <span className="quality-label">Utilisation</span>
+        <span className="quality-value">{metrics.utilisation}%</span>
+        <span className="quality-detail">{metrics.occupied} of {metrics.usableSeats} usable seats</span>
+      </div>
+      <div className={`quality-stat ${sameBranch.total > 0 ? 'quality-warn' : ''}`}>
+        <span className="quality-label">Same-branch neighbours</span>
+        <span className="quality-value">{sameBranch.total}</span>
+        <span className="quality-detail">
+          {sameBranch.horizontal} side, {sameBranch.vertical} front/back, {sameBranch.diagonal} diagonal
+        </span>
+      </div>
+      <div className={`quality-stat ${metrics.lockViolation ? 'quality-warn' : ''}`}>
+        <span className="quality-label">Room lock{lockAttribute ? ` (${lockAttribute})` : ''}</span>
+        <span className="quality-value">{metrics.lockViolation ? 'Broken' : 'OK'}</span>
+        <span className="quality-detail">{metrics.lockValues.join(', ') || '-'}</span>
+      </div>
+      <div className="quality-stat">
+        <span className="quality-label">Empty seats</span>
+        <span className="quality-value">{gaps.empty}</span>
+        <span className="quality-detail">
+          Per row: {gaps.perRow.join(' / ')} · longest run {gaps.largestRun}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+// Helper functions
+const isPicked = (pickedSeat, room, row, col) => {
+  return !!pickedSeat && pickedSeat.roomEntryId === room._id && pickedSeat.row === row && pickedSeat.col === col;
+};
+
+// Seats the room's spacing pattern keeps empty (mirrors backend services/spacing.js)
+const isSpacedSeat = (room, row, col) => {
+  switch (room.spacingMode) {
+    case 'one_per_bench':
+      return col % (room.seatsPerBench || 1) !== 0;
+    case 'checkerboard':
+      return (row + col) % 2 !== 0;
+    case 'skip_column':
+      return col % 2 !== 0;
+    default:
+      return false;
+  }
+};
+
+const isBlockedSeat = (room, row, col) => {
+  return (room.blockedSeats || []).some(seat => seat.row === row && seat.col === col);
+};
+
+const getSeatClass = (room, seat, row, col) => {
+  let className = seat ? `seat-filled branch-${seat.branch}` : 'seat-empty';
+  if (seat && seat.accommodations?.length) {
+    className += ' seat-accommodated';
+  }
+  if (!seat && isBlockedSeat(room, row, col)) {
+    className = 'seat-blocked';
+  } else if (!seat && isSpacedSeat(room, row, col)) {
+    className += ' seat-spaced';
+  }
+  // Visual gap between benches
+  const seatsPerBench = room.seatsPerBench || 1;
+  if (seatsPerBench > 1 && (col + 1) % seatsPerBench === 0 && col < room.layout[row].length - 1) {
+    className += ' bench-end';
+  }
+  return className;
+};
+
 const countOccupiedSeats = (layout) => {
   let count = 0;
   layout.forEach(row => {
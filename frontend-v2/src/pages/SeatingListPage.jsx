@@ -2,12 +2,16 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import Navbar from '../components/Navbar';
 import { getAllSeatings } from '../api';
+import { useAuth } from '../context/AuthContext';
 import './SeatingListPage.css';
 
 const SeatingListPage = () => {
   const [seatings, setSeatings] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+
+  const { isAdmin } = useAuth();
 
   useEffect(() => {
     fetchSeatings();
@@ -40,6 +44,11 @@ const SeatingListPage = () => {
     );
   }
 
+  // Viewers only receive published plans; admins can narrow the list by status
+  const visibleSeatings = statusFilter
+    ? seatings.filter(seating => seating.status === statusFilter)
+    : seatings;
+
   return (
     <div className="seating-list-page">
       <Navbar />
@@ -54,14 +63,32 @@ const SeatingListPage = () => {
 
         {error && <div className="alert alert-error">{error}</div>}
 
+        {isAdmin && seatings.length > 0 && (
+          <div className="status-filter">
+            <label htmlFor="statusFilter">Status:</label>
+            <select id="statusFilter" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+              <option value="">All</option>
+              <option value="draft">Draft</option>
+              <option value="published">Published</option>
+              <option value="archived">Archived</option>
+            </select>
+          </div>
+        )}
+
         {seatings.length === 0 ? (
           <div className="card">
             <div className="no-data">
               <h3>No seating arrangements found</h3>
-              <p>Create your first seating arrangement to get started.</p>
-              <Link to="/seating/new" className="btn btn-primary">
-                Create New Seating
-              </Link>
+              {isAdmin ? (
+                <>
+                  <p>Create your first seating arrangement to get started.</p>
+                  <Link to="/seating/new" className="btn btn-primary">
+                    Create New Seating
+                  </Link>
+                </>
+              ) : (
+                <p>No seating arrangement has been published yet.</p>
+              )}
             </div>
           </div>
         ) : (
@@ -71,6 +98,8 @@ const SeatingListPage = () => {
                 <tr>
                   <th>Exam Name</th>
                   <th>Date</th>
+                  <th>Version</th>
+                  <th>Status</th>
                   <th>Classes</th>
                   <th>Created By</th>
                   <th>Created At</th>
@@ -78,10 +107,23 @@ const SeatingListPage = () => {
                 </tr>
               </thead>
               <tbody>
-                {seatings.map((seating) => (
+                {visibleSeatings.map((seating) => (
                   <tr key={seating._id}>
                     <td className="exam-name">{seating.examName}</td>
                     <td>{new Date(seating.examDate).toLocaleDateString()}</td>
+                    <td>
+                      {seating.examEvent ? (
+                        <Link to={`/exam-events/${seating.examEvent}`} className="version-link">
+                          v{seating.version}
+                        </Link>
+                      ) : (
+                        <span className="text-muted">-</span>
+                      )}
+                    </td>
+                    <td>
+                      <span className={`status-badge status-${seating.status || 'draft'}`}>{seating.status || 'draft'}</span>
+                      {seating.unlocked && <span className="status-badge status-unlocked">unlocked</span>}
+                    </td>
                     <td>
                       <div className="classes-list">
                         {seating.includedClasses && seating.includedClasses.length > 0 ? (
@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Navbar from '../components/Navbar';
+import { importStudents } from '../api';
+import './StudentsPage.css';
+
+// Only the first rows of the preview are rendered
+const PREVIEW_LIMIT = 100;
+
+const StudentImportPage = () => {
+  const [file, setFile] = useState(null);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  const navigate = useNavigate();
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setResult(null);
+    setMessage({ type: '', text: '' });
+  };
+
+  const runImport = async (dryRun) => {
+    if (!file) {
+      setMessage({ type: 'error', text: 'Please choose a .csv or .xlsx file' });
+      return;
+    }
+
+    setLoading(true);
+    setMessage({ type: '', text: '' });
+
+    try {
+      const response = await importStudents(file, dryRun);
+      setResult(response.data);
+      setMessage({ type: dryRun ? 'info' : 'success', text: response.message });
+    } catch (err) {
+      console.error('Error importing students:', err);
+      setMessage({
+        type: 'error',
+        text: err.response?.data?.error || err.response?.data?.message || 'Error importing students'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const summary = result?.summary;
+
+  return (
+    <div className="students-page">
+      <Navbar />
+
+      <div className="container">
+        <div className="page-header">
+          <h1>Import Student Roster</h1>
+          <p>Upload real register numbers from a CSV or Excel file</p>
+        </div>
+
+        {message.text && (
+          <div className={`alert alert-${message.type}`}>
+            {message.text}
+          </div>
+        )}
+
+        <div className="card">
+          <p className="import-hint">
+            First row must be a header with the columns <code>registerNumber</code>, <code>name</code>,{' '}
+            <code>branch</code>, <code>section</code> and <code>year</code>. Existing students are updated
+            by register number. Preview first - nothing is saved until you import.
+          </p>
+          <div className="import-controls">
+            <input type="file" accept=".csv,.xlsx,.xls" onChange={handleFileChange} />
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => runImport(true)}
+              disabled={loading || !file}
+            >
+              {loading ? 'Working...' : 'Preview'}
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={() => runImport(false)}
+              disabled={loading || !result || !result.dryRun || summary.valid === 0}
+            >
+              Import {summary && result.dryRun ? `${summary.valid} valid rows` : ''}
+            </button>
+          </div>
+        </div>
+
+        {summary && (
+          <div className="card">
+            <h2>{result.dryRun ? 'Preview' : 'Import Result'}</h2>
+            <div className="import-summary">
+              <div className="import-stat">
+                <div className="import-stat-value">{summary.totalRows}</div>
+                <div className="import-stat-label">Rows</div>
+              </div>
+              <div className="import-stat">
+                <div className="import-stat-value">{result.dryRun ? summary.toCreate : summary.created}</div>
+                <div className="import-stat-label">{result.dryRun ? 'To create' : 'Created'}</div>
+              </div>
+              <div className="import-stat">
+                <div className="import-stat-value">{result.dryRun ? summary.toUpdate : summary.updated}</div>
+                <div className="import-stat-label">{result.dryRun ? 'To update' : 'Updated'}</div>
+              </div>
+              <div className="import-stat invalid">
+                <div className="import-stat-value">{summary.invalid}</div>
+                <div className="import-stat-label">Invalid (skipped)</div>
+              </div>
+            </div>
+
+            {result.errors.length > 0 && (
+              <>
+                <h3>Row Errors</h3>
+                <div className="data-table-wrapper">
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th>Row</th>
+                        <th>Register Number</th>
+                        <th>Errors</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.errors.map(row => (
+                        <tr key={row.rowNumber}>
+                          <td>{row.rowNumber}</td>
+                          <td>{row.registerNumber || '-'}</td>
+                          <td>
+                            <ul className="error-list">
+                              {row.errors.map((error, idx) => <li key={idx}>{error}</li>)}
+                            </ul>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+
+            <h3 style={{ marginTop: '20px' }}>Rows</h3>
+            <div className="data-table-wrapper">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Register Number</th>
+                    <th>Name</th>
+                    <th>Class</th>
+                    <th>Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.preview.slice(0, PREVIEW_LIMIT).map(row => (
+                    <tr key={row.rowNumber}>
+                      <td>{row.rowNumber}</td>
+                      <td>{row.registerNumber || '-'}</td>
+                      <td>{row.name || '-'}</td>
+                      <td>{row.branch ? `${row.branch} ${row.section} - Year ${row.year}` : '-'}</td>
+                      <td className={`action-${row.action}`}>{row.action}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {result.preview.length > PREVIEW_LIMIT && (
+              <p className="import-hint">Showing first {PREVIEW_LIMIT} of {result.preview.length} rows</p>
+            )}
+          </div>
+        )}
+
+        <div className="form-actions">
+          <button type="button" className="btn btn-secondary" onClick={() => navigate('/students')}>
+            Back to Students
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StudentImportPage;
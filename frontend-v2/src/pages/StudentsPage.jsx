@@ -0,0 +1,394 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Navbar from '../components/Navbar';
+import { getStudents, createStudent, updateStudent, deleteStudent, getClasses } from '../api';
+import { useAuth } from '../context/AuthContext';
+import './StudentsPage.css';
+
+const PAGE_SIZE = 25;
+
+const emptyForm = { registerNumber: '', name: '', classId: '', accommodations: [], accommodationNote: '' };
+
+const ACCOMMODATION_OPTIONS = [
+  { value: 'ground_floor', label: 'Ground floor room' },
+  { value: 'near_door', label: 'Seat near the door' },
+  { value: 'separate_room', label: 'Separate room' },
+  { value: 'scribe', label: 'Scribe' },
+  { value: 'extra_time', label: 'Extra time' }
+];
+
+const StudentsPage = () => {
+  const [students, setStudents] = useState([]);
+  const [classes, setClasses] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [page, setPage] = useState(1);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [classFilter, setClassFilter] = useState('');
+  const [showInactive, setShowInactive] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  const { isAdmin } = useAuth();
+
+  useEffect(() => {
+    fetchClasses();
+  }, []);
+
+  useEffect(() => {
+    fetchStudents();
+  }, [page, search, classFilter, showInactive]);
+
+  const fetchClasses = async () => {
+    try {
+      const response = await getClasses();
+      setClasses(response.data);
+    } catch (err) {
+      console.error('Error fetching classes:', err);
+    }
+  };
+
+  const fetchStudents = async () => {
+    try {
+      setLoading(true);
+      const response = await getStudents({
+        page,
+        limit: PAGE_SIZE,
+        search: search || undefined,
+        classGroup: classFilter || undefined,
+        includeInactive: showInactive || undefined
+      });
+      setStudents(response.data);
+      setPagination(response.pagination);
+    } catch (err) {
+      console.error('Error fetching students:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error fetching students' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setSearch(searchInput.trim());
+  };
+
+  const handleClassFilterChange = (e) => {
+    setPage(1);
+    setClassFilter(e.target.value);
+  };
+
+  const handleChange = (e) => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleAccommodationToggle = (value) => {
+    setForm(prev => ({
+      ...prev,
+      accommodations: prev.accommodations.includes(value)
+        ? prev.accommodations.filter(a => a !== value)
+        : [...prev.accommodations, value]
+    }));
+  };
+
+  const handleEdit = (student) => {
+    const classGroup = classes.find(c =>
+      c.branch === student.branch && c.section === student.section && c.year === student.year
+    );
+    setEditingId(student._id);
+    setForm({
+      registerNumber: student.registerNumber,
+      name: student.name,
+      classId: classGroup ? classGroup._id : '',
+      accommodations: student.accommodations || [],
+      accommodationNote: student.accommodationNote || ''
+    });
+  };
+
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const classGroup = classes.find(c => c._id === form.classId);
+    if (!classGroup) {
+      setMessage({ type: 'error', text: 'Please select a class' });
+      return;
+    }
+
+    setSaving(true);
+    setMessage({ type: '', text: '' });
+
+    const payload = {
+      registerNumber: form.registerNumber,
+      name: form.name,
+      branch: classGroup.branch,
+      section: classGroup.section,
+      year: classGroup.year,
+      accommodations: form.accommodations,
+      accommodationNote: form.accommodationNote
+    };
+
+    try {
+      const response = editingId
+        ? await updateStudent(editingId, payload)
+        : await createStudent(payload);
+      setMessage({ type: 'success', text: response.message });
+      handleCancelEdit();
+      fetchStudents();
+    } catch (err) {
+      console.error('Error saving student:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error saving student' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeactivate = async (student) => {
+    if (!window.confirm(`Deactivate ${student.registerNumber}? They will no longer be included in new seatings.`)) {
+      return;
+    }
+
+    try {
+      const response = await deleteStudent(student._id);
+      setMessage({ type: 'success', text: response.message });
+      fetchStudents();
+    } catch (err) {
+      console.error('Error deactivating student:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error deactivating student' });
+    }
+  };
+
+  const handleReactivate = async (student) => {
+    try {
+      const response = await updateStudent(student._id, { isActive: true });
+      setMessage({ type: 'success', text: `Student ${response.data.registerNumber} reactivated` });
+      fetchStudents();
+    } catch (err) {
+      console.error('Error reactivating student:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error reactivating student' });
+    }
+  };
+
+  return (
+    <div className="students-page">
+      <Navbar />
+
+      <div className="container">
+        <div className="page-header">
+          <h1>Students</h1>
+          <p>Add late joiners, correct details, move students between sections and deactivate drop-outs</p>
+        </div>
+
+        {message.text && (
+          <div className={`alert alert-${message.type}`}>
+            {message.text}
+          </div>
+        )}
+
+        {isAdmin && (
+          <div className="card">
+            <h2>{editingId ? 'Edit Student' : 'Add Student'}</h2>
+            <form onSubmit={handleSubmit}>
+              <div className="student-form-grid">
+                <div className="form-group">
+                  <label htmlFor="registerNumber">Register Number *</label>
+                  <input
+                    type="text"
+                    id="registerNumber"
+                    name="registerNumber"
+                    value={form.registerNumber}
+                    onChange={handleChange}
+                    placeholder="e.g., 2CSEA051"
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="name">Name *</label>
+                  <input
+                    type="text"
+                    id="name"
+                    name="name"
+                    value={form.name}
+                    onChange={handleChange}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="classId">Class *</label>
+                  <select id="classId" name="classId" value={form.classId} onChange={handleChange} required>
+                    <option value="">Select class</option>
+                    {classes.map(cls => (
+                      <option key={cls._id} value={cls._id}>{cls.displayName}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Accommodations</label>
+                <div className="accommodation-options">
+                  {ACCOMMODATION_OPTIONS.map(option => (
+                    <label key={option.value} className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={form.accommodations.includes(option.value)}
+                        onChange={() => handleAccommodationToggle(option.value)}
+                      />
+                      <span className="checkbox-text">{option.label}</span>
+                    </label>
+                  ))}
+                </div>
+                {form.accommodations.length > 0 && (
+                  <input
+                    type="text"
+                    name="accommodationNote"
+                    value={form.accommodationNote}
+                    onChange={handleChange}
+                    placeholder="Note, e.g. wheelchair user"
+                  />
+                )}
+              </div>
+              <div className="form-actions">
+                <Link to="/students/import" className="btn btn-outline">
+                  Import Roster
+                </Link>
+                {editingId && (
+                  <button type="button" className="btn btn-secondary" onClick={handleCancelEdit}>
+                    Cancel
+                  </button>
+                )}
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : editingId ? 'Save Student' : 'Add Student'}
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        <div className="card">
+          <form className="student-filters" onSubmit={handleSearch}>
+            <input
+              type="text"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Search by register number or name"
+            />
+            <select value={classFilter} onChange={handleClassFilterChange}>
+              <option value="">All classes</option>
+              {classes.map(cls => (
+                <option key={cls._id} value={cls._id}>{cls.displayName}</option>
+              ))}
+            </select>
+            <button type="submit" className="btn btn-secondary">Search</button>
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={showInactive}
+                onChange={(e) => {
+                  setPage(1);
+                  setShowInactive(e.target.checked);
+                }}
+              />
+              <span className="checkbox-text">Show deactivated</span>
+            </label>
+          </form>
+
+          {loading ? (
+            <div className="loading">
+              <div className="spinner"></div>
+              <p>Loading students...</p>
+            </div>
+          ) : students.length === 0 ? (
+            <p className="no-data">No students found.</p>
+          ) : (
+            <>
+              <div className="data-table-wrapper">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Register Number</th>
+                      <th>Name</th>
+                      <th>Class</th>
+                      <th>Status</th>
+                      {isAdmin && <th>Actions</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {students.map(student => (
+                      <tr key={student._id} className={student.isActive === false ? 'inactive-row' : ''}>
+                        <td>{student.registerNumber}</td>
+                        <td>
+                          {student.name}
+                          {student.accommodations?.length > 0 && (
+                            <span
+                              className="accommodation-marker"
+                              title={[
+                                student.accommodations.map(a => a.replace('_', ' ')).join(', '),
+                                student.accommodationNote
+                              ].filter(Boolean).join(' - ')}
+                            >
+                              ♿
+                            </span>
+                          )}
+                        </td>
+                        <td>{student.classGroup?.displayName || `${student.branch} ${student.section} - Year ${student.year}`}</td>
+                        <td>{student.isActive === false ? 'Deactivated' : 'Active'}</td>
+                        {isAdmin && (
+                          <td className="row-actions">
+                            {student.isActive === false ? (
+                              <button className="btn btn-sm btn-outline" onClick={() => handleReactivate(student)}>
+                                Reactivate
+                              </button>
+                            ) : (
+                              <>
+                                <button className="btn btn-sm btn-outline" onClick={() => handleEdit(student)}>
+                                  Edit
+                                </button>
+                                <button className="btn btn-sm btn-danger" onClick={() => handleDeactivate(student)}>
+                                  Deactivate
+                                </button>
+                              </>
+                            )}
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="pagination">
+                <button
+                  className="btn btn-sm btn-outline"
+                  onClick={() => setPage(p => p - 1)}
+                  disabled={pagination.page <= 1}
+                >
+                  Previous
+                </button>
+                <span>
+                  Page {pagination.page} of {pagination.pages} ({pagination.total} students)
+                </span>
+                <button
+                  className="btn btn-sm btn-outline"
+                  onClick={() => setPage(p => p + 1)}
+                  disabled={pagination.page >= pagination.pages}
+                >
+                  Next
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StudentsPage;
@@ -0,0 +1,353 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Navbar from '../components/Navbar';
+import { getExams, createExam, updateExam, deleteExam, getClasses, getPapers } from '../api';
+import { useAuth } from '../context/AuthContext';
+import './TimetablePage.css';
+
+// Default times per slot (same as the backend's SLOT_TIMES)
+const SLOT_TIMES = {
+  FN: { startTime: '09:30', endTime: '12:30' },
+  AN: { startTime: '14:00', endTime: '17:00' }
+};
+
+const SLOT_LABELS = {
+  FN: 'Forenoon (FN)',
+  AN: 'Afternoon (AN)'
+};
+
+const emptyForm = {
+  name: '',
+  date: '',
+  slot: 'FN',
+  ...SLOT_TIMES.FN,
+  classIds: [],
+  paperIds: [],
+  notes: ''
+};
+
+const TimetablePage = () => {
+  const [exams, setExams] = useState([]);
+  const [classes, setClasses] = useState([]);
+  const [papers, setPapers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showPast, setShowPast] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [message, setMessage] = useState({ type: '', text: '', warnings: [] });
+
+  const { isAdmin } = useAuth();
+
+  useEffect(() => {
+    fetchOptions();
+  }, []);
+
+  useEffect(() => {
+    fetchExams();
+  }, [showPast]);
+
+  const fetchOptions = async () => {
+    try {
+      const [classesRes, papersRes] = await Promise.all([getClasses(), getPapers()]);
+      setClasses(classesRes.data);
+      setPapers(papersRes.data);
+    } catch (err) {
+      console.error('Error fetching classes and papers:', err);
+    }
+  };
+
+  const fetchExams = async () => {
+    try {
+      setLoading(true);
+      const response = await getExams(showPast ? {} : { from: new Date().toISOString().slice(0, 10) });
+      setExams(response.data);
+    } catch (err) {
+      console.error('Error fetching exams:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error fetching exams', warnings: [] });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    if (name === 'slot') {
+      // A new slot starts from that slot's usual times
+      setForm(prev => ({ ...prev, slot: value, ...SLOT_TIMES[value] }));
+    } else {
+      setForm(prev => ({ ...prev, [name]: value }));
+    }
+  };
+
+  const handleToggle = (field, id) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: prev[field].includes(id)
+        ? prev[field].filter(existing => existing !== id)
+        : [...prev[field], id]
+    }));
+  };
+
+  const handleEdit = (exam) => {
+    setEditingId(exam._id);
+    setForm({
+      name: exam.name,
+      date: exam.date.slice(0, 10),
+      slot: exam.slot,
+      startTime: exam.startTime,
+      endTime: exam.endTime,
+      classIds: exam.classIds.map(cls => cls._id),
+      paperIds: exam.paperIds.map(paper => paper._id),
+      notes: exam.notes || ''
+    });
+  };
+
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage({ type: '', text: '', warnings: [] });
+
+    try {
+      const response = editingId
+        ? await updateExam(editingId, form)
+        : await createExam(form);
+      setMessage({
+        type: response.warnings.length ? 'warning' : 'success',
+        text: response.message,
+        warnings: response.warnings
+      });
+      handleCancelEdit();
+      fetchExams();
+    } catch (err) {
+      console.error('Error saving exam:', err);
+      setMessage({
+        type: 'error',
+        text: err.response?.data?.message || 'Error saving exam',
+        warnings: err.response?.data?.errors || []
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (exam) => {
+    if (!window.confirm(`Remove ${exam.name} from the timetable?`)) {
+      return;
+    }
+
+    try {
+      const response = await deleteExam(exam._id);
+      setMessage({ type: 'success', text: response.message, warnings: [] });
+      fetchExams();
+    } catch (err) {
+      console.error('Error deleting exam:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error deleting exam', warnings: [] });
+    }
+  };
+
+  // One table per exam day
+  const examsByDate = exams.reduce((acc, exam) => {
+    const day = exam.date.slice(0, 10);
+    if (!acc[day]) acc[day] = [];
+    acc[day].push(exam);
+    return acc;
+  }, {});
+
+  return (
+    <div className="timetable-page">
+      <Navbar />
+
+      <div className="container">
+        <div className="page-header">
+          <h1>Exam Timetable</h1>
+          <p>Exams by date and slot - seating plans are generated per exam</p>
+        </div>
+
+        {message.text && (
+          <div className={`alert alert-${message.type}`}>
+            {message.text}
+            {message.warnings.length > 0 && (
+              <ul className="timetable-warnings">
+                {message.warnings.map((warning, idx) => (
+                  <li key={idx}>{warning}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {isAdmin && (
+          <div className="card">
+            <h2>{editingId ? 'Edit Exam' : 'Schedule Exam'}</h2>
+            <form onSubmit={handleSubmit}>
+              <div className="exam-form-grid">
+                <div className="form-group">
+                  <label htmlFor="name">Exam *</label>
+                  <input
+                    type="text"
+                    id="name"
+                    name="name"
+                    value={form.name}
+                    onChange={handleChange}
+                    placeholder="e.g., Mid Semester 1 - Mathematics"
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="date">Date *</label>
+                  <input type="date" id="date" name="date" value={form.date} onChange={handleChange} required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="slot">Slot *</label>
+                  <select id="slot" name="slot" value={form.slot} onChange={handleChange}>
+                    {Object.entries(SLOT_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="startTime">Start *</label>
+                  <input type="time" id="startTime" name="startTime" value={form.startTime} onChange={handleChange} required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="endTime">End *</label>
+                  <input type="time" id="endTime" name="endTime" value={form.endTime} onChange={handleChange} required />
+                </div>
+              </div>
+
+              <h3 className="exam-form-section">Classes Writing</h3>
+              <div className="exam-checkboxes">
+                {classes.map(cls => (
+                  <label key={cls._id} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={form.classIds.includes(cls._id)}
+                      onChange={() => handleToggle('classIds', cls._id)}
+                    />
+                    <span className="checkbox-text">{cls.displayName}</span>
+                  </label>
+                ))}
+              </div>
+
+              {papers.length > 0 && (
+                <>
+                  <h3 className="exam-form-section">Papers (optional)</h3>
+                  <div className="exam-checkboxes">
+                    {papers.map(paper => (
+                      <label key={paper._id} className="checkbox-label">
+                        <input
+                          type="checkbox"
+                          checked={form.paperIds.includes(paper._id)}
+                          onChange={() => handleToggle('paperIds', paper._id)}
+                        />
+                        <span className="checkbox-text">{paper.code} - {paper.name}</span>
+                      </label>
+                    ))}
+                  </div>
+                </>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="notes">Notes</label>
+                <input type="text" id="notes" name="notes" value={form.notes} onChange={handleChange} />
+              </div>
+
+              <div className="form-actions">
+                <Link to="/timetable/generate" className="btn btn-outline">
+                  Generate All Seating
+                </Link>
+                {editingId && (
+                  <button type="button" className="btn btn-secondary" onClick={handleCancelEdit}>
+                    Cancel
+                  </button>
+                )}
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : editingId ? 'Save Exam' : 'Add to Timetable'}
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        <label className="checkbox-label past-toggle">
+          <input type="checkbox" checked={showPast} onChange={(e) => setShowPast(e.target.checked)} />
+          <span className="checkbox-text">Show past exams</span>
+        </label>
+
+        {loading ? (
+          <div className="loading">
+            <div className="spinner"></div>
+            <p>Loading timetable...</p>
+          </div>
+        ) : exams.length === 0 ? (
+          <div className="card">
+            <p className="no-data">No exams scheduled.</p>
+          </div>
+        ) : (
+          Object.entries(examsByDate).map(([day, dayExams]) => (
+            <div key={day} className="card timetable-day">
+              <h2>{new Date(day).toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</h2>
+              <table className="timetable-table">
+                <thead>
+                  <tr>
+                    <th>Slot</th>
+                    <th>Time</th>
+                    <th>Exam</th>
+                    <th>Classes</th>
+                    <th>Seating Plan</th>
+                    {isAdmin && <th>Actions</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {dayExams.map(exam => (
+                    <tr key={exam._id}>
+                      <td><span className={`slot-badge slot-${exam.slot}`}>{exam.slot}</span></td>
+                      <td>{exam.startTime} - {exam.endTime}</td>
+                      <td>
+                        {exam.name}
+                        {exam.paperIds.length > 0 && (
+                          <span className="exam-papers">{exam.paperIds.map(paper => paper.code).join(', ')}</span>
+                        )}
+                      </td>
+                      <td>{exam.classIds.map(cls => cls.displayName).join(', ') || '-'}</td>
+                      <td>
+                        {exam.plan ? (
+                          <Link to={`/seating/${exam.plan._id}`}>
+                            v{exam.plan.version} ({exam.plan.status})
+                          </Link>
+                        ) : (
+                          <span className="text-muted">Not generated</span>
+                        )}
+                      </td>
+                      {isAdmin && (
+                        <td className="exam-actions">
+                          <Link to={`/seating/new?exam=${exam._id}`} className="btn btn-primary">
+                            {exam.plan ? 'Regenerate' : 'Generate Seating'}
+                          </Link>
+                          <button className="btn btn-outline" onClick={() => handleEdit(exam)}>
+                            Edit
+                          </button>
+                          <button className="btn btn-danger" onClick={() => handleDelete(exam)}>
+                            Delete
+                          </button>
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TimetablePage;